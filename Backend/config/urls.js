@@ -0,0 +1,126 @@
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+// Where the API and the web app live in each environment. API_URL and
+// CLIENT_URL override these, e.g. for staging or a tunnel during development.
+const DEFAULTS = {
+    production: {
+        api: 'https://afrohub.onrender.com',
+        client: 'https://afrohub.onrender.com'
+    },
+    development: {
+        api: `http://localhost:${process.env.PORT || 6000}`,
+        client: 'http://localhost:3000'
+    }
+};
+
+// The localhost URLs are only used when NODE_ENV asks for them, so a server
+// started without NODE_ENV still sends buyers to the real site
+const LOCAL = ['development', 'test'].includes(process.env.NODE_ENV);
+const defaults = LOCAL ? DEFAULTS.development : DEFAULTS.production;
+
+const trimSlash = (url) => url.replace(/\/+$/, '');
+
+export const API_URL = trimSlash(process.env.API_URL || defaults.api);
+export const CLIENT_URL = trimSlash(process.env.CLIENT_URL || defaults.client);
+
+export const apiUrl = (path) => `${API_URL}${path}`;
+export const clientUrl = (path) => `${CLIENT_URL}${path}`;
+
+// Browser origins allowed to open Socket.IO connections, comma separated in
+// CORS_ORIGINS. Native apps send no origin and aren't affected.
+export const CORS_ORIGINS = (process.env.CORS_ORIGINS || CLIENT_URL)
+    .split(',')
+    .map(origin => trimSlash(origin.trim()))
+    .filter(Boolean);
+
+// Where each provider sends the buyer back. PayPal returns to the API, which
+// captures the payment; Stripe returns to the web app's payment pages.
+export const PAYMENT_URLS = {
+    paypal: {
+        returnUrl: process.env.PAYPAL_RETURN_URL || apiUrl('/api/paypal/complete-order'),
+        cancelUrl: process.env.PAYPAL_CANCEL_URL || apiUrl('/api/paypal/cancel-order')
+    },
+    stripe: {
+        returnUrl: process.env.STRIPE_SUCCESS_URL || clientUrl('/payment-successful'),
+        cancelUrl: process.env.STRIPE_CANCEL_URL || clientUrl('/payment-cancelled')
+    }
+};
+
+// Return and cancel endpoints of the provider-agnostic checkout
+export const checkoutCallbackUrl = (provider, action) => apiUrl(`/api/checkout/${provider}/${action}`);
+
+// Add query parameters to a URL, which may use a custom scheme (afrohub://...)
+export const withQuery = (url, params) => {
+    const target = new URL(url);
+    Object.entries(params).forEach(([key, value]) => {
+        if (value !== undefined && value !== null) {
+            target.searchParams.set(key, value);
+        }
+    });
+    return target.toString();
+};
+
+// Where clients may ask to be sent after paying: the web app, plus whatever
+// PAYMENT_REDIRECT_ALLOWLIST lists (comma separated), e.g. the mobile app's
+// scheme "afrohub://" or a path such as "https://afrohub.app/payments".
+// Entries that aren't URLs are skipped with a warning rather than stopping the server.
+const parseAllowlistEntry = (entry) => {
+    try {
+        return new URL(entry);
+    } catch {
+        console.warn(`Ignoring invalid PAYMENT_REDIRECT_ALLOWLIST entry "${entry}"`);
+        return null;
+    }
+};
+
+const REDIRECT_ALLOWLIST = [CLIENT_URL, ...(process.env.PAYMENT_REDIRECT_ALLOWLIST || '').split(',')]
+    .map(entry => entry.trim())
+    .filter(Boolean)
+    .map(parseAllowlistEntry)
+    .filter(Boolean);
+
+const matchesEntry = (target, entry) => {
+    if (target.protocol !== entry.protocol) {
+        return false;
+    }
+    // "afrohub://" allows any link into the app
+    if (entry.host && target.host !== entry.host) {
+        return false;
+    }
+    const path = entry.pathname.replace(/\/+$/, '');
+    return !path || target.pathname === path || target.pathname.startsWith(`${path}/`);
+};
+
+export const isAllowedRedirect = (url) => {
+    let target;
+    try {
+        target = new URL(url);
+    } catch {
+        return false;
+    }
+    return !target.username && !target.password &&
+        REDIRECT_ALLOWLIST.some(entry => matchesEntry(target, entry));
+};
+
+export class RedirectUrlError extends Error {}
+
+/**
+ * Read the optional `returnUrl` and `cancelUrl` a client sent with a checkout,
+ * e.g. deep links back into the mobile app. Throws RedirectUrlError when one
+ * is not on the allowlist.
+ */
+export const parseClientRedirects = ({ returnUrl, cancelUrl } = {}) => {
+    const redirects = {};
+    for (const [name, value] of Object.entries({ returnUrl, cancelUrl })) {
+        if (value === undefined || value === null || value === '') {
+            continue;
+        }
+        if (typeof value !== 'string' || !isAllowedRedirect(value)) {
+            throw new RedirectUrlError(`${name} is not an allowed redirect URL.`);
+        }
+        redirects[name] = value;
+    }
+    return redirects;
+};
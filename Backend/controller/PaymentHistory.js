@@ -1,5 +1,7 @@
 import Stripe from 'stripe';
 import Transaction from '../models/Transaction.js';
+import { formatMoney, sumByCurrency, fromMinorUnits, LEGACY_CURRENCY } from '../utils/currency.js';
+import { providerLabel } from '../utils/paymentProviders/index.js';
 
 const stripe = new Stripe(process.env.STRIPE_SECRET_KEY);
 
@@ -19,7 +21,7 @@ const getPaymentHistory = async (req, res) => {
 
         // Fetch transactions with pagination
         const transactions = await Transaction.find(filter)
-            .populate('ticketId', 'title location date image category time address')
+            .populate('ticketId', 'title location date image category time address startsAt endsAt timezone')
             .sort({ createdAt: -1 })
             .skip(skip)
             .limit(parseInt(limit));
@@ -40,7 +42,7 @@ const getPaymentHistory = async (req, res) => {
                         const paymentIntent = await stripe.paymentIntents.retrieve(paymentIntentId);
                         return {
                             id: paymentIntent.id,
-                            amount: paymentIntent.amount / 100,
+                            amount: fromMinorUnits(paymentIntent.amount, paymentIntent.currency.toUpperCase()),
                             currency: paymentIntent.currency,
                             status: paymentIntent.status,
                             created: new Date(paymentIntent.created * 1000),
@@ -69,6 +71,9 @@ const getPaymentHistory = async (req, res) => {
                     eventLocation: transaction.ticketId?.location,
                     eventDate: transaction.ticketId?.date,
                     eventTime: transaction.ticketId?.time,
+                    eventStartsAt: transaction.ticketId?.startsAt,
+                    eventEndsAt: transaction.ticketId?.endsAt,
+                    eventTimezone: transaction.ticketId?.timezone,
                     eventAddress: transaction.ticketId?.address,
                     eventImage: transaction.ticketId?.image,
                     eventCategory: transaction.ticketId?.category,
@@ -76,17 +81,15 @@ const getPaymentHistory = async (req, res) => {
                     ticketTypeName: transaction.ticketTypeName,
                     pricePerTicket: transaction.pricePerTicket,
                     ticketCount: transaction.ticketCount,
+                    items: transaction.getItems(),
+                    currency: transaction.currency,
                     totalAmount: transaction.amount
                 },
-                paymentMethod: transaction.paypalOrderId ? 'PayPal' :
-                             transaction.stripePaymentIntentId ? 'Stripe' : 'Unknown',
-                formattedAmount: `$${transaction.amount.toFixed(2)}`,
+                paymentMethod: providerLabel(transaction),
+                formattedAmount: formatMoney(transaction.amount, transaction.currency),
                 formattedDate: transaction.createdAt.toLocaleDateString(),
                 stripeDetails: stripeData || null,
-                canRefund: transaction.status === 'COMPLETED' &&
-                          transaction.paymentStatus === 'paid' &&
-                          transaction.ticketId?.date &&
-                          new Date(transaction.ticketId.date) > new Date()
+                canRefund: transaction.isRefundable(transaction.ticketId)
             };
         });
 
@@ -94,23 +97,33 @@ const getPaymentHistory = async (req, res) => {
         const completedTransactions = formattedTransactions.filter(
             t => t.status === 'COMPLETED' || t.status === 'PAID'
         );
-        const totalSpent = completedTransactions.reduce((sum, t) => sum + t.amount, 0);
+        // Amounts in different currencies are totalled separately
+        const totalSpent = sumByCurrency(completedTransactions.map(t => ({ currency: t.currency, amount: t.amount })));
         const totalTickets = completedTransactions.reduce((sum, t) => sum + t.ticketCount, 0);
 
-        // Group transactions by ticket type for analytics
+        // Group transactions by ticket type for analytics, keeping currencies apart
         const ticketTypeBreakdown = {};
         completedTransactions.forEach(transaction => {
-            const ticketType = transaction.ticketTypeName || transaction.ticketType;
-            if (!ticketTypeBreakdown[ticketType]) {
-                ticketTypeBreakdown[ticketType] = {
-                    count: 0,
-                    totalSpent: 0,
-                    transactions: 0
-                };
-            }
-            ticketTypeBreakdown[ticketType].count += transaction.ticketCount;
-            ticketTypeBreakdown[ticketType].totalSpent += transaction.amount;
-            ticketTypeBreakdown[ticketType].transactions += 1;
+            transaction.ticketDetails.items.forEach(item => {
+                const ticketType = item.ticketTypeName || item.ticketType;
+                if (!ticketTypeBreakdown[ticketType]) {
+                    ticketTypeBreakdown[ticketType] = {
+                        count: 0,
+                        spent: [],
+                        transactions: 0
+                    };
+                }
+                ticketTypeBreakdown[ticketType].count += item.quantity;
+                ticketTypeBreakdown[ticketType].spent.push({
+                    currency: transaction.currency,
+                    amount: item.paidPerTicket * item.quantity
+                });
+                ticketTypeBreakdown[ticketType].transactions += 1;
+            });
+        });
+        Object.values(ticketTypeBreakdown).forEach(breakdown => {
+            breakdown.totalSpent = sumByCurrency(breakdown.spent);
+            delete breakdown.spent;
         });
 
         res.json({
@@ -124,7 +137,7 @@ const getPaymentHistory = async (req, res) => {
                 itemsPerPage: parseInt(limit)
             },
             summary: {
-                totalSpent: totalSpent.toFixed(2),
+                totalSpent,
                 totalTickets,
                 totalEvents: new Set(completedTransactions.map(t => t.ticketId?.toString())).size,
                 completedTransactions: completedTransactions.length,
@@ -168,7 +181,7 @@ const getTransactionDetails = async (req, res) => {
                 );
                 stripeDetails = {
                     id: paymentIntent.id,
-                    amount: paymentIntent.amount / 100,
+                    amount: fromMinorUnits(paymentIntent.amount, paymentIntent.currency.toUpperCase()),
                     currency: paymentIntent.currency,
                     status: paymentIntent.status,
                     created: new Date(paymentIntent.created * 1000),
@@ -187,6 +200,9 @@ const getTransactionDetails = async (req, res) => {
                 eventLocation: transaction.ticketId?.location,
                 eventDate: transaction.ticketId?.date,
                 eventTime: transaction.ticketId?.time,
+                eventStartsAt: transaction.ticketId?.startsAt,
+                eventEndsAt: transaction.ticketId?.endsAt,
+                eventTimezone: transaction.ticketId?.timezone,
                 eventAddress: transaction.ticketId?.address,
                 eventImage: transaction.ticketId?.image,
                 eventCategory: transaction.ticketId?.category,
@@ -196,20 +212,18 @@ const getTransactionDetails = async (req, res) => {
                 ticketTypeName: transaction.ticketTypeName,
                 pricePerTicket: transaction.pricePerTicket,
                 ticketCount: transaction.ticketCount,
+                items: transaction.getItems(),
+                currency: transaction.currency,
                 totalAmount: transaction.amount
             },
-            paymentMethod: transaction.paypalOrderId ? 'PayPal' :
-                         transaction.stripePaymentIntentId ? 'Stripe' : 'Unknown',
+            paymentMethod: providerLabel(transaction),
             stripeDetails,
-            formattedAmount: `$${transaction.amount.toFixed(2)}`,
+            formattedAmount: formatMoney(transaction.amount, transaction.currency),
             formattedDate: transaction.createdAt.toLocaleDateString(),
             formattedTime: transaction.createdAt.toLocaleTimeString(),
-            canRefund: transaction.status === 'COMPLETED' &&
-                      transaction.paymentStatus === 'paid' &&
-                      transaction.ticketId?.date &&
-                      new Date(transaction.ticketId.date) > new Date(),
-            isUpcoming: transaction.ticketId?.date &&
-                       new Date(transaction.ticketId.date) > new Date()
+            canRefund: transaction.isRefundable(transaction.ticketId),
+            isUpcoming: Boolean(transaction.ticketId?.startsAt) &&
+                       transaction.ticketId.startsAt > new Date()
         };
 
         res.json(formattedTransaction);
@@ -238,12 +252,15 @@ const getPaymentStatistics = async (req, res) => {
             filter.createdAt = dateFilter;
         }
 
+        // Amounts are only ever added up within one currency
+        const currency = { $ifNull: ['$currency', LEGACY_CURRENCY] };
+
         // Aggregate statistics
         const statistics = await Transaction.aggregate([
             { $match: filter },
             {
                 $group: {
-                    _id: null,
+                    _id: currency,
                     totalTransactions: { $sum: 1 },
                     totalAmount: { $sum: '$amount' },
                     totalTickets: { $sum: '$ticketCount' },
@@ -257,19 +274,56 @@ const getPaymentStatistics = async (req, res) => {
                         $sum: { $cond: [{ $in: ['$status', ['COMPLETED', 'PAID']] }, '$ticketCount', 0] }
                     }
                 }
-            }
+            },
+            { $sort: { _id: 1 } }
         ]);
 
         // Get ticket type breakdown
+        // Orders with line items count towards each tier they include, with the
+        // amount split by list price; older orders are a single line
         const ticketTypeStats = await Transaction.aggregate([
             { $match: { ...filter, status: { $in: ['COMPLETED', 'PAID'] } } },
+            {
+                $project: {
+                    amount: 1,
+                    currency,
+                    listTotal: {
+                        $ifNull: ['$subtotal', { $multiply: ['$pricePerTicket', '$ticketCount'] }]
+                    },
+                    lines: {
+                        $cond: [
+                            { $gt: [{ $size: { $ifNull: ['$items', []] } }, 0] },
+                            '$items',
+                            [{
+                                ticketTypeName: '$ticketTypeName',
+                                quantity: '$ticketCount',
+                                pricePerTicket: '$pricePerTicket'
+                            }]
+                        ]
+                    }
+                }
+            },
+            { $unwind: '$lines' },
             {
                 $group: {
-                    _id: '$ticketTypeName',
-                    count: { $sum: '$ticketCount' },
-                    totalAmount: { $sum: '$amount' },
+                    _id: { ticketTypeName: '$lines.ticketTypeName', currency: '$currency' },
+                    count: { $sum: '$lines.quantity' },
+                    totalAmount: {
+                        $sum: {
+                            $cond: [
+                                { $gt: ['$listTotal', 0] },
+                                {
+                                    $divide: [
+                                        { $multiply: ['$amount', '$lines.pricePerTicket', '$lines.quantity'] },
+                                        '$listTotal'
+                                    ]
+                                },
+                                '$amount'
+                            ]
+                        }
+                    },
                     transactions: { $sum: 1 },
-                    averagePrice: { $avg: '$pricePerTicket' }
+                    averagePrice: { $avg: '$lines.pricePerTicket' }
                 }
             },
             { $sort: { totalAmount: -1 } }
@@ -282,7 +336,8 @@ const getPaymentStatistics = async (req, res) => {
                 $group: {
                     _id: {
                         year: { $year: '$createdAt' },
-                        month: { $month: '$createdAt' }
+                        month: { $month: '$createdAt' },
+                        currency
                     },
                     count: { $sum: '$ticketCount' },
                     totalAmount: { $sum: '$amount' },
@@ -293,14 +348,8 @@ const getPaymentStatistics = async (req, res) => {
         ]);
 
         const result = {
-            overview: statistics[0] || {
-                totalTransactions: 0,
-                totalAmount: 0,
-                totalTickets: 0,
-                completedTransactions: 0,
-                completedAmount: 0,
-                completedTickets: 0
-            },
+            // One entry per currency paid in
+            overview: statistics.map(({ _id, ...totals }) => ({ currency: _id, ...totals })),
             ticketTypeBreakdown: ticketTypeStats,
             monthlyBreakdown: monthlyStats,
             period: {
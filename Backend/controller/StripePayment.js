@@ -1,10 +1,26 @@
-import { createStripeCheckoutSession, retrieveCheckoutSession } from '../utils/stripe.js';
+import {
+  createStripeCheckoutSession,
+  retrieveCheckoutSession,
+  expireCheckoutSession,
+  constructWebhookEvent
+} from '../utils/stripe.js';
 import Ticket from '../models/Event.js';
 import Transaction from '../models/Transaction.js';
-import { v4 as uuidv4 } from 'uuid';
-import Stripe from 'stripe';
-
-const stripe = new Stripe(process.env.STRIPE_SECRET_KEY);
+import IssuedTicket from '../models/Ticket.js';
+import { releaseReservation, paymentDeadline } from '../utils/reservations.js';
+import {
+  holdCheckout,
+  pendingTransactionFields,
+  completePayment,
+  returnRedirect,
+  cancelRedirect,
+  CheckoutError
+} from '../utils/checkout.js';
+import { voidTickets } from '../utils/tickets.js';
+import { availableFor } from '../utils/orderItems.js';
+import { fromMinorUnits } from '../utils/currency.js';
+import stripeProvider, { paymentFromSession } from '../utils/paymentProviders/stripe.js';
+import { PAYMENT_URLS, apiUrl, withQuery } from '../config/urls.js';
 
 export const getalltransaction=async(req,res)=>{
     try{
@@ -31,57 +47,101 @@ if(findtransaction){
 }
 export const createTicketCheckoutSession = async (req, res) => {
     try {
-      const { userId, ticketId, ticketCount } = req.body;
+      // sessionId picks the session of a recurring or multi-day event. Carts send
+      // `items`; single-tier orders may still send ticketType and ticketCount.
+      const { ticketId, items, ticketCount, ticketType } = req.body;
+      const userId = req.user._id;
       
-      if (!userId || !ticketId || !ticketCount) {
-        return res.status(400).json({ message: 'User ID, Ticket ID, and Ticket Count are required.' });
+      if (!ticketId || (!items && (!ticketCount || !ticketType))) {
+        return res.status(400).json({ message: 'Ticket ID and items (or Ticket Count and Ticket Type) are required.' });
       }
       
       const ticket = await Ticket.findById(ticketId);
       if (!ticket) {
         return res.status(404).json({ message: 'Ticket not found.' });
       }
-      
-      const ticketPrice = parseFloat(ticket.price);
-      if (isNaN(ticketPrice)) {
-        return res.status(400).json({ message: 'Invalid ticket price.' });
-      }
-      
-      const totalPrice = ticketPrice * ticketCount;
-      const transactionId = uuidv4();
-      const session = await createStripeCheckoutSession(
-        ticket.title,
-        ticketPrice,
-        ticketCount,
-        `https://afrohub.onrender.com/payment-successful?session_id={CHECKOUT_SESSION_ID}&transaction_id=${transactionId}`,
-        `https://afrohub.onrender.com/payment-cancelled?transaction_id=${transactionId}`,
-        {
-          userId: userId,
-          ticketId: ticketId,
-          transactionId: transactionId
+
+      let checkout;
+      try {
+        checkout = await holdCheckout({ event: ticket, body: req.body, userId });
+      } catch (error) {
+        if (error instanceof CheckoutError) {
+          return res.status(error.status).json({ message: error.message, ...error.details });
         }
+        throw error;
+      }
+      const { transactionId, lines, session: eventSession, subtotal, promo, total: totalPrice, reservation } = checkout;
+
+      // The session closes before the hold lapses (holds outlast Stripe's 30 minute minimum)
+      const expiresAt = paymentDeadline(reservation);
+
+      // Buyers whose client asked to be sent somewhere come back through the API, which
+      // completes or cancels the payment and then redirects; the rest go to the web app
+      const successUrl = checkout.redirects.returnUrl
+        ? apiUrl('/api/stripe/complete-payment/{CHECKOUT_SESSION_ID}')
+        : `${withQuery(PAYMENT_URLS.stripe.returnUrl, { transaction_id: transactionId })}&session_id={CHECKOUT_SESSION_ID}`;
+      const cancelUrl = withQuery(
+        checkout.redirects.cancelUrl ? apiUrl('/api/stripe/cancel-payment') : PAYMENT_URLS.stripe.cancelUrl,
+        { transaction_id: transactionId }
       );
-      console.log(session)
+
+      let session;
+      try {
+        session = await createStripeCheckoutSession(
+          lines.map(line => ({
+            name: `${ticket.title} - ${line.ticketTypeName}`,
+            unitAmount: line.pricePerTicket,
+            quantity: line.quantity
+          })),
+          successUrl,
+          cancelUrl,
+          {
+            userId: userId.toString(),
+            ticketId: ticketId,
+            transactionId: transactionId
+          },
+          expiresAt,
+          promo && { amount: promo.discount, name: `Promo ${promo.promo.code}` },
+          ticket.currency
+        );
+      } catch (error) {
+        await releaseReservation(transactionId, 'Stripe session creation failed');
+        throw error;
+      }
       const paymentStatus = session.payment_status;
       const transaction = new Transaction({
-        transactionId: transactionId,
-        userId,
-        ticketId,
+        ...pendingTransactionFields(ticket, userId, checkout),
+        provider: 'stripe',
+        providerReference: session.id,
         stripeSessionId: session.id,
-        amount: totalPrice,
-        ticketCount,
         paymentStatus
       });
       
       await transaction.save();
-      setupPaymentStatusPolling(session.id, transactionId);
       
       res.status(201).json({
         url: session.url,
         sessionId: session.id,
         transactionId: transaction.transactionId,
+        orderDetails: {
+          eventTitle: ticket.title,
+          ticketType: transaction.ticketType,
+          ticketTypeName: transaction.ticketTypeName,
+          ticketCount: transaction.ticketCount,
+          pricePerTicket: transaction.pricePerTicket,
+          items: lines.map(line => ({
+            ...line,
+            availableAfterPurchase: availableFor(ticket, line.ticketType, eventSession) - line.quantity
+          }))
+        },
+        items: lines,
+        currency: ticket.currency,
         amount: totalPrice,
-        paymentStatus
+        subtotal,
+        discountAmount: promo?.discount || 0,
+        paymentStatus,
+        holdExpiresAt: reservation.expiresAt,
+        eventSession: eventSession && { id: eventSession._id, startsAt: eventSession.startsAt }
       });
       
     } catch (error) {
@@ -90,186 +150,229 @@ export const createTicketCheckoutSession = async (req, res) => {
   };
   
   
-  const setupPaymentStatusPolling = async (sessionId, transactionId) => {
+  // Stripe webhook: replaces polling, so payment updates survive process restarts
+  export const stripeWebhook = async (req, res) => {
+    let event;
     try {
-      const initialDelay = 5000; 
-      const pollingIntervals = [10000, 15000, 30000, 60000, 120000,180000,240000, 
-        300000,  360000,420000,480000,540000,
-        600000, 660000,720000,780000,840000,
-        900000, 
-        1800000,3600000,18000000,86400000]; 
-
-      setTimeout(async () => {
-        await checkAndUpdatePaymentStatus(sessionId, transactionId);
-      }, initialDelay);
-      pollingIntervals.forEach((interval, index) => {
-        setTimeout(async () => {
-          const isCompleted = await checkAndUpdatePaymentStatus(sessionId, transactionId);
-          if (isCompleted) {
-            console.log(`Payment status polling complete for transaction ${transactionId}`);
-          }
-        }, initialDelay + pollingIntervals.slice(0, index + 1).reduce((a, b) => a + b, 0));
-      });
+      event = constructWebhookEvent(req.body, req.headers['stripe-signature']);
     } catch (error) {
-      console.error(`Error setting up payment polling for ${transactionId}:`, error);
+      console.error('Stripe webhook signature verification failed:', error.message);
+      return res.status(400).json({ message: `Webhook Error: ${error.message}` });
     }
-  };
 
-  const checkAndUpdatePaymentStatus = async (sessionId, transactionId) => {
     try {
-      const session = await stripe.checkout.sessions.retrieve(sessionId);
-      const currentStatus = session.payment_status;
-      const transaction = await Transaction.findOne({ transactionId });
-      if (!transaction) {
-        console.error(`Transaction ${transactionId} not found during status update.`);
-        return true;
-      }
-    
-      if (transaction.paymentStatus !== currentStatus) {
-        transaction.paymentStatus = currentStatus;
-        await transaction.save();
-        console.log(`Updated transaction ${transactionId} status to ${currentStatus}`);
-        if (currentStatus === 'paid') {
-          await handleSuccessfulPayment(transaction);
-        } else if (currentStatus === 'failed' || currentStatus === 'canceled') {
-          await handleFailedPayment(transaction);
-        }
+      switch (event.type) {
+        case 'checkout.session.completed':
+          await handleCheckoutSessionCompleted(event.data.object);
+          break;
+        case 'checkout.session.expired':
+          await handleCheckoutSessionExpired(event.data.object);
+          break;
+        case 'charge.refunded':
+          await handleChargeRefunded(event.data.object);
+          break;
+        default:
+          console.log(`Unhandled Stripe event type ${event.type}`);
       }
 
-      return ['paid', 'failed', 'canceled'].includes(currentStatus);
+      res.json({ received: true });
     } catch (error) {
-      console.error(`Error checking payment status for ${transactionId}:`, error);
-      return true; 
+      console.error(`Error processing Stripe event ${event.id}:`, error);
+      res.status(500).json({ message: 'Error processing webhook', error: error.message });
     }
   };
-  
-  const handleSuccessfulPayment = async (transaction) => {
-    try {
-      await Ticket.findByIdAndUpdate(
-        transaction.ticketId,
-        { $inc: { soldCount: transaction.ticketCount } }
+
+  // Transactions created before status was set on Stripe checkouts have no status at all
+  const OPEN_STATUSES = ['PENDING', null];
+
+  const handleCheckoutSessionCompleted = async (session) => {
+    const payment = paymentFromSession(session);
+    if (payment.status !== 'paid') {
+      await Transaction.updateOne(
+        { stripeSessionId: session.id },
+        { paymentStatus: session.payment_status }
       );
-    
-    } catch (error) {
-      console.error(`Error handling successful payment for ${transaction.transactionId}:`, error);
+      return;
+    }
+
+    const transaction = await Transaction.findOne({ stripeSessionId: session.id, status: { $in: OPEN_STATUSES } });
+    if (!transaction) {
+      console.log(`Checkout session ${session.id} already processed or has no transaction`);
+      return;
     }
+
+    // Completed like every other provider's payments; only the first delivery
+    // moves the transaction out of PENDING, so Stripe retries are no-ops
+    await completePayment(transaction, payment);
   };
-  
 
+  const handleCheckoutSessionExpired = async (session) => {
+    const transaction = await Transaction.findOneAndUpdate(
+      { stripeSessionId: session.id, status: { $in: OPEN_STATUSES } },
+      {
+        status: 'CANCELLED',
+        paymentStatus: session.payment_status,
+        paymentDetails: session
+      },
+      { new: true }
+    );
+
+    if (transaction) {
+      await handleFailedPayment(transaction);
+    }
+  };
+
+  const handleChargeRefunded = async (charge) => {
+    // Partial refunds also emit charge.refunded; only a full refund releases the tickets
+    if (!charge.refunded) {
+      console.log(`Charge ${charge.id} partially refunded, leaving transaction unchanged`);
+      return;
+    }
+
+    // Refunds made through our refund endpoint have already moved the transaction on
+    const transaction = await Transaction.findOneAndUpdate(
+      { stripePaymentIntentId: charge.payment_intent, status: { $in: ['COMPLETED', 'PARTIALLY_REFUNDED'] } },
+      {
+        status: 'REFUNDED',
+        paymentStatus: 'refunded',
+        refundedAmount: fromMinorUnits(charge.amount_refunded, charge.currency.toUpperCase())
+      },
+      { new: true }
+    );
+
+    if (!transaction) {
+      console.log(`No open transaction for refunded charge ${charge.id}`);
+      return;
+    }
+
+    transaction.refundedTicketCount = transaction.ticketCount;
+    (transaction.items || []).forEach(item => {
+      item.refundedQuantity = item.quantity;
+    });
+    await transaction.save();
+    await releaseReservation(transaction.transactionId, 'Charge refunded');
+    await voidTickets(transaction);
+  };
+  
   const handleFailedPayment = async (transaction) => {
     try {
+      await releaseReservation(transaction.transactionId, 'Stripe checkout expired');
     } catch (error) {
       console.error(`Error handling failed payment for ${transaction.transactionId}:`, error);
     }
   };
 
-// export const createTicketCheckoutSession = async (req, res) => {
-//     try {
-//       const { userId, ticketId, ticketCount } = req.body;
-     
-//       if (!userId || !ticketId || !ticketCount) {
-//         return res.status(400).json({ message: 'User ID, Ticket ID, and Ticket Count are required.' });
-//       }
-     
-//       const ticket = await Ticket.findById(ticketId);
-//       if (!ticket) {
-//         return res.status(404).json({ message: 'Ticket not found.' });
-//       }
-     
-//       const ticketPrice = parseFloat(ticket.price);
-//       if (isNaN(ticketPrice)) {
-//         return res.status(400).json({ message: 'Invalid ticket price.' });
-//       }
-//       const totalPrice = ticketPrice * ticketCount;
-//       const transactionId = uuidv4();
-//       const session = await createStripeCheckoutSession(
-//         ticket.title,
-//         ticketPrice,
-//         ticketCount,
-//         `https://afrohub.onrender.com/payment-successful?session_id={CHECKOUT_SESSION_ID}`,
-//         `https://afrohub.onrender.com/payment-cancelled`,
-//         {
-//           userId: userId,
-//           ticketId: ticketId,
-//           transactionId: transactionId
-//         }
-//       );
-//       const paymentStatus = session.payment_status;
-      
-//       const transaction = new Transaction({
-//         transactionId: transactionId,
-//         userId,
-//         ticketId,
-//         stripeSessionId: session.id,
-//         amount: totalPrice,
-//         ticketCount,
-//         paymentStatus
-//       });
-     
-//       await transaction.save();
-//       res.status(201).json({
-//         url: session.url,
-//         sessionId: session.id,
-//         transactionId: transaction.transactionId,
-//         amount: totalPrice,
-//         paymentStatus
-//       });
-     
-//     } catch (error) {
-//       res.status(500).json({ message: 'Error creating checkout session', error: error.message });
-//     }
-//   };
-
-
+// Where Stripe sends the buyer after paying. The webhook normally completes the
+// transaction first; if it hasn't arrived yet the payment is completed here.
 export const completeTicketPayment = async (req, res) => {
   try {
     const { session_id } = req.params;
-    console.log('Received session_id:', session_id);
     if (!session_id) {
       return res.status(400).json({ message: 'Session ID is required.' });
     }
 
-    const session = await retrieveCheckoutSession(session_id);
-    
-    const transaction = await Transaction.findOne({ stripeSessionId: session.id });
-   
+    let transaction = await Transaction.findOne({ stripeSessionId: session_id });
     if (!transaction) {
       return res.status(404).json({ message: 'Transaction not found.' });
     }
-   
-    transaction.paymentDetails = session;
-    await transaction.save();
-    
+
+    const payment = await stripeProvider.verifyPayment(session_id);
+    if (transaction.status === 'PENDING' && payment.status === 'paid') {
+      transaction = await completePayment(transaction, payment);
+    }
+
+    if (transaction.returnUrl) {
+      return res.redirect(returnRedirect(transaction));
+    }
+
+    const event = await Ticket.findById(transaction.ticketId);
+    const session = event && transaction.sessionId && event.findSession(transaction.sessionId);
+    const tickets = transaction.status === 'COMPLETED'
+      ? await IssuedTicket.find({ transaction: transaction._id, status: 'VALID' }).sort({ seatNumber: 1 })
+      : [];
+
     res.json({
-      success: true,
-      message: 'Payment processed',
+      success: transaction.status === 'COMPLETED',
+      message: transaction.status === 'COMPLETED' ? 'Payment successful' : 'Payment not completed',
       transactionId: transaction.transactionId,
-      status: session.payment_status,
-      paymentIntent: session.payment_intent
+      status: payment.details.payment_status,
+      paymentIntent: payment.paymentId,
+      ticketDetails: {
+        eventTitle: event?.title,
+        ticketType: transaction.ticketType,
+        ticketTypeName: transaction.ticketTypeName,
+        ticketCount: transaction.ticketCount,
+        items: transaction.getItems().map(item => ({
+          ...item,
+          remainingTickets: event ? availableFor(event, item.ticketType, session) : undefined
+        })),
+        sessionId: transaction.sessionId,
+        sessionStartsAt: transaction.sessionStartsAt,
+        currency: transaction.currency,
+        totalAmount: transaction.amount
+      },
+      tickets: tickets.map(ticket => ({
+        id: ticket._id,
+        seatNumber: ticket.seatNumber,
+        ticketType: ticket.ticketType,
+        code: ticket.code
+      }))
     });
-   
   } catch (error) {
     res.status(500).json({ message: 'Error processing payment', error: error.message });
   }
 };
 
 
+// Where Stripe sends the buyer after leaving checkout. The session is closed so the
+// held tickets can go back on sale straight away instead of when the hold expires.
 export const cancelTicketPayment = async (req, res) => {
   try {
-    const { session_id } = req.query;
-   
-    if (session_id) {
-      
-      const session = await retrieveCheckoutSession(session_id);
-      const transaction = await Transaction.findOne({ stripeSessionId: session_id });
-      
-      if (transaction) {
-        transaction.paymentDetails = session;
-        await transaction.save();
+    const { session_id, transaction_id } = req.query;
+    if (!session_id && !transaction_id) {
+      return res.status(200).json({ message: 'Payment was canceled.' });
+    }
+
+    const transaction = await Transaction.findOne(
+      session_id ? { stripeSessionId: session_id } : { transactionId: transaction_id }
+    );
+    if (!transaction || transaction.status !== 'PENDING' || !transaction.stripeSessionId) {
+      if (transaction?.cancelUrl) {
+        return res.redirect(cancelRedirect(transaction));
       }
+      return res.status(200).json({ message: 'Payment was canceled.', transactionId: transaction?.transactionId });
     }
-   
-    res.status(200).json({ message: 'Payment was canceled.' });
+
+    try {
+      await expireCheckoutSession(transaction.stripeSessionId);
+    } catch (error) {
+      // Sessions that were paid in the meantime can't be expired
+      const payment = await stripeProvider.verifyPayment(transaction.stripeSessionId);
+      if (payment.status !== 'failed') {
+        const settled = payment.status === 'paid' ? await completePayment(transaction, payment) : transaction;
+        if (settled.returnUrl) {
+          return res.redirect(returnRedirect(settled));
+        }
+        return res.status(409).json({
+          message: payment.status === 'paid' ? 'This payment has already been completed.' : 'This payment is still being processed.',
+          transactionId: transaction.transactionId
+        });
+      }
+    }
+
+    const cancelled = await Transaction.findOneAndUpdate(
+      { _id: transaction._id, status: 'PENDING' },
+      { status: 'CANCELLED', paymentDetails: { cancelledAt: new Date(), reason: 'User cancelled payment' } },
+      { new: true }
+    );
+    if (cancelled) {
+      await releaseReservation(cancelled.transactionId, 'User cancelled payment');
+      if (cancelled.cancelUrl) {
+        return res.redirect(cancelRedirect(cancelled));
+      }
+    }
+
+    res.status(200).json({ message: 'Payment was canceled.', transactionId: transaction.transactionId });
   } catch (error) {
     res.status(500).json({ message: 'Error handling payment cancellation', error: error.message });
   }
@@ -288,18 +391,21 @@ export const getPaymentStatus = async (req, res) => {
       let stripeStatus = null;
   
       if (transaction.stripeSessionId) {
-        const session = await stripe.checkout.sessions.retrieve(transaction.stripeSessionId);
+        const session = await retrieveCheckoutSession(transaction.stripeSessionId);
         stripeStatus = session.payment_status;
       }
   
       res.json({
         stripe_status: stripeStatus,
         transactionId: transaction.transactionId,
+        status: transaction.status,
         amount: transaction.amount,
+        currency: transaction.currency,
         ticketCount: transaction.ticketCount,
+        items: transaction.getItems()
       });
     } catch (error) {
       console.error(error);
       res.status(500).json({ message: 'Something went wrong.', error: error.message });
     }
-  };
\ No newline at end of file
+  };
@@ -0,0 +1,50 @@
+import mongoose from "mongoose";
+import User from "../models/userModel.js";
+
+// Users the signed-in user has blocked from messaging them
+export const listBlockedUsers = async (req, res) => {
+    try {
+        const user = await User.findById(req.user._id)
+            .select("+blockedUsers")
+            .populate("blockedUsers", "full_name image");
+
+        res.status(200).json(user?.blockedUsers || []);
+    } catch (error) {
+        res.status(500).json({ message: error.message });
+    }
+};
+
+// Stop a user from sending the signed-in user direct messages
+export const blockUser = async (req, res) => {
+    try {
+        const { userId } = req.params;
+        if (!mongoose.isValidObjectId(userId)) {
+            return res.status(400).json({ message: "Invalid user id" });
+        }
+        if (req.user._id.equals(userId)) {
+            return res.status(400).json({ message: "You can't block yourself" });
+        }
+        if (!await User.exists({ _id: userId })) {
+            return res.status(404).json({ message: "User not found" });
+        }
+
+        await User.updateOne({ _id: req.user._id }, { $addToSet: { blockedUsers: userId } });
+        res.status(200).json({ message: "User blocked" });
+    } catch (error) {
+        res.status(500).json({ message: error.message });
+    }
+};
+
+export const unblockUser = async (req, res) => {
+    try {
+        const { userId } = req.params;
+        if (!mongoose.isValidObjectId(userId)) {
+            return res.status(400).json({ message: "Invalid user id" });
+        }
+
+        await User.updateOne({ _id: req.user._id }, { $pull: { blockedUsers: userId } });
+        res.status(200).json({ message: "User unblocked" });
+    } catch (error) {
+        res.status(500).json({ message: error.message });
+    }
+};
@@ -66,7 +66,8 @@ export const createBusiness = asyncHandler(async (req, res) => {
       instagram,
       webAddress,
       whatsapp,
-      mediaFiles
+      mediaFiles,
+      createdBy: req.user._id
     });
 
     if (business) {
@@ -117,10 +118,11 @@ export const updateBusiness = asyncHandler(async (req, res) => {
     mediaFiles = [];
   }
 
+  const { createdBy, ...updates } = req.body;
   const updatedBusiness = await Business.findByIdAndUpdate(
     businessId,
     {
-      ...req.body,
+      ...updates,
       mediaFiles, // overwrite the mediaFiles array
     },
     { new: true }
@@ -0,0 +1,139 @@
+import crypto from "crypto";
+import mongoose from "mongoose";
+import Event from "../models/Event.js";
+import Transaction from "../models/Transaction.js";
+import User from "../models/userModel.js";
+import { buildCalendar, eventCalendarEntries } from "../utils/ics.js";
+
+// Feeds leave out events that finished more than this many days ago
+const FEED_HISTORY_DAYS = 90;
+
+const eventUrl = (eventId) =>
+  process.env.CLIENT_URL ? `${process.env.CLIENT_URL}/events/${eventId}` : undefined;
+
+const feedUrl = (req, token) => {
+  const base = process.env.API_URL || `${req.protocol}://${req.get("host")}`;
+  return `${base}/api/events/feed/${token}.ics`;
+};
+
+const sendCalendar = (res, calendar, filename) => {
+  res.set({
+    "Content-Type": "text/calendar; charset=utf-8",
+    "Content-Disposition": `${filename ? "attachment" : "inline"}; filename="${filename || "afrohub.ics"}"`,
+    "Cache-Control": "private, max-age=300"
+  });
+  res.send(calendar);
+};
+
+const slugify = (value) =>
+  String(value || "event").toLowerCase().replace(/[^a-z0-9]+/g, "-").replace(/^-|-$/g, "").slice(0, 60) || "event";
+
+// Download an event as an .ics file
+export const getEventIcs = async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(404).json({ message: "Event not found" });
+    }
+    const event = await Event.findById(req.params.id);
+    if (!event) {
+      return res.status(404).json({ message: "Event not found" });
+    }
+    if (!event.startsAt && !event.sessions?.length) {
+      return res.status(422).json({ message: "This event has no start time yet" });
+    }
+
+    const calendar = buildCalendar(
+      eventCalendarEntries(event, { url: eventUrl(event._id), sessionId: req.query.sessionId }),
+      { name: event.title }
+    );
+    sendCalendar(res, calendar, `${slugify(event.title)}.ics`);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+};
+
+// Subscription feed with the events a user has tickets for or bookmarked.
+// The token in the URL is the only credential, as calendar apps can't log in.
+export const getCalendarFeed = async (req, res) => {
+  try {
+    const user = await User.findOne({ calendarFeedToken: req.params.token }).select("bookmarkedEvents");
+    if (!user) {
+      return res.status(404).json({ message: "Calendar feed not found" });
+    }
+
+    const since = new Date(Date.now() - FEED_HISTORY_DAYS * 24 * 60 * 60 * 1000);
+    const transactions = await Transaction.find({
+      userId: user._id,
+      paymentStatus: "paid",
+      status: { $in: ["COMPLETED", "PARTIALLY_REFUNDED"] }
+    }).select("ticketId sessionId");
+
+    const ticketEventIds = transactions.map(transaction => transaction.ticketId).filter(Boolean);
+    const events = await Event.find({
+      _id: { $in: [...ticketEventIds, ...(user.bookmarkedEvents || [])] }
+    });
+    const eventsById = new Map(events.map(event => [event._id.toString(), event]));
+
+    // Ticket holders get the sessions they booked; bookmarks get every session
+    const entries = new Map();
+    const addEntries = (list) => list.forEach(entry => {
+      const key = entry.session ? entry.session._id.toString() : entry.event._id.toString();
+      const end = entry.session?.endsAt || entry.session?.startsAt || entry.event.endsAt || entry.event.startsAt;
+      if (!entries.has(key) && (!end || end >= since)) {
+        entries.set(key, entry);
+      }
+    });
+
+    transactions.forEach(transaction => {
+      const event = eventsById.get(transaction.ticketId?.toString());
+      if (event) {
+        addEntries(eventCalendarEntries(event, { url: eventUrl(event._id), sessionId: transaction.sessionId }));
+      }
+    });
+    (user.bookmarkedEvents || []).forEach(eventId => {
+      const event = eventsById.get(eventId.toString());
+      if (event) {
+        addEntries(eventCalendarEntries(event, { url: eventUrl(event._id) }));
+      }
+    });
+
+    sendCalendar(res, buildCalendar([...entries.values()], { name: "AfroHub events" }));
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+};
+
+// The signed-in user's feed URL, created on first use
+export const getCalendarFeedUrl = async (req, res) => {
+  try {
+    let user = await User.findById(req.user._id).select("+calendarFeedToken");
+    if (!user.calendarFeedToken) {
+      user = await User.findOneAndUpdate(
+        { _id: req.user._id, calendarFeedToken: null },
+        { calendarFeedToken: crypto.randomBytes(24).toString("hex") },
+        { new: true }
+      ).select("+calendarFeedToken") || await User.findById(req.user._id).select("+calendarFeedToken");
+    }
+
+    const url = feedUrl(req, user.calendarFeedToken);
+    res.status(200).json({ url, webcalUrl: url.replace(/^https?:/, "webcal:") });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+};
+
+// Replace the feed URL, e.g. after it was shared by mistake. The old URL stops working.
+export const resetCalendarFeedToken = async (req, res) => {
+  try {
+    const user = await User.findByIdAndUpdate(
+      req.user._id,
+      { calendarFeedToken: crypto.randomBytes(24).toString("hex") },
+      { new: true }
+    ).select("+calendarFeedToken");
+
+    const url = feedUrl(req, user.calendarFeedToken);
+    res.status(200).json({ url, webcalUrl: url.replace(/^https?:/, "webcal:") });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+};
@@ -1,11 +1,30 @@
+import mongoose from "mongoose";
 import Chat from "../models/chat.js";
+import ChatReport from "../models/ChatReport.js";
 import Event from "../models/Event.js";
 import User from "../models/userModel.js";
+import { canJoinEventChat } from "../utils/chatAccess.js";
+import { markChatRead, chatUnread } from "../utils/chatReadMarkers.js";
+import {
+  parseChatPageQuery,
+  findChatPage,
+  formatChatMessage,
+  CHAT_AUTHOR_FIELDS,
+  ChatQueryError
+} from "../utils/chatMessages.js";
+import {
+  canModerateEventChat,
+  findActiveSanction,
+  describeSanction,
+  emitToEventChat,
+  moderatorRoom
+} from "../utils/chatModeration.js";
 
-// Get chat messages for an event
+// Get chat messages for an event, one page at a time
 export const getChatMessages = async (req, res) => {
   try {
     const { eventId } = req.params;
+    const page = parseChatPageQuery(req.query);
 
     // Check if event exists
     const eventExists = await Event.findById(eventId);
@@ -13,14 +32,30 @@ export const getChatMessages = async (req, res) => {
       return res.status(404).json({ message: "Event not found" });
     }
 
+    // Restricted chats are only readable by ticket holders and organisers
+    if (!await canJoinEventChat(eventExists, req.user)) {
+      return res.status(req.user ? 403 : 401).json({ message: "Only ticket holders can read this event's chat" });
+    }
+
+    const sanction = await findActiveSanction(eventExists._id, req.user?._id);
+    if (sanction?.type === "BAN") {
+      return res.status(403).json({ message: describeSanction(sanction), expiresAt: sanction.expiresAt });
+    }
+
     // Fetch chat messages
-    const messages = await Chat.find({ eventId })
-      .populate("user", "full_name") // Populate the user field with the username
-      .select("-eventId") // Exclude eventId from the response
-      .sort({ createdAt: 1 }); // Sort messages by creation time
+    const { messages, hasMore } = await findChatPage(eventExists._id, page);
 
-    res.status(200).json(messages);
+    res.status(200).json({
+      messages: messages.map(chat => formatChatMessage(chat, eventExists)),
+      hasMore,
+      limit: page.limit,
+      // Signed-in readers also get their read marker and unread count
+      ...(req.user && await chatUnread(eventExists._id, req.user._id))
+    });
   } catch (error) {
+    if (error instanceof ChatQueryError) {
+      return res.status(400).json({ message: error.message });
+    }
     res.status(500).json({ message: "Failed to fetch messages", error: error.message });
   }
 };
@@ -28,7 +63,8 @@ export const getChatMessages = async (req, res) => {
 // Send a chat message
 export const sendChatMessage = async (req, res) => {
   try {
-    const { eventId, userId, message } = req.body;
+    const { eventId, message } = req.body;
+    const userId = req.user._id;
 
     // Check if event exists
     const eventExists = await Event.findById(eventId);
@@ -36,6 +72,16 @@ export const sendChatMessage = async (req, res) => {
       return res.status(404).json({ message: "Event not found" });
     }
 
+    if (!await canJoinEventChat(eventExists, req.user)) {
+      return res.status(403).json({ message: "Only ticket holders can post in this event's chat" });
+    }
+
+    // Muted and banned users can't post
+    const sanction = await findActiveSanction(eventExists._id, userId);
+    if (sanction) {
+      return res.status(403).json({ message: describeSanction(sanction), expiresAt: sanction.expiresAt });
+    }
+
     // Check if user exists
     const userExists = await User.findById(userId);
     if (!userExists) {
@@ -46,11 +92,161 @@ export const sendChatMessage = async (req, res) => {
     const chat = new Chat({ eventId, user: userId, message });
     const savedChat = await chat.save();
 
-    // Populate the saved chat with the username
-    const populatedChat = await Chat.findById(savedChat._id).populate("user", "full_name");
+    // Populate the saved chat with its author
+    const populatedChat = await savedChat.populate("user", CHAT_AUTHOR_FIELDS);
 
-    res.status(201).json(populatedChat);
+    res.status(201).json(formatChatMessage(populatedChat, eventExists));
   } catch (error) {
     res.status(500).json({ message: "Failed to send message", error: error.message });
   }
 };
+
+// Mark an event's chat read up to a message, or up to its newest one
+export const readChatMessages = async (req, res) => {
+  try {
+    const { eventId } = req.params;
+    const event = await Event.findById(eventId);
+    if (!event) {
+      return res.status(404).json({ message: "Event not found" });
+    }
+    if (!await canJoinEventChat(event, req.user)) {
+      return res.status(403).json({ message: "Only ticket holders can read this event's chat" });
+    }
+
+    const marker = await markChatRead(event._id, req.user._id, req.body?.messageId);
+    if (marker) {
+      emitToEventChat(req.io, event._id, "messagesRead", { eventId: event._id, ...marker });
+    }
+
+    res.status(200).json({ read: marker, ...await chatUnread(event._id, req.user._id) });
+  } catch (error) {
+    if (error instanceof ChatQueryError) {
+      return res.status(400).json({ message: error.message });
+    }
+    res.status(500).json({ message: "Failed to mark chat read", error: error.message });
+  }
+};
+
+// Load a message that hasn't been deleted, along with its event
+const findMessage = async (messageId) => {
+  if (!mongoose.isValidObjectId(messageId)) {
+    return {};
+  }
+  const chat = await Chat.findOne({ _id: messageId, deletedAt: null });
+  const event = chat && await Event.findById(chat.eventId);
+  return { chat, event };
+};
+
+// Edit one of your own messages
+export const editChatMessage = async (req, res) => {
+  try {
+    const { message } = req.body;
+    if (typeof message !== "string" || !message.trim()) {
+      return res.status(400).json({ message: "Message cannot be empty" });
+    }
+
+    const { chat, event } = await findMessage(req.params.messageId);
+    if (!chat || !event) {
+      return res.status(404).json({ message: "Message not found" });
+    }
+    if (!chat.user.equals(req.user._id)) {
+      return res.status(403).json({ message: "You can only edit your own messages" });
+    }
+
+    const sanction = await findActiveSanction(event._id, req.user._id);
+    if (sanction) {
+      return res.status(403).json({ message: describeSanction(sanction), expiresAt: sanction.expiresAt });
+    }
+
+    chat.message = message;
+    chat.editedAt = new Date();
+    await chat.save();
+    await chat.populate("user", CHAT_AUTHOR_FIELDS);
+
+    const updated = formatChatMessage(chat, event);
+    emitToEventChat(req.io, event._id, "messageUpdated", updated);
+
+    res.status(200).json(updated);
+  } catch (error) {
+    res.status(500).json({ message: "Failed to edit message", error: error.message });
+  }
+};
+
+// Delete a message: authors can delete their own, moderators any message
+export const deleteChatMessage = async (req, res) => {
+  try {
+    const { chat, event } = await findMessage(req.params.messageId);
+    if (!chat || !event) {
+      return res.status(404).json({ message: "Message not found" });
+    }
+
+    const isAuthor = chat.user.equals(req.user._id);
+    if (!isAuthor && !canModerateEventChat(event, req.user)) {
+      return res.status(403).json({ message: "You can only delete your own messages" });
+    }
+
+    chat.deletedAt = new Date();
+    chat.deletedBy = req.user._id;
+    await chat.save();
+
+    // A moderator removing a message deals with any reports of it
+    if (!isAuthor) {
+      await ChatReport.updateMany(
+        { chatId: chat._id, status: "OPEN" },
+        { status: "RESOLVED", resolvedBy: req.user._id, resolvedAt: chat.deletedAt }
+      );
+    }
+
+    emitToEventChat(req.io, event._id, "messageDeleted", {
+      _id: chat._id,
+      eventId: event._id,
+      deletedByModerator: !isAuthor
+    });
+
+    res.status(200).json({ message: "Message deleted" });
+  } catch (error) {
+    res.status(500).json({ message: "Failed to delete message", error: error.message });
+  }
+};
+
+// Report a message to the event's moderators
+export const reportChatMessage = async (req, res) => {
+  try {
+    const { reason } = req.body;
+    if (reason !== undefined && typeof reason !== "string") {
+      return res.status(400).json({ message: "Reason must be text" });
+    }
+
+    const { chat, event } = await findMessage(req.params.messageId);
+    if (!chat || !event || !await canJoinEventChat(event, req.user)) {
+      return res.status(404).json({ message: "Message not found" });
+    }
+    if (chat.user.equals(req.user._id)) {
+      return res.status(400).json({ message: "You can't report your own message" });
+    }
+
+    const report = await ChatReport.create({
+      chatId: chat._id,
+      eventId: event._id,
+      reporter: req.user._id,
+      reason
+    });
+
+    // Only moderators hear about reports, so reporters stay anonymous
+    if (req.io) {
+      req.io.to(moderatorRoom(event._id)).emit("messageReported", {
+        reportId: report._id,
+        messageId: chat._id,
+        eventId: event._id,
+        reason: report.reason
+      });
+    }
+
+    res.status(201).json({ message: "Message reported", reportId: report._id });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(409).json({ message: "You have already reported this message" });
+    }
+    res.status(500).json({ message: "Failed to report message", error: error.message });
+  }
+};
@@ -0,0 +1,167 @@
+import mongoose from "mongoose";
+import ChatReport, { REPORT_STATUSES } from "../models/ChatReport.js";
+import ChatSanction, { SANCTION_TYPES } from "../models/ChatSanction.js";
+import Event from "../models/Event.js";
+import User from "../models/userModel.js";
+import { CHAT_AUTHOR_FIELDS } from "../utils/chatMessages.js";
+import {
+  canModerateEventChat,
+  emitToEventChat,
+  removeFromEventChat,
+  MAX_SANCTION_MINUTES
+} from "../utils/chatModeration.js";
+
+// The moderation queue: reports of an event's chat messages, oldest first.
+// The event is loaded by authorizeOwner.
+export const listChatReports = async (req, res) => {
+  try {
+    const status = req.query.status || "OPEN";
+    if (!REPORT_STATUSES.includes(status)) {
+      return res.status(400).json({ message: `status must be one of ${REPORT_STATUSES.join(", ")}` });
+    }
+
+    const reports = await ChatReport.find({ eventId: req.resource._id, status })
+      .sort({ createdAt: 1 })
+      .populate("reporter", "full_name")
+      .populate({
+        path: "chatId",
+        select: "message user createdAt editedAt deletedAt",
+        populate: { path: "user", select: CHAT_AUTHOR_FIELDS }
+      });
+
+    res.status(200).json(reports.map(report => ({
+      _id: report._id,
+      status: report.status,
+      reason: report.reason,
+      reporter: report.reporter,
+      message: report.chatId,
+      createdAt: report.createdAt,
+      resolvedAt: report.resolvedAt
+    })));
+  } catch (error) {
+    res.status(500).json({ message: "Failed to fetch reports", error: error.message });
+  }
+};
+
+// Close a report, once acted on or found to need no action
+export const updateChatReport = async (req, res) => {
+  try {
+    const { status } = req.body;
+    if (!["RESOLVED", "DISMISSED"].includes(status)) {
+      return res.status(400).json({ message: "status must be RESOLVED or DISMISSED" });
+    }
+
+    const report = mongoose.isValidObjectId(req.params.reportId)
+      ? await ChatReport.findById(req.params.reportId)
+      : null;
+    const event = report && await Event.findById(report.eventId);
+    if (!report || !event) {
+      return res.status(404).json({ message: "Report not found" });
+    }
+    if (!canModerateEventChat(event, req.user)) {
+      return res.status(403).json({ error: "Access denied. You do not have permission to perform this action." });
+    }
+
+    report.status = status;
+    report.resolvedBy = req.user._id;
+    report.resolvedAt = new Date();
+    await report.save();
+
+    res.status(200).json(report);
+  } catch (error) {
+    res.status(500).json({ message: "Failed to update report", error: error.message });
+  }
+};
+
+// Mutes and bans in force in an event's chat
+export const listChatSanctions = async (req, res) => {
+  try {
+    const sanctions = await ChatSanction.find({
+      eventId: req.resource._id,
+      liftedAt: null,
+      expiresAt: { $gt: new Date() }
+    })
+      .sort({ expiresAt: 1 })
+      .populate("userId", "full_name image");
+
+    res.status(200).json(sanctions);
+  } catch (error) {
+    res.status(500).json({ message: "Failed to fetch mutes and bans", error: error.message });
+  }
+};
+
+// Mute or ban a user from an event's chat for a number of minutes
+export const createChatSanction = async (req, res) => {
+  try {
+    const event = req.resource;
+    const { userId, type, reason } = req.body;
+    const durationMinutes = Number(req.body.durationMinutes);
+
+    if (!SANCTION_TYPES.includes(type)) {
+      return res.status(400).json({ message: `type must be one of ${SANCTION_TYPES.join(", ")}` });
+    }
+    if (!Number.isInteger(durationMinutes) || durationMinutes < 1 || durationMinutes > MAX_SANCTION_MINUTES) {
+      return res.status(400).json({ message: `durationMinutes must be a whole number between 1 and ${MAX_SANCTION_MINUTES}` });
+    }
+
+    const user = mongoose.isValidObjectId(userId) ? await User.findById(userId).select("role") : null;
+    if (!user) {
+      return res.status(404).json({ message: "User not found" });
+    }
+    if (canModerateEventChat(event, user)) {
+      return res.status(400).json({ message: "Organisers and staff can't be muted or banned" });
+    }
+
+    const sanction = await ChatSanction.create({
+      eventId: event._id,
+      userId: user._id,
+      type,
+      reason,
+      expiresAt: new Date(Date.now() + durationMinutes * 60 * 1000),
+      createdBy: req.user._id
+    });
+
+    emitToEventChat(req.io, event._id, "userSanctioned", {
+      eventId: event._id,
+      userId: user._id,
+      type,
+      expiresAt: sanction.expiresAt
+    });
+    if (type === "BAN") {
+      await removeFromEventChat(req.io, event._id, user._id);
+    }
+
+    res.status(201).json(sanction);
+  } catch (error) {
+    if (error.name === "ValidationError") {
+      return res.status(400).json({ message: error.message });
+    }
+    res.status(500).json({ message: "Failed to mute or ban user", error: error.message });
+  }
+};
+
+// Lift a mute or ban before it runs out
+export const liftChatSanction = async (req, res) => {
+  try {
+    const sanction = mongoose.isValidObjectId(req.params.sanctionId)
+      ? await ChatSanction.findOneAndUpdate(
+        { _id: req.params.sanctionId, eventId: req.resource._id, liftedAt: null },
+        { liftedAt: new Date(), liftedBy: req.user._id },
+        { new: true }
+      )
+      : null;
+    if (!sanction) {
+      return res.status(404).json({ message: "Mute or ban not found" });
+    }
+
+    emitToEventChat(req.io, sanction.eventId, "userSanctionLifted", {
+      eventId: sanction.eventId,
+      userId: sanction.userId,
+      type: sanction.type
+    });
+
+    res.status(200).json(sanction);
+  } catch (error) {
+    res.status(500).json({ message: "Failed to lift mute or ban", error: error.message });
+  }
+};
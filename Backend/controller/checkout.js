@@ -0,0 +1,280 @@
+import Event from '../models/Event.js';
+import Transaction from '../models/Transaction.js';
+import { releaseReservation, paymentDeadline } from '../utils/reservations.js';
+import {
+    holdCheckout,
+    pendingTransactionFields,
+    completePayment,
+    failPayment,
+    captureAndSettle,
+    returnRedirect,
+    cancelRedirect,
+    CheckoutError
+} from '../utils/checkout.js';
+import { checkoutCallbackUrl, withQuery } from '../config/urls.js';
+import { getProvider, listProviders } from '../utils/paymentProviders/index.js';
+
+const notAvailable = (res, name) =>
+    res.status(404).json({ message: `Payment provider "${name}" is not available.` });
+
+// Clients that asked for it (e.g. the mobile app) are sent back to their returnUrl instead
+const sendResult = (res, transaction, status, body) => transaction.returnUrl
+    ? res.redirect(returnRedirect(transaction))
+    : res.status(status).json(body);
+
+const transactionSummary = (transaction) => ({
+    transactionId: transaction.transactionId,
+    provider: transaction.provider,
+    status: transaction.status,
+    paymentStatus: transaction.paymentStatus,
+    currency: transaction.currency,
+    amount: transaction.amount,
+    ticketCount: transaction.ticketCount,
+    items: transaction.getItems()
+});
+
+// Report a transaction that was already settled, or is being captured by another request
+const sendStatus = (res, transaction) => transaction.status === 'CAPTURING'
+    ? sendResult(res, transaction, 202, {
+        message: 'The payment is being completed.',
+        ...transactionSummary(transaction)
+    })
+    : sendResult(res, transaction, 200, transactionSummary(transaction));
+
+// Providers that can be used here, optionally only those that can charge in `currency`
+export const getProviders = async (req, res) => {
+    const currency = req.query.currency?.toUpperCase();
+    res.json({
+        providers: listProviders()
+            .filter(provider => !currency || provider.supportsCurrency(currency))
+            .map(provider => ({ name: provider.name, label: provider.label }))
+    });
+};
+
+export const createCheckout = async (req, res) => {
+    try {
+        const provider = getProvider(req.params.provider);
+        if (!provider) {
+            return notAvailable(res, req.params.provider);
+        }
+
+        // Carts send `items`; single-tier orders may still send ticketType and ticketCount
+        const { ticketId, items, ticketCount, ticketType } = req.body;
+        const userId = req.user._id;
+        if (!ticketId || (!items && (!ticketCount || !ticketType))) {
+            return res.status(400).json({ message: 'Ticket ID and items (or ticket count and type) are required.' });
+        }
+
+        const event = await Event.findById(ticketId);
+        if (!event) {
+            return res.status(404).json({ message: 'Event not found.' });
+        }
+        if (!provider.supportsCurrency(event.currency)) {
+            return res.status(400).json({ message: `${provider.label} does not support payments in ${event.currency}.` });
+        }
+
+        let checkout;
+        try {
+            checkout = await holdCheckout({ event, body: req.body, userId });
+        } catch (error) {
+            if (error instanceof CheckoutError) {
+                return res.status(error.status).json({ message: error.message, ...error.details });
+            }
+            throw error;
+        }
+
+        let payment;
+        try {
+            payment = await provider.createCheckout({
+                transactionId: checkout.transactionId,
+                title: event.title,
+                eventId: event._id,
+                lines: checkout.lines,
+                subtotal: checkout.subtotal,
+                discount: checkout.promo?.discount || 0,
+                promoCode: checkout.promo?.promo.code,
+                total: checkout.total,
+                currency: event.currency,
+                customer: { id: userId, email: req.user.email, name: req.user.full_name || req.user.name },
+                expiresAt: paymentDeadline(checkout.reservation),
+                callbackUrl: checkoutCallbackUrl(provider.name, 'verify'),
+                cancelUrl: withQuery(checkoutCallbackUrl(provider.name, 'cancel'), { transactionId: checkout.transactionId })
+            });
+        } catch (error) {
+            await releaseReservation(checkout.transactionId, `${provider.label} checkout creation failed`);
+            throw error;
+        }
+
+        const transaction = await Transaction.create({
+            ...pendingTransactionFields(event, userId, checkout),
+            provider: provider.name,
+            providerReference: payment.reference,
+            ...payment.fields
+        });
+
+        res.status(201).json({
+            provider: provider.name,
+            checkoutUrl: payment.checkoutUrl,
+            reference: payment.reference,
+            transactionId: transaction.transactionId,
+            items: checkout.lines,
+            currency: event.currency,
+            subtotal: checkout.subtotal,
+            discountAmount: transaction.discountAmount,
+            amount: checkout.total,
+            holdExpiresAt: checkout.reservation.expiresAt,
+            eventSession: checkout.session && { id: checkout.session._id, startsAt: checkout.session.startsAt }
+        });
+    } catch (error) {
+        console.error('Error creating checkout:', error);
+        res.status(500).json({ message: 'Error creating checkout: ' + error.message });
+    }
+};
+
+// Where the provider sends the buyer back after paying. Safe to call again:
+// a transaction that is no longer pending is just reported.
+export const verifyCheckout = async (req, res) => {
+    try {
+        const provider = getProvider(req.params.provider);
+        if (!provider) {
+            return notAvailable(res, req.params.provider);
+        }
+
+        const reference = provider.referenceFrom(req.query);
+        if (!reference) {
+            return res.status(400).json({ message: 'Missing payment reference.' });
+        }
+
+        let transaction = await Transaction.findOne({ provider: provider.name, providerReference: reference });
+        if (!transaction) {
+            return res.status(404).json({ message: 'Transaction not found.' });
+        }
+
+        let outcome;
+        if (provider.capturesOnVerify) {
+            ({ transaction, outcome } = await captureAndSettle(provider, transaction, reference));
+        } else if (transaction.status !== 'PENDING') {
+            outcome = 'claimed';
+        } else {
+            const payment = await provider.verifyPayment(reference);
+            if (payment.status === 'pending') {
+                outcome = 'pending';
+            } else {
+                outcome = 'settled';
+                transaction = payment.status === 'paid'
+                    ? await completePayment(transaction, payment)
+                    : await failPayment(transaction, 'Payment failed', payment.details);
+            }
+        }
+
+        // A repeated or concurrent request reports the transaction as it stands
+        if (outcome === 'claimed') {
+            return sendStatus(res, transaction);
+        }
+        if (outcome === 'soldOut') {
+            return sendResult(res, transaction, 409, {
+                message: 'The tickets sold out before the payment was completed.',
+                ...transactionSummary(transaction)
+            });
+        }
+        if (outcome === 'pending') {
+            return sendResult(res, transaction, 202, {
+                message: 'The payment has not been completed yet.',
+                ...transactionSummary(transaction)
+            });
+        }
+
+        // Paid after the tickets sold out: the payment is refunded (or queued for a refund)
+        const soldOut = ['REFUNDED', 'NEEDS_REFUND'].includes(transaction.status);
+        sendResult(res, transaction, transaction.status === 'COMPLETED' ? 200 : soldOut ? 409 : 402, transactionSummary(transaction));
+    } catch (error) {
+        console.error('Error verifying payment:', error);
+        res.status(500).json({ message: 'Error verifying payment: ' + error.message });
+    }
+};
+
+// Where the buyer lands after abandoning the provider's checkout page
+export const cancelCheckout = async (req, res) => {
+    try {
+        const provider = getProvider(req.params.provider);
+        if (!provider) {
+            return notAvailable(res, req.params.provider);
+        }
+
+        const { transactionId } = req.query;
+        let transaction = transactionId && await Transaction.findOne({
+            transactionId,
+            provider: provider.name,
+            status: 'PENDING'
+        });
+        if (!transaction) {
+            return res.json({ message: 'Payment was cancelled.', transactionId });
+        }
+
+        // The buyer may have paid in another tab; PayPal only charges on capture
+        if (!provider.capturesOnVerify) {
+            const payment = await provider.verifyPayment(transaction.providerReference);
+            if (payment.status === 'paid') {
+                transaction = await completePayment(transaction, payment);
+                return sendResult(res, transaction, 200, {
+                    message: 'Payment was already completed.',
+                    ...transactionSummary(transaction)
+                });
+            }
+        }
+
+        const cancelled = await Transaction.findOneAndUpdate(
+            { _id: transaction._id, status: 'PENDING' },
+            { status: 'CANCELLED', paymentDetails: { cancelledAt: new Date(), reason: 'User cancelled payment' } },
+            { new: true }
+        );
+        if (cancelled) {
+            await releaseReservation(cancelled.transactionId, 'User cancelled payment');
+            if (cancelled.cancelUrl) {
+                return res.redirect(cancelRedirect(cancelled));
+            }
+        }
+
+        res.json({ message: 'Payment was cancelled.', transactionId });
+    } catch (error) {
+        console.error('Error cancelling checkout:', error);
+        res.status(500).json({ message: 'Error cancelling checkout: ' + error.message });
+    }
+};
+
+// Payment notifications signed by the provider; the body arrives raw (see server.js)
+export const checkoutWebhook = async (req, res) => {
+    const provider = getProvider(req.params.provider);
+    if (!provider?.parseWebhook) {
+        return notAvailable(res, req.params.provider);
+    }
+
+    let event;
+    try {
+        event = provider.parseWebhook(req.body, req.headers);
+    } catch (error) {
+        console.error(`${provider.label} webhook verification failed:`, error.message);
+        return res.status(400).json({ message: `Webhook Error: ${error.message}` });
+    }
+    if (!event) {
+        return res.json({ received: true });
+    }
+
+    try {
+        const transaction = await Transaction.findOne({
+            provider: provider.name,
+            providerReference: event.reference,
+            status: 'PENDING'
+        });
+        if (transaction && event.payment.status === 'paid') {
+            await completePayment(transaction, event.payment);
+        } else if (transaction && event.payment.status === 'failed') {
+            await failPayment(transaction, 'Payment failed', event.payment.details);
+        }
+
+        res.json({ received: true });
+    } catch (error) {
+        console.error(`Error processing ${provider.label} event ${event.id}:`, error);
+        res.status(500).json({ message: 'Error processing webhook', error: error.message });
+    }
+};
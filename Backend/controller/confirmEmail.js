@@ -0,0 +1,127 @@
+import User from "../models/userModel.js";
+import Token from "../models/tokenModel.js";
+import crypto from "crypto";
+import asyncHandler from "express-async-handler";
+import sendEmail from "../utils/emailSender.js";
+
+const CODE_VALID_MINUTES = 30;
+// Wrong guesses allowed before a code stops working
+const MAX_CODE_ATTEMPTS = 5;
+// How long to wait before asking for another code
+const RESEND_INTERVAL_SECONDS = 60;
+
+const hashCode = (code) => crypto.createHash('sha256').update(code).digest("hex");
+
+// Create a fresh verification code for the user and email it.
+// Any earlier codes stop working.
+export const sendVerificationCode = async (user) => {
+    await Token.deleteMany({ userId: user._id, purpose: "email_verification" });
+
+    const code = crypto.randomInt(100000, 1000000).toString();
+    await new Token({
+        userId: user._id,
+        token: hashCode(code),
+        purpose: "email_verification",
+        createdAt: Date.now(),
+        expiresAt: Date.now() + CODE_VALID_MINUTES * 60 * 1000,
+    }).save();
+
+    const link = process.env.CLIENT_URL
+        ? `${process.env.CLIENT_URL}/verify-email?email=${encodeURIComponent(user.email)}&code=${code}`
+        : null;
+
+    const message = `
+    <h1>Hello ${user.name}</h1>
+    <p>Welcome to AfroHub! Your email verification code is: <strong>${code}</strong></p>
+    ${link ? `<p>Or confirm your email by opening <a href="${link}">this link</a>.</p>` : ""}
+    <p>This code is valid for ${CODE_VALID_MINUTES} minutes.</p>
+    `;
+
+    await sendEmail("Verify your email", message, user.email, process.env.EMAIL_USER);
+};
+
+// Confirm an email address with the code that was sent to it
+const confirmEmail = asyncHandler(async (req, res) => {
+    const { email, code } = req.body;
+
+    if (!email || !code) {
+        res.status(400);
+        throw new Error("Please provide your email and verification code.");
+    }
+
+    const user = await User.findOne({ email });
+    if (!user) {
+        res.status(400);
+        throw new Error("User does not exist");
+    }
+
+    if (user.isVerified !== false) {
+        return res.status(200).json({ message: "Email already verified" });
+    }
+
+    const userToken = await Token.findOne({
+        userId: user._id,
+        purpose: "email_verification",
+        expiresAt: { $gt: Date.now() },
+    });
+
+    if (!userToken || userToken.attempts >= MAX_CODE_ATTEMPTS) {
+        res.status(400);
+        throw new Error("Verification code is invalid or has expired");
+    }
+
+    if (userToken.token !== hashCode(String(code))) {
+        // Six digits are easy to guess given enough tries, so the code dies after a few wrong ones
+        const counted = await Token.findOneAndUpdate(
+            { _id: userToken._id, attempts: { $lt: MAX_CODE_ATTEMPTS } },
+            { $inc: { attempts: 1 } },
+            { new: true }
+        );
+        res.status(400);
+        if (!counted || counted.attempts >= MAX_CODE_ATTEMPTS) {
+            await Token.deleteOne({ _id: userToken._id });
+            throw new Error("Too many wrong codes. Please ask for a new verification code.");
+        }
+        throw new Error("Verification code is invalid or has expired");
+    }
+
+    user.isVerified = true;
+    user.emailVerifiedAt = new Date();
+    await user.save();
+    await Token.deleteMany({ userId: user._id, purpose: "email_verification" });
+
+    res.status(200).json({ message: "Email verified successfully", isVerified: true });
+});
+
+// Send a new verification code
+export const resendVerification = asyncHandler(async (req, res) => {
+    const user = await User.findOne({ email: req.body.email });
+
+    if (!user) {
+        res.status(400);
+        throw new Error("User does not exist");
+    }
+
+    if (user.isVerified !== false) {
+        return res.status(200).json({ message: "Email already verified" });
+    }
+
+    const latest = await Token.findOne({ userId: user._id, purpose: "email_verification" }).sort({ createdAt: -1 });
+    const waitSeconds = latest
+        ? Math.ceil((latest.createdAt.getTime() + RESEND_INTERVAL_SECONDS * 1000 - Date.now()) / 1000)
+        : 0;
+    if (waitSeconds > 0) {
+        res.status(429);
+        throw new Error(`Please wait ${waitSeconds} seconds before asking for another code.`);
+    }
+
+    try {
+        await sendVerificationCode(user);
+        res.status(200).json({ success: true, message: "Verification code sent" });
+    } catch (error) {
+        res.status(500);
+        throw new Error("Email not sent, please try again");
+    }
+});
+
+export default confirmEmail;
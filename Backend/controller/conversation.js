@@ -0,0 +1,131 @@
+import Conversation from "../models/Conversation.js";
+import DirectMessage from "../models/DirectMessage.js";
+import { CHAT_AUTHOR_FIELDS, parseChatPageQuery, findMessagePage, ChatQueryError } from "../utils/chatMessages.js";
+import {
+  startConversation,
+  findConversationFor,
+  formatConversation,
+  formatDirectMessage,
+  countUnread,
+  markConversationRead,
+  postDirectMessage,
+  emitToConversation,
+  DirectMessageError
+} from "../utils/directMessages.js";
+
+const DEFAULT_CONVERSATIONS_PAGE = 20;
+const MAX_CONVERSATIONS_PAGE = 50;
+
+const sendError = (res, error, fallback) => {
+  if (error instanceof DirectMessageError) {
+    return res.status(error.status).json({ message: error.message });
+  }
+  if (error instanceof ChatQueryError) {
+    return res.status(400).json({ message: error.message });
+  }
+  res.status(500).json({ message: fallback, error: error.message });
+};
+
+// The signed-in user's conversations, most recently active first
+export const listConversations = async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit, 10) || DEFAULT_CONVERSATIONS_PAGE, MAX_CONVERSATIONS_PAGE);
+    const filter = { participants: req.user._id };
+    if (req.query.before) {
+      const before = new Date(req.query.before);
+      if (Number.isNaN(before.getTime())) {
+        return res.status(400).json({ message: "before must be a valid date" });
+      }
+      filter.lastMessageAt = { $lt: before };
+    }
+
+    const conversations = await Conversation.find(filter)
+      .sort({ lastMessageAt: -1 })
+      .limit(limit + 1)
+      .populate("participants", CHAT_AUTHOR_FIELDS);
+
+    const hasMore = conversations.length > limit;
+    const page = conversations.slice(0, limit);
+    const unreadCounts = await Promise.all(page.map(conversation => countUnread(conversation, req.user._id)));
+    res.status(200).json({
+      conversations: page.map((conversation, index) => formatConversation(conversation, unreadCounts[index])),
+      hasMore,
+      nextBefore: hasMore ? page[page.length - 1].lastMessageAt : null
+    });
+  } catch (error) {
+    sendError(res, error, "Failed to fetch conversations");
+  }
+};
+
+// Start a conversation, or get the existing one with the same person
+export const createConversation = async (req, res) => {
+  try {
+    const { conversation, created } = await startConversation(req.user, req.body);
+    await conversation.populate("participants", CHAT_AUTHOR_FIELDS);
+
+    res.status(created ? 201 : 200).json(formatConversation(conversation));
+  } catch (error) {
+    sendError(res, error, "Failed to start conversation");
+  }
+};
+
+export const getConversation = async (req, res) => {
+  try {
+    const conversation = await findConversationFor(req.params.conversationId, req.user._id);
+    await conversation.populate("participants", CHAT_AUTHOR_FIELDS);
+
+    res.status(200).json(formatConversation(conversation, await countUnread(conversation, req.user._id)));
+  } catch (error) {
+    sendError(res, error, "Failed to fetch conversation");
+  }
+};
+
+// A page of a conversation's messages, paged like event chat
+export const getConversationMessages = async (req, res) => {
+  try {
+    const page = parseChatPageQuery(req.query);
+    const conversation = await findConversationFor(req.params.conversationId, req.user._id);
+
+    const { messages, hasMore } = await findMessagePage(DirectMessage, {
+      scope: { conversationId: conversation._id },
+      author: "sender"
+    }, page);
+
+    res.status(200).json({
+      messages: messages.map(formatDirectMessage),
+      hasMore,
+      limit: page.limit
+    });
+  } catch (error) {
+    sendError(res, error, "Failed to fetch messages");
+  }
+};
+
+export const sendConversationMessage = async (req, res) => {
+  try {
+    const conversation = await findConversationFor(req.params.conversationId, req.user._id);
+    const message = await postDirectMessage(conversation, req.user, req.body.message);
+
+    emitToConversation(req.io, conversation, "directMessage", message);
+
+    res.status(201).json(message);
+  } catch (error) {
+    sendError(res, error, "Failed to send message");
+  }
+};
+
+// Mark the conversation read up to a message, or up to its newest one
+export const readConversation = async (req, res) => {
+  try {
+    const conversation = await findConversationFor(req.params.conversationId, req.user._id);
+    const marker = await markConversationRead(conversation, req.user._id, req.body?.messageId);
+
+    if (marker) {
+      emitToConversation(req.io, conversation, "dm:messagesRead", { conversationId: conversation._id, ...marker });
+    }
+
+    res.status(200).json({ read: marker });
+  } catch (error) {
+    sendError(res, error, "Failed to mark conversation read");
+  }
+};
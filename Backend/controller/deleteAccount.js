@@ -1,4 +1,5 @@
 import User from "../models/userModel.js";
+import { hasPermission } from "../middleware/permissions.js";
 
 export const deleteAccount = async (req, res) => {
   try {
@@ -17,6 +18,14 @@ export const deleteAccount = async (req, res) => {
       query = { _id: userId };  // Search by userId
     }
 
+    // Only admins may delete accounts other than their own
+    if (!hasPermission(req.user, 'users:manage')) {
+      const isOwnAccount = email ? email === req.user.email : userId === req.user._id.toString();
+      if (!isOwnAccount) {
+        return res.status(403).json({ message: "You can only delete your own account" });
+      }
+    }
+
     // Find and delete the user
     const deletedUser = await User.findOneAndDelete(query);
 
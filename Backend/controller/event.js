@@ -1,8 +1,13 @@
-import Event from "../models/Event.js";
+import Event, { CHAT_ACCESS } from "../models/Event.js";
 import Transaction from "../models/Transaction.js";
 import Notification from "../models/Notification.js";
+import Reservation from "../models/Reservation.js";
 import cloudinary from '../config/cloudinary.js';
 import { Readable } from 'stream';
+import { hasPermission } from '../middleware/permissions.js';
+import { parseSearchQuery, buildSearchPipeline, encodeCursor, SearchQueryError } from '../utils/eventSearch.js';
+import { buildSessions, parseSessionsInput, ScheduleError } from '../utils/eventSchedule.js';
+import { isValidCurrency } from '../utils/currency.js';
 
 // Helper function to upload buffer to Cloudinary
 const uploadToCloudinary = async (buffer, folder) => {
@@ -110,6 +115,25 @@ const parsePricingData = (body) => {
   return pricingMap;
 };
 
+// Co-organisers arrive as an array, a JSON array string (multipart forms) or comma-separated ids
+const parseCoOrganisers = (value) => {
+  if (value === undefined) {
+    return undefined;
+  }
+  if (Array.isArray(value)) {
+    return value.filter(Boolean);
+  }
+  try {
+    const parsed = JSON.parse(value);
+    if (Array.isArray(parsed)) {
+      return parsed.filter(Boolean);
+    }
+  } catch (e) {
+    // Not JSON, fall through to comma-separated ids
+  }
+  return String(value).split(',').map(id => id.trim()).filter(Boolean);
+};
+
 // Validation helper for pricing data
 const validatePricingData = (pricingMap) => {
   if (pricingMap.size === 0) {
@@ -127,6 +151,12 @@ const validatePricingData = (pricingMap) => {
     if (value.price < 0) {
       return { valid: false, message: `Price for ${value.name} cannot be negative` };
     }
+    if (!Number.isInteger(value.price)) {
+      return {
+        valid: false,
+        message: `Price for ${value.name} must be a whole number in minor units (e.g. 2500 for 25.00)`
+      };
+    }
     if (value.available < 0) {
       return { valid: false, message: `Available tickets for ${value.name} cannot be negative` };
     }
@@ -135,29 +165,213 @@ const validatePricingData = (pricingMap) => {
   return { valid: true };
 };
 
+// Sales totals per ticket type plus buyer details for a set of paid transactions.
+// Refunded tickets are left out of the counts and revenue.
+export const summariseSales = (transactions) => {
+  const ticketTypeSummary = {};
+  let totalTicketsSold = 0;
+  let totalRevenue = 0;
+
+  transactions.forEach(transaction => {
+    transaction.getItems().forEach(item => {
+      const count = item.quantity - item.refundedQuantity;
+      const revenue = transaction.paidPerTicket(item.ticketType) * count;
+
+      if (!ticketTypeSummary[item.ticketType]) {
+        ticketTypeSummary[item.ticketType] = {
+          name: item.ticketTypeName,
+          count: 0,
+          revenue: 0,
+          averagePrice: 0
+        };
+      }
+
+      const summary = ticketTypeSummary[item.ticketType];
+      summary.count += count;
+      summary.revenue += revenue;
+      summary.averagePrice = summary.count > 0 ? summary.revenue / summary.count : 0;
+
+      totalTicketsSold += count;
+      totalRevenue += revenue;
+    });
+  });
+
+  // Format the buyers' details
+  const buyers = transactions.map((transaction) => ({
+    username: transaction.userId?.username,
+    full_name: transaction.userId?.full_name,
+    email: transaction.userId?.email,
+    ticketCount: transaction.ticketCount,
+    ticketType: transaction.ticketType,
+    ticketTypeName: transaction.ticketTypeName,
+    pricePerTicket: transaction.pricePerTicket,
+    items: transaction.getItems(),
+    amount: transaction.amount,
+    purchaseDate: transaction.createdAt,
+    transactionId: transaction.transactionId
+  }));
+
+  return { ticketTypeSummary, totalTicketsSold, totalRevenue, buyers };
+};
+
+// Recurring and multi-day events list their sessions with the seats left in
+// each; their total availability is summed over the sessions still on
+const addSessions = (eventObj, event) => {
+  if (event.sessions?.length) {
+    eventObj.sessions = event.getSessions();
+    eventObj.totalAvailable = eventObj.sessions
+      .filter(session => session.status !== 'CANCELLED')
+      .reduce((sum, session) => sum + session.ticketTypes.reduce((count, t) => count + t.available, 0), 0);
+  }
+  return eventObj;
+};
+
+// Convert pricing Map to Object for JSON list responses
+const formatEventListItem = (event) => {
+  const eventObj = event.toObject();
+  if (eventObj.pricing) {
+    eventObj.ticketTypes = event.getTicketTypes();
+    // Calculate price range for display
+    const prices = event.getTicketTypes().map(t => t.price);
+    eventObj.priceRange = {
+      min: Math.min(...prices),
+      max: Math.max(...prices),
+      currency: event.currency
+    };
+  }
+  return addSessions(eventObj, event);
+};
+
+// Work out the sessions for `draft`, an Event document holding the event's
+// new start, end, time zone and pricing. Sessions that already sold tickets
+// can't be dropped from the schedule; they have to be cancelled instead.
+const scheduleSessions = async (draft, { recurrenceRule, sessions, existing = [] }) => {
+  // Runs the hooks that derive startsAt from the date and time strings
+  await draft.validate();
+
+  const { sessions: built, removed } = buildSessions({
+    pricing: draft.pricing,
+    startsAt: draft.startsAt,
+    endsAt: draft.endsAt,
+    timezone: draft.timezone,
+    recurrenceRule,
+    sessions,
+    existing
+  });
+
+  if (removed.length > 0) {
+    const sold = await Reservation.exists({
+      sessionId: { $in: removed.map(session => session._id) },
+      status: { $in: ['HELD', 'CONFIRMED'] }
+    });
+    if (sold) {
+      throw new ScheduleError('Sessions with tickets sold cannot be removed; set their status to CANCELLED instead');
+    }
+  }
+  return built;
+};
+
+const DEFAULT_NEARBY_RADIUS_KM = 25;
+const MAX_NEARBY_RADIUS_KM = 500;
+const MAX_NEARBY_RESULTS = 100;
+
 const eventController = {
   // Get featured and upcoming events
   getFeaturedEvents: async (req, res) => {
     try {
       const events = await Event.find()
-        .sort({ date: 1 });
-
-      // Convert pricing Map to Object for JSON response
-      const formattedEvents = events.map(event => {
-        const eventObj = event.toObject();
-        if (eventObj.pricing) {
-          eventObj.ticketTypes = event.getTicketTypes();
-          // Calculate price range for display
-          const prices = event.getTicketTypes().map(t => t.price);
-          eventObj.priceRange = {
-            min: Math.min(...prices),
-            max: Math.max(...prices)
-          };
-        }
+        .sort({ startsAt: 1, date: 1 });
+
+      res.json(events.map(formatEventListItem));
+    } catch (error) {
+      res.status(500).json({ message: error.message });
+    }
+  },
+
+  // Search and filter events, one page at a time
+  listEvents: async (req, res) => {
+    try {
+      const search = parseSearchQuery(req.query);
+      const [result] = await Event.aggregate(buildSearchPipeline(search));
+
+      const hasMore = result.events.length > search.limit;
+      const page = result.events.slice(0, search.limit);
+      const last = page[page.length - 1];
+
+      res.json({
+        events: page.map(({ _sortDate, _score, _rowId, sessions: session, ...doc }) => {
+          const eventObj = formatEventListItem(Event.hydrate(doc));
+          if (session) {
+            // A session row: show that occurrence and the seats left in it
+            eventObj.session = {
+              id: session._id,
+              startsAt: session.startsAt,
+              endsAt: session.endsAt,
+              title: session.title
+            };
+            eventObj.ticketTypes = (eventObj.ticketTypes || []).map(ticketType => ({
+              ...ticketType,
+              available: session.inventory?.[ticketType.id] ?? 0
+            }));
+            eventObj.totalAvailable = eventObj.ticketTypes.reduce((sum, t) => sum + t.available, 0);
+          }
+          if (search.q) {
+            eventObj.score = _score;
+          }
+          return eventObj;
+        }),
+        total: result.total[0]?.count || 0,
+        hasMore,
+        nextCursor: hasMore
+          ? encodeCursor(search.byRelevance ? last._score : last._sortDate, last._rowId.toString())
+          : null
+      });
+    } catch (error) {
+      if (error instanceof SearchQueryError) {
+        return res.status(400).json({ message: error.message });
+      }
+      res.status(500).json({ message: error.message });
+    }
+  },
+
+  // Events within a radius of a point, closest first
+  getNearbyEvents: async (req, res) => {
+    try {
+      const lat = parseFloat(req.query.lat);
+      const lng = parseFloat(req.query.lng);
+      const radiusKm = req.query.radiusKm === undefined
+        ? DEFAULT_NEARBY_RADIUS_KM
+        : parseFloat(req.query.radiusKm);
+      const limit = Math.min(parseInt(req.query.limit, 10) || 50, MAX_NEARBY_RESULTS);
+
+      if (!Number.isFinite(lat) || !Number.isFinite(lng) || Math.abs(lat) > 90 || Math.abs(lng) > 180) {
+        return res.status(400).json({ message: "lat and lng must be valid coordinates" });
+      }
+      if (!Number.isFinite(radiusKm) || radiusKm <= 0 || radiusKm > MAX_NEARBY_RADIUS_KM) {
+        return res.status(400).json({ message: `radiusKm must be between 0 and ${MAX_NEARBY_RADIUS_KM}` });
+      }
+
+      // $geoNear returns results sorted by distance (in metres)
+      const results = await Event.aggregate([
+        {
+          $geoNear: {
+            near: { type: 'Point', coordinates: [lng, lat] },
+            key: 'geoLocation',
+            distanceField: 'distance',
+            maxDistance: radiusKm * 1000,
+            spherical: true
+          }
+        },
+        { $limit: limit }
+      ]);
+
+      const events = results.map(result => {
+        const eventObj = formatEventListItem(Event.hydrate(result));
+        eventObj.distanceKm = Math.round(result.distance) / 1000;
         return eventObj;
       });
 
-      res.json(formattedEvents);
+      res.json(events);
     } catch (error) {
       res.status(500).json({ message: error.message });
     }
@@ -179,10 +393,11 @@ const eventController = {
       eventObj.totalAvailable = ticketTypes.reduce((sum, t) => sum + t.available, 0);
       eventObj.priceRange = {
         min: Math.min(...ticketTypes.map(t => t.price)),
-        max: Math.max(...ticketTypes.map(t => t.price))
+        max: Math.max(...ticketTypes.map(t => t.price)),
+        currency: event.currency
       };
 
-      res.json(eventObj);
+      res.json(addSessions(eventObj, event));
     } catch (error) {
       res.status(500).json({ message: error.message });
     }
@@ -192,9 +407,17 @@ const eventController = {
     try {
       const {
         title, location, date, price, category, time, address, latitude, longitude,
-        organiser, description, unit, paypalUsername, geoTag
+        organiser, description, unit, paypalUsername, geoTag, startsAt, endsAt, timezone, recurrenceRule, currency,
+        chatAccess
       } = req.body;
 
+      if (currency !== undefined && !isValidCurrency(currency)) {
+        return res.status(400).json({ message: `${currency} is not a valid currency code` });
+      }
+      if (chatAccess !== undefined && !CHAT_ACCESS.includes(chatAccess)) {
+        return res.status(400).json({ message: `Chat access must be one of ${CHAT_ACCESS.join(', ')}` });
+      }
+
       // Upload image to Cloudinary if provided
       let imageUrl = null;
       if (req.file) {
@@ -216,11 +439,27 @@ const eventController = {
 
       const event = new Event({
         title, location, date, price, category, time, address, latitude, longitude,
-        organiser, description, unit, paypalUsername, geoTag,
+        organiser, description, unit, paypalUsername, geoTag, startsAt, endsAt,
+        timezone: timezone || undefined,
+        currency: currency || undefined,
+        chatAccess: chatAccess || undefined,
         pricing: pricingMap,
-        image: imageUrl
+        image: imageUrl,
+        createdBy: req.user._id,
+        coOrganisers: parseCoOrganisers(req.body.coOrganisers) || []
       });
 
+      // Recurring (RRULE) or multi-day events are split into sessions
+      const sessions = parseSessionsInput(req.body.sessions);
+      if (recurrenceRule || sessions) {
+        event.recurrenceRule = sessions ? undefined : recurrenceRule;
+        event.sessions = await scheduleSessions(event, { recurrenceRule, sessions });
+        if (!event.startsAt && event.sessions.length > 0) {
+          event.startsAt = event.sessions[0].startsAt;
+          event.endsAt = event.sessions[0].endsAt;
+        }
+      }
+
       const savedEvent = await event.save();
 
       // Create and save a notification
@@ -252,8 +491,11 @@ const eventController = {
       responseEvent.ticketTypes = savedEvent.getTicketTypes();
       responseEvent.totalAvailable = responseEvent.ticketTypes.reduce((sum, t) => sum + t.available, 0);
 
-      res.status(201).json({ event: responseEvent, notification });
+      res.status(201).json({ event: addSessions(responseEvent, savedEvent), notification });
     } catch (error) {
+      if (error instanceof ScheduleError) {
+        return res.status(400).json({ message: error.message });
+      }
       res.status(500).json({ message: error.message });
     }
   },
@@ -269,8 +511,36 @@ const eventController = {
         return res.status(404).json({ message: 'Event not found' });
       }
 
-      // Prepare update data
+      // Prepare update data; ownership can't be changed through an update
       const updateData = { ...req.body };
+      delete updateData.createdBy;
+
+      // Only the creator (or staff) decides who else organises the event
+      const coOrganisers = parseCoOrganisers(req.body.coOrganisers);
+      if (coOrganisers !== undefined) {
+        const isCreator = existingEvent.createdBy && existingEvent.createdBy.equals(req.user._id);
+        if (!isCreator && !hasPermission(req.user, 'events:manage')) {
+          return res.status(403).json({ message: 'Only the event creator can change co-organisers' });
+        }
+        updateData.coOrganisers = coOrganisers;
+      }
+
+      if (req.body.chatAccess !== undefined && !CHAT_ACCESS.includes(req.body.chatAccess)) {
+        return res.status(400).json({ message: `Chat access must be one of ${CHAT_ACCESS.join(', ')}` });
+      }
+
+      // Prices are stored in minor units of the currency, so it can't change
+      // once tickets have been bought at those prices
+      if (req.body.currency !== undefined) {
+        if (!isValidCurrency(req.body.currency)) {
+          return res.status(400).json({ message: `${req.body.currency} is not a valid currency code` });
+        }
+        updateData.currency = req.body.currency.toUpperCase();
+        if (updateData.currency !== existingEvent.currency &&
+            await Transaction.exists({ ticketId: existingEvent._id })) {
+          return res.status(409).json({ message: 'The currency of an event with ticket sales cannot be changed' });
+        }
+      }
 
       // Handle pricing updates
       const pricingMap = parsePricingData(req.body);
@@ -283,6 +553,35 @@ const eventController = {
         updateData.pricing = pricingMap;
       }
 
+      // Rebuild the sessions when the schedule, timing or ticket tiers change
+      const sessions = parseSessionsInput(req.body.sessions);
+      delete updateData.sessions;
+      const timingChanged = ['startsAt', 'endsAt', 'date', 'time', 'timezone']
+        .some(field => req.body[field] !== undefined);
+      const recurrenceRule = req.body.recurrenceRule !== undefined
+        ? req.body.recurrenceRule || undefined
+        : existingEvent.recurrenceRule;
+      if (sessions !== undefined || req.body.recurrenceRule !== undefined ||
+          (existingEvent.sessions.length > 0 && (timingChanged || pricingMap.size > 0))) {
+        const draft = new Event({ ...existingEvent.toObject(), ...updateData, sessions: [] });
+        // New date/time strings take precedence over the stored start
+        if (updateData.startsAt === undefined && timingChanged) {
+          draft.startsAt = undefined;
+        }
+        updateData.recurrenceRule = sessions ? null : recurrenceRule || null;
+        updateData.sessions = await scheduleSessions(draft, {
+          recurrenceRule: updateData.recurrenceRule,
+          // Without a rule, keep the explicit sessions but refresh their inventory
+          sessions: sessions || (recurrenceRule ? undefined : existingEvent.sessions.map(session => ({
+            id: session._id,
+            startsAt: session.startsAt,
+            endsAt: session.endsAt,
+            title: session.title
+          }))),
+          existing: existingEvent.sessions
+        });
+      }
+
       // Upload new image to Cloudinary if provided
       if (req.file) {
         const imageUpload = await uploadToCloudinary(
@@ -312,7 +611,7 @@ const eventController = {
       responseEvent.ticketTypes = event.getTicketTypes();
       responseEvent.totalAvailable = responseEvent.ticketTypes.reduce((sum, t) => sum + t.available, 0);
 
-      res.json(responseEvent);
+      res.json(addSessions(responseEvent, event));
     } catch (error) {
       res.status(400).json({ message: error.message });
     }
@@ -353,50 +652,12 @@ const eventController = {
         return res.status(404).json({ message: "No tickets sold for this event" });
       }
 
-      // Calculate totals by ticket type
-      const ticketTypeSummary = {};
-      let totalTicketsSold = 0;
-      let totalRevenue = 0;
-
-      transactions.forEach(transaction => {
-        const ticketType = transaction.ticketType;
-        const count = transaction.ticketCount;
-        const revenue = transaction.amount;
-
-        if (!ticketTypeSummary[ticketType]) {
-          ticketTypeSummary[ticketType] = {
-            name: transaction.ticketTypeName,
-            count: 0,
-            revenue: 0,
-            averagePrice: 0
-          };
-        }
-
-        ticketTypeSummary[ticketType].count += count;
-        ticketTypeSummary[ticketType].revenue += revenue;
-        ticketTypeSummary[ticketType].averagePrice = ticketTypeSummary[ticketType].revenue / ticketTypeSummary[ticketType].count;
-
-        totalTicketsSold += count;
-        totalRevenue += revenue;
-      });
-
-      // Format the buyers' details
-      const buyers = transactions.map((transaction) => ({
-        username: transaction.userId.username,
-        full_name: transaction.userId.full_name,
-        email: transaction.userId.email,
-        ticketCount: transaction.ticketCount,
-        ticketType: transaction.ticketType,
-        ticketTypeName: transaction.ticketTypeName,
-        pricePerTicket: transaction.pricePerTicket,
-        amount: transaction.amount,
-        purchaseDate: transaction.createdAt,
-        transactionId: transaction.transactionId
-      }));
+      const { ticketTypeSummary, totalTicketsSold, totalRevenue, buyers } = summariseSales(transactions);
 
       // Return response with enhanced summary
       res.status(200).json({
         eventTitle: eventExists.title,
+        currency: eventExists.currency,
         totalTicketsSold,
         totalRevenue,
         averageTicketPrice: totalRevenue / totalTicketsSold,
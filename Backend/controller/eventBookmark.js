@@ -1,4 +1,5 @@
 import User from "../models/userModel.js";
+import { sendVerificationCode } from "./confirmEmail.js";
 import cloudinary from '../config/cloudinary.js';
 import { Readable } from 'stream';
 
@@ -99,7 +100,6 @@ removeBookmarkedEvent: async (req, res) => {
         email,
         phone_number,
         interests,
-        role,
         entityDescription,
         countryLocated,
         countryRepresented,
@@ -116,15 +116,17 @@ removeBookmarkedEvent: async (req, res) => {
      
       // Update the fields if provided
       if (full_name) user.full_name = full_name;
-      if (email) user.email = email;
+      // A new address has to be verified again
+      const emailChanged = Boolean(email) && email !== user.email;
+      if (emailChanged) {
+        user.email = email;
+        user.isVerified = false;
+        user.emailVerifiedAt = undefined;
+      }
       if (phone_number) user.phone_number = phone_number;
       if (interests) user.interests = interests;
      
-      // Handle additional fields from the schema
-      if (role && ['admin', 'user', 'ambassador', 'artist', 'sub_admin'].includes(role)) {
-        user.role = role;
-      }
-     
+      // Roles are changed by admins only, through PUT /users/:id/role
       if (entityDescription !== undefined) user.entityDescription = entityDescription;
       if (countryLocated !== undefined) user.countryLocated = countryLocated;
       if (countryRepresented !== undefined) user.countryRepresented = countryRepresented;
@@ -185,6 +187,14 @@ removeBookmarkedEvent: async (req, res) => {
       // Save the updated user
       await user.save();
       console.log("User saved successfully with updated fields");
+
+      if (emailChanged) {
+        try {
+          await sendVerificationCode(user);
+        } catch (error) {
+          console.error(`Error sending verification code to user ${user._id}:`, error);
+        }
+      }
      
       // Fetch the user again to confirm changes were saved
       const updatedUser = await User.findById(id);
@@ -196,6 +206,7 @@ removeBookmarkedEvent: async (req, res) => {
           full_name: updatedUser.full_name,
           name: updatedUser.name,
           email: updatedUser.email,
+          isVerified: updatedUser.isVerified,
           phone_number: updatedUser.phone_number,
           interests: updatedUser.interests,
           role: updatedUser.role,
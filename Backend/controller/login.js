@@ -1,7 +1,7 @@
 import User from "../models/userModel.js";
 import asynchandler from "express-async-handler";
 import bcrypt from "bcryptjs";
-import genToken from "./tokenGen.js";
+import { startSession, revokeCurrentSession } from "./sessionController.js";
 
 const loginUser = asynchandler(async (req, res) => {
   const { email, password } = req.body;
@@ -24,17 +24,8 @@ const loginUser = asynchandler(async (req, res) => {
   const passwordIsValid = await bcrypt.compare(password, user.password);
 
   if (passwordIsValid) {
-    // Generate token
-    const token = genToken(user._id);
-
-    // Send cookie to server
-    res.cookie("token", token, {
-      path: "/",
-      httpOnly: true,
-      expires: new Date(Date.now() + 1000 * 24 * 60 * 60), // Expires in 1 day
-      sameSite: "none",
-      secure: true,
-    });
+    // Start a session for this device and send the tokens as cookies
+    const { token, refreshToken, refreshTokenExpiresAt } = await startSession(req, res, user._id);
 
     const {
       _id,
@@ -43,7 +34,8 @@ const loginUser = asynchandler(async (req, res) => {
       phone_number,
       role,
       interests,
-      image
+      image,
+      isVerified
     } = user;
 
     // Include the user ID in the response
@@ -53,9 +45,12 @@ const loginUser = asynchandler(async (req, res) => {
       email,
       phone_number,
       token,
+      refreshToken,
+      refreshTokenExpiresAt,
       role,
       interests,
-      image
+      image,
+      isVerified: isVerified !== false
     });
   } else {
     res.status(400);
@@ -65,6 +60,14 @@ const loginUser = asynchandler(async (req, res) => {
 
 const logOut = asynchandler(async (req, res) => {
   // expire the session
+  await revokeCurrentSession(req);
+  res.cookie("refreshToken", "", {
+    path: "/",
+    httpOnly: true,
+    expires: new Date(),
+    sameSite: "none",
+    secure: true,
+  });
   res.cookie("token", "", {
     path: "/",
     httpOnly: true,
@@ -0,0 +1,79 @@
+import Event from "../models/Event.js";
+import Transaction from "../models/Transaction.js";
+import { summariseSales } from "./event.js";
+import { sumByCurrency } from "../utils/currency.js";
+
+const RECENT_BUYERS_LIMIT = 5;
+
+// Sales overview for every event the caller created or co-organises
+export const getOrganiserDashboard = async (req, res) => {
+  try {
+    const userId = req.user._id;
+
+    const events = await Event.find({
+      $or: [{ createdBy: userId }, { coOrganisers: userId }]
+    }).sort({ startsAt: 1, date: 1 });
+
+    const transactions = await Transaction.find({
+      ticketId: { $in: events.map(event => event._id) },
+      paymentStatus: "paid"
+    })
+      .populate("userId", "email full_name username")
+      .sort({ createdAt: -1 });
+
+    // Group paid transactions by event
+    const transactionsByEvent = new Map();
+    transactions.forEach(transaction => {
+      const key = transaction.ticketId.toString();
+      if (!transactionsByEvent.has(key)) {
+        transactionsByEvent.set(key, []);
+      }
+      transactionsByEvent.get(key).push(transaction);
+    });
+
+    const dashboardEvents = events.map(event => {
+      const { ticketTypeSummary, totalTicketsSold, totalRevenue, buyers } =
+        summariseSales(transactionsByEvent.get(event._id.toString()) || []);
+
+      const tiers = event.getTicketTypes().map(ticketType => ({
+        id: ticketType.id,
+        name: ticketType.name,
+        price: ticketType.price,
+        sold: ticketTypeSummary[ticketType.id]?.count || 0,
+        revenue: ticketTypeSummary[ticketType.id]?.revenue || 0,
+        remaining: ticketType.available
+      }));
+
+      return {
+        id: event._id,
+        title: event.title,
+        date: event.date,
+        time: event.time,
+        startsAt: event.startsAt,
+        endsAt: event.endsAt,
+        timezone: event.timezone,
+        currency: event.currency,
+        image: event.image,
+        role: event.createdBy && event.createdBy.equals(userId) ? "creator" : "co-organiser",
+        totalTicketsSold,
+        totalRevenue,
+        totalRemaining: tiers.reduce((sum, tier) => sum + tier.remaining, 0),
+        tiers,
+        recentBuyers: buyers.slice(0, RECENT_BUYERS_LIMIT)
+      };
+    });
+
+    res.status(200).json({
+      totals: {
+        events: dashboardEvents.length,
+        ticketsSold: dashboardEvents.reduce((sum, event) => sum + event.totalTicketsSold, 0),
+        // Events can be priced in different currencies, so revenue is totalled per currency
+        revenue: sumByCurrency(dashboardEvents.map(event => ({ currency: event.currency, amount: event.totalRevenue }))),
+        remaining: dashboardEvents.reduce((sum, event) => sum + event.totalRemaining, 0)
+      },
+      events: dashboardEvents
+    });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+};
@@ -4,6 +4,7 @@ import crypto from "crypto";
 import bcrypt from "bcryptjs";
 import asyncHandler from "express-async-handler";
 import sendEmail from "../utils/emailSender.js";
+import { revokeUserSessions } from "./sessionController.js";
 
 //update password function
 const updatePassword = asyncHandler(async (req, res) => {
@@ -35,9 +36,10 @@ const updatePassword = asyncHandler(async (req, res) => {
         throw new Error("New password and confirm password do not match.");
     }
 
-    // Save new password
+    // Save new password and sign out every other device
     user.password = new_password;
     await user.save();
+    await revokeUserSessions(user._id, "Password changed", req.sessionId, req.io);
     res.status(200).send({ message: "Password changed successfully" });
 });
 
@@ -62,6 +64,7 @@ const forgotPassword = asyncHandler( async (req, res) => {
     await new Token({
         userId: user._id,
         token: hashedToken,
+        purpose: "password_reset",
         createdAt: Date.now(),
         expiresAt: Date.now() + 15 * 60 * 1000, // Token expires in 15 minutes
     }).save();
@@ -102,6 +105,7 @@ const resetPassword = asyncHandler( async(req, res) => {
     //find token in db
     const userToken = await Token.findOne({ 
         token: hashedToken,
+        purpose: { $ne: "email_verification" },
         expiresAt: { $gt: Date.now() },// gt means greater than
     });
 
@@ -115,6 +119,7 @@ const resetPassword = asyncHandler( async(req, res) => {
     const user = await User.findOne({ _id: userToken.userId });
     user.password = password;
     await user.save();
+    await revokeUserSessions(user._id, "Password reset", undefined, req.io);
     res.status(200).json({ message: "Password Reset Sucessfull, Please Log In"});
 
 });
@@ -1,17 +1,32 @@
-import { createOrder, capturePayment } from '../utils/paypal.js';
+import { createOrder } from '../utils/paypal.js';
 import Ticket from '../models/Event.js';
 import Transaction from '../models/Transaction.js';
-import { v4 as uuidv4 } from 'uuid';
+import IssuedTicket from '../models/Ticket.js';
+import { releaseReservation } from '../utils/reservations.js';
+import {
+    holdCheckout,
+    pendingTransactionFields,
+    captureAndSettle,
+    failPayment,
+    returnRedirect,
+    cancelRedirect,
+    CheckoutError
+} from '../utils/checkout.js';
+import { availableFor } from '../utils/orderItems.js';
+import { PAYPAL_CURRENCIES, formatMoney, sumByCurrency } from '../utils/currency.js';
+import { providerLabel } from '../utils/paymentProviders/index.js';
+import paypalProvider from '../utils/paymentProviders/paypal.js';
 
 const createOrderController = async (req, res) => {
     try {
-        const { ticketId, ticketCount, ticketType, pricePerTicket } = req.body;
+        // Carts send `items`; single-tier orders may still send ticketType, ticketCount and pricePerTicket
+        const { ticketId, items, ticketCount, ticketType, pricePerTicket } = req.body;
         const userId = req.user.id;
 
         // Validate required fields
-        if (!ticketId || !ticketCount || !ticketType || !pricePerTicket) {
+        if (!ticketId || (!items && (!ticketCount || !ticketType || !pricePerTicket))) {
             return res.status(400).json({
-                message: 'Ticket ID, count, type, and price per ticket are required.'
+                message: 'Ticket ID and items (or ticket count, type, and price per ticket) are required.'
             });
         }
 
@@ -21,54 +36,46 @@ const createOrderController = async (req, res) => {
             return res.status(404).json({ message: 'Event not found.' });
         }
 
-        // Validate pricing and availability using the flexible pricing structure
-        const ticketTypeData = ticket.pricing.get(ticketType);
-        if (!ticketTypeData) {
+        if (!PAYPAL_CURRENCIES.has(ticket.currency)) {
             return res.status(400).json({
-                message: `Ticket type "${ticketType}" is not available for this event.`
+                message: `PayPal does not support payments in ${ticket.currency}. Please pay by card instead.`
             });
         }
 
-        // Verify the price matches what's stored in the database (security check)
-        const storedPrice = ticketTypeData.price;
-        if (Math.abs(parseFloat(pricePerTicket) - storedPrice) > 0.01) {
-            return res.status(400).json({
-                message: 'Price mismatch. Please refresh and try again.',
-                details: {
-                    expectedPrice: storedPrice,
-                    providedPrice: parseFloat(pricePerTicket)
-                }
-            });
+        let checkout;
+        try {
+            checkout = await holdCheckout({ event: ticket, body: req.body, userId });
+        } catch (error) {
+            if (error instanceof CheckoutError) {
+                return res.status(error.status).json({ message: error.message, ...error.details });
+            }
+            throw error;
         }
+        const { transactionId, lines, session, subtotal, promo, total: totalPrice, reservation } = checkout;
 
-        // Check availability
-        const availableTickets = ticketTypeData.available;
-        const requestedCount = parseInt(ticketCount, 10);
-        if (availableTickets < requestedCount) {
-            return res.status(400).json({
-                message: `Only ${availableTickets} ${ticketTypeData.name} tickets available.`,
-                availableTickets: availableTickets
+        // Create PayPal order
+        let paypalOrder;
+        try {
+            paypalOrder = await createOrder(totalPrice, {
+                items: lines.map(line => ({
+                    name: `${ticket.title} - ${line.ticketTypeName}`,
+                    unitAmount: line.pricePerTicket,
+                    quantity: line.quantity
+                })),
+                discount: promo?.discount,
+                currency: ticket.currency
             });
+        } catch (error) {
+            await releaseReservation(transactionId, 'PayPal order creation failed');
+            throw error;
         }
 
-        const pricePerTicketFloat = parseFloat(pricePerTicket);
-        const totalPrice = pricePerTicketFloat * requestedCount;
-
-        // Create PayPal order
-        const paypalOrder = await createOrder(totalPrice);
-
         // Create transaction record
         const transaction = new Transaction({
-            transactionId: uuidv4(),
-            userId,
-            ticketId,
-            paypalOrderId: paypalOrder.id,
-            amount: totalPrice,
-            ticketCount: requestedCount,
-            ticketType,
-            ticketTypeName: ticketTypeData.name,
-            pricePerTicket: pricePerTicketFloat,
-            status: 'PENDING'
+            ...pendingTransactionFields(ticket, userId, checkout),
+            provider: 'paypal',
+            providerReference: paypalOrder.id,
+            paypalOrderId: paypalOrder.id
         });
         await transaction.save();
 
@@ -78,12 +85,22 @@ const createOrderController = async (req, res) => {
             approvalUrl,
             orderDetails: {
                 eventTitle: ticket.title,
-                ticketType,
-                ticketTypeName: ticketTypeData.name,
-                ticketCount: requestedCount,
-                pricePerTicket: pricePerTicketFloat,
+                ticketType: transaction.ticketType,
+                ticketTypeName: transaction.ticketTypeName,
+                ticketCount: transaction.ticketCount,
+                sessionId: session?._id,
+                sessionStartsAt: session?.startsAt,
+                pricePerTicket: transaction.pricePerTicket,
+                items: lines.map(line => ({
+                    ...line,
+                    availableAfterPurchase: availableFor(ticket, line.ticketType, session) - line.quantity
+                })),
+                currency: ticket.currency,
+                subtotal,
+                promoCode: promo?.promo.code,
+                discountAmount: promo?.discount || 0,
                 totalAmount: totalPrice,
-                availableAfterPurchase: availableTickets - requestedCount
+                holdExpiresAt: reservation.expiresAt
             }
         });
     } catch (error) {
@@ -92,91 +109,91 @@ const createOrderController = async (req, res) => {
     }
 };
 
+// PayPal's return page for orders made here. The capture is shared with
+// /api/checkout/paypal/verify, so the amount is checked and a paid order is
+// never failed. Safe to call again: a settled order is just reported.
 const completeOrderController = async (req, res) => {
-    let transaction;
     try {
         const { token } = req.query;
         if (!token) {
             return res.status(400).json({ message: 'Missing payment token.' });
         }
 
-        // Find the pending transaction
-        transaction = await Transaction.findOne({
-            paypalOrderId: token,
-            status: 'PENDING'
-        }).populate('ticketId');
-
+        let transaction = await Transaction.findOne({ paypalOrderId: token });
         if (!transaction) {
-            return res.status(404).json({ message: 'Transaction not found or already processed.' });
+            return res.status(404).json({ message: 'Transaction not found.' });
         }
 
-        // Check if event still exists
-        if (!transaction.ticketId) {
-            throw new Error('Event associated with this transaction no longer exists');
+        // Nothing has been charged yet, so an order for a deleted event can still be failed
+        if (transaction.status === 'PENDING' && !await Ticket.exists({ _id: transaction.ticketId })) {
+            transaction = await failPayment(transaction, 'Event associated with this transaction no longer exists');
+            return res.status(404).json({
+                message: 'The event for this order no longer exists.',
+                transactionId: transaction.transactionId
+            });
         }
 
-        // Capture payment
-        const captureData = await capturePayment(token);
+        const result = await captureAndSettle(paypalProvider, transaction, token);
+        transaction = result.transaction;
 
-        // Update event availability using the flexible pricing structure
-        const event = transaction.ticketId;
-        const ticketType = transaction.ticketType;
-        const ticketCount = transaction.ticketCount;
-
-        // Double-check availability before final update
-        const ticketTypeData = event.pricing.get(ticketType);
-        if (!ticketTypeData || ticketTypeData.available < ticketCount) {
-            throw new Error(`Insufficient ${transaction.ticketTypeName} tickets available`);
+        // Clients that asked for it (e.g. the mobile app) are sent back instead
+        if (transaction.returnUrl) {
+            return res.redirect(returnRedirect(transaction));
         }
 
-        const success = event.reduceTicketAvailability(ticketType, ticketCount);
-        if (!success) {
-            throw new Error('Failed to update ticket availability');
+        if (transaction.status !== 'COMPLETED') {
+            const waiting = result.outcome === 'pending' || ['PENDING', 'CAPTURING'].includes(transaction.status);
+            const soldOut = result.outcome === 'soldOut' || ['REFUNDED', 'NEEDS_REFUND'].includes(transaction.status);
+            return res.status(waiting ? 202 : soldOut ? 409 : 402).json({
+                message: waiting
+                    ? 'The payment has not been completed yet.'
+                    : soldOut ? 'The tickets sold out before the payment was completed.' : 'The payment could not be completed.',
+                transactionId: transaction.transactionId,
+                status: transaction.status
+            });
         }
 
-        await event.save();
-
-        // Update transaction status
-        transaction.status = 'COMPLETED';
-        transaction.paymentStatus = 'paid';
-        transaction.paymentDetails = captureData;
-        await transaction.save();
+        const event = await Ticket.findById(transaction.ticketId);
+        const tickets = await IssuedTicket.find({ transaction: transaction._id, status: 'VALID' }).sort({ seatNumber: 1 });
 
-        // Calculate remaining tickets for this type
-        const updatedTicketTypeData = event.pricing.get(ticketType);
-        const remainingTickets = updatedTicketTypeData ? updatedTicketTypeData.available : 0;
+        // Tickets left in each tier bought (in the booked session, if any)
+        const session = event && transaction.sessionId && event.findSession(transaction.sessionId);
+        const items = transaction.getItems().map(item => ({
+            ...item,
+            remainingTickets: event ? availableFor(event, item.ticketType, session) : undefined
+        }));
 
         res.json({
             message: 'Payment successful',
             transactionId: transaction.transactionId,
             ticketDetails: {
-                eventTitle: event.title,
+                eventTitle: event?.title,
                 ticketType: transaction.ticketType,
                 ticketTypeName: transaction.ticketTypeName,
                 ticketCount: transaction.ticketCount,
+                items,
+                sessionId: transaction.sessionId,
+                sessionStartsAt: transaction.sessionStartsAt,
+                currency: transaction.currency,
                 totalAmount: transaction.amount,
-                remainingTickets: remainingTickets
+                remainingTickets: items.length === 1 ? items[0].remainingTickets : undefined
             },
+            tickets: tickets.map(ticket => ({
+                id: ticket._id,
+                seatNumber: ticket.seatNumber,
+                ticketType: ticket.ticketType,
+                code: ticket.code
+            })),
             paymentDetails: {
-                paymentId: captureData.id,
-                status: captureData.status,
+                paymentId: transaction.paymentDetails?.id,
+                status: transaction.paymentDetails?.status,
                 completedAt: new Date()
             }
         });
     } catch (error) {
+        // The order is left as it is: the capture may have gone through
         console.error('Error completing order:', error);
-
-        // Update transaction status if it exists
-        if (transaction) {
-            transaction.status = 'FAILED';
-            transaction.paymentDetails = { error: error.message };
-            await transaction.save();
-        }
-
-        res.status(500).json({
-            message: 'Error completing order: ' + error.message,
-            transactionId: transaction?.transactionId
-        });
+        res.status(500).json({ message: 'Error completing order: ' + error.message });
     }
 };
 
@@ -196,7 +213,11 @@ const cancelOrderController = async (req, res) => {
                     reason: 'User cancelled payment'
                 };
                 await transaction.save();
+                await releaseReservation(transaction.transactionId, 'User cancelled payment');
 
+                if (transaction.cancelUrl) {
+                    return res.redirect(cancelRedirect(transaction));
+                }
                 return res.json({
                     message: 'Order cancelled successfully',
                     transactionId: transaction.transactionId
@@ -227,7 +248,7 @@ const getPaymentHistory = async (req, res) => {
 
         // Fetch transactions with pagination
         const transactions = await Transaction.find(filter)
-            .populate('ticketId', 'title location date image category')
+            .populate('ticketId', 'title location date image category startsAt timezone')
             .sort({ createdAt: -1 })
             .skip(skip)
             .limit(parseInt(limit));
@@ -245,27 +266,29 @@ const getPaymentHistory = async (req, res) => {
                     eventTitle: transaction.ticketId?.title,
                     eventLocation: transaction.ticketId?.location,
                     eventDate: transaction.ticketId?.date,
+                    eventStartsAt: transaction.ticketId?.startsAt,
+                    eventTimezone: transaction.ticketId?.timezone,
                     eventImage: transaction.ticketId?.image,
                     eventCategory: transaction.ticketId?.category,
                     ticketType: transaction.ticketType,
                     ticketTypeName: transaction.ticketTypeName,
                     pricePerTicket: transaction.pricePerTicket,
                     ticketCount: transaction.ticketCount,
+                    items: transaction.getItems(),
+                    currency: transaction.currency,
                     totalAmount: transaction.amount
                 },
-                paymentMethod: transaction.paypalOrderId ? 'PayPal' :
-                             transaction.stripePaymentIntentId ? 'Stripe' : 'Unknown',
-                formattedAmount: `$${transaction.amount.toFixed(2)}`,
+                paymentMethod: providerLabel(transaction),
+                formattedAmount: formatMoney(transaction.amount, transaction.currency),
                 formattedDate: transaction.createdAt.toLocaleDateString(),
-                canRefund: transaction.status === 'COMPLETED' &&
-                          transaction.paymentStatus === 'paid' &&
-                          new Date(transaction.ticketId?.date) > new Date()
+                canRefund: transaction.isRefundable(transaction.ticketId)
             };
         });
 
         // Calculate summary statistics
         const completedTransactions = formattedTransactions.filter(t => t.status === 'COMPLETED');
-        const totalSpent = completedTransactions.reduce((sum, t) => sum + t.amount, 0);
+        // Amounts in different currencies are totalled separately
+        const totalSpent = sumByCurrency(completedTransactions.map(t => ({ currency: t.currency, amount: t.amount })));
         const totalTickets = completedTransactions.reduce((sum, t) => sum + t.ticketCount, 0);
 
         res.json({
@@ -278,7 +301,7 @@ const getPaymentHistory = async (req, res) => {
                 hasPrevPage: parseInt(page) > 1
             },
             summary: {
-                totalSpent: totalSpent.toFixed(2),
+                totalSpent,
                 totalTickets,
                 totalEvents: new Set(completedTransactions.map(t => t.ticketId)).size,
                 completedTransactions: completedTransactions.length
@@ -312,19 +335,21 @@ const getTransactionDetails = async (req, res) => {
                 eventLocation: transaction.ticketId?.location,
                 eventDate: transaction.ticketId?.date,
                 eventTime: transaction.ticketId?.time,
+                eventStartsAt: transaction.ticketId?.startsAt,
+                eventEndsAt: transaction.ticketId?.endsAt,
+                eventTimezone: transaction.ticketId?.timezone,
                 eventAddress: transaction.ticketId?.address,
                 eventImage: transaction.ticketId?.image,
                 ticketType: transaction.ticketType,
                 ticketTypeName: transaction.ticketTypeName,
                 pricePerTicket: transaction.pricePerTicket,
                 ticketCount: transaction.ticketCount,
+                items: transaction.getItems(),
+                currency: transaction.currency,
                 totalAmount: transaction.amount
             },
-            paymentMethod: transaction.paypalOrderId ? 'PayPal' :
-                         transaction.stripePaymentIntentId ? 'Stripe' : 'Unknown',
-            canRefund: transaction.status === 'COMPLETED' &&
-                      transaction.paymentStatus === 'paid' &&
-                      new Date(transaction.ticketId?.date) > new Date()
+            paymentMethod: providerLabel(transaction),
+            canRefund: transaction.isRefundable(transaction.ticketId)
         };
 
         res.json(formattedTransaction);
@@ -0,0 +1,164 @@
+import mongoose from "mongoose";
+import PromoCode from "../models/PromoCode.js";
+import Event from "../models/Event.js";
+import { hasPermission } from "../middleware/permissions.js";
+import { previewPromoCode, PromoCodeError } from "../utils/promoCodes.js";
+import { buildOrderLines, OrderItemsError } from "../utils/orderItems.js";
+
+const EDITABLE_FIELDS = [
+  "description", "discountType", "discountValue", "currency", "maxUses", "perUserLimit",
+  "startsAt", "expiresAt", "events", "ticketTypes", "active"
+];
+
+const pickFields = (body) => {
+  const data = {};
+  EDITABLE_FIELDS.forEach(field => {
+    if (body[field] !== undefined) {
+      data[field] = body[field] === "" ? null : body[field];
+    }
+  });
+  return data;
+};
+
+// Organisers can only attach codes to events they run; staff to any event.
+// Returns an error message, or null when the events are fine.
+const checkEvents = async (user, eventIds) => {
+  const ids = eventIds || [];
+  if (!Array.isArray(ids) || ids.some(id => !mongoose.isValidObjectId(id))) {
+    return "events must be a list of event ids";
+  }
+  if (hasPermission(user, "promocodes:manage")) {
+    return null;
+  }
+  if (ids.length === 0) {
+    return "Promo codes must be limited to events you organise";
+  }
+
+  const events = await Event.find({ _id: { $in: ids } });
+  if (events.length !== new Set(ids.map(String)).size || events.some(event => !event.isOwnedBy(user._id))) {
+    return "You can only create promo codes for events you organise";
+  }
+  return null;
+};
+
+// Create a promo code
+export const createPromoCode = async (req, res) => {
+  try {
+    const data = pickFields(req.body);
+    const eventError = await checkEvents(req.user, data.events);
+    if (eventError) {
+      return res.status(403).json({ message: eventError });
+    }
+
+    const promoCode = await PromoCode.create({
+      ...data,
+      code: req.body.code,
+      createdBy: req.user._id
+    });
+    res.status(201).json(promoCode);
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(409).json({ message: "A promo code with this code already exists" });
+    }
+    if (error.name === "ValidationError") {
+      return res.status(400).json({ message: error.message });
+    }
+    res.status(500).json({ message: error.message });
+  }
+};
+
+// Staff see every code; organisers see the codes they created
+export const listPromoCodes = async (req, res) => {
+  try {
+    const filter = hasPermission(req.user, "promocodes:manage") ? {} : { createdBy: req.user._id };
+    if (req.query.eventId && mongoose.isValidObjectId(req.query.eventId)) {
+      filter.events = req.query.eventId;
+    }
+
+    const promoCodes = await PromoCode.find(filter).sort({ createdAt: -1 });
+    res.status(200).json(promoCodes);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+};
+
+// Update a promo code. The code itself and its usage count can't be changed.
+export const updatePromoCode = async (req, res) => {
+  try {
+    const data = pickFields(req.body);
+    if (data.events !== undefined) {
+      const eventError = await checkEvents(req.user, data.events);
+      if (eventError) {
+        return res.status(403).json({ message: eventError });
+      }
+    }
+
+    const promoCode = req.resource;
+    promoCode.set(data);
+    await promoCode.save();
+    res.status(200).json(promoCode);
+  } catch (error) {
+    if (error.name === "ValidationError") {
+      return res.status(400).json({ message: error.message });
+    }
+    res.status(500).json({ message: error.message });
+  }
+};
+
+// Codes are deactivated rather than deleted so past transactions keep their reference
+export const deactivatePromoCode = async (req, res) => {
+  try {
+    const promoCode = req.resource;
+    promoCode.active = false;
+    await promoCode.save();
+    res.status(200).json({ message: "Promo code deactivated", promoCode });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+};
+
+// Check a code against an order before checkout and show the discount.
+// The order is given as `items` or as a single ticketType and ticketCount.
+export const validatePromoCode = async (req, res) => {
+  try {
+    const { code, ticketId, items, ticketType, ticketCount = 1 } = req.body;
+    if (!code || !ticketId || (!items && !ticketType)) {
+      return res.status(400).json({ message: "Code, Ticket ID and items (or Ticket Type) are required." });
+    }
+
+    const event = mongoose.isValidObjectId(ticketId) ? await Event.findById(ticketId) : null;
+    if (!event) {
+      return res.status(404).json({ message: "Event not found." });
+    }
+
+    const lines = buildOrderLines(event, items ? { items } : { ticketType, ticketCount });
+    const { promo, subtotal, discount, total } = await previewPromoCode({
+      code,
+      userId: req.user._id,
+      eventId: event._id,
+      lines,
+      currency: event.currency
+    });
+
+    res.status(200).json({
+      valid: true,
+      code: promo.code,
+      description: promo.description,
+      discountType: promo.discountType,
+      discountValue: promo.discountValue,
+      items: lines,
+      currency: event.currency,
+      subtotal,
+      discountAmount: discount,
+      total
+    });
+  } catch (error) {
+    if (error instanceof OrderItemsError) {
+      return res.status(400).json({ message: error.message });
+    }
+    if (error instanceof PromoCodeError) {
+      return res.status(400).json({ valid: false, message: error.message });
+    }
+    res.status(500).json({ message: error.message });
+  }
+};
@@ -0,0 +1,217 @@
+import Transaction from '../models/Transaction.js';
+import Ticket from '../models/Ticket.js';
+import { providerFor } from '../utils/paymentProviders/index.js';
+import { releaseReservation } from '../utils/reservations.js';
+import { voidTickets, findUnusedTickets } from '../utils/tickets.js';
+import { describeLines } from '../utils/orderItems.js';
+import { formatMoney, roundAmount } from '../utils/currency.js';
+import sendEmail from '../utils/emailSender.js';
+import { hasPermission } from '../middleware/permissions.js';
+
+// Send the refund to whichever provider took the payment
+const refundWithProvider = (transaction, amount, isFullRefund) => {
+    const provider = providerFor(transaction);
+    if (!provider) {
+        throw new Error('No payment provider reference found for this transaction');
+    }
+    return provider.refund(transaction, amount, { isFullRefund });
+};
+
+const sendRefundEmail = async (transaction, refund, event) => {
+    const buyer = transaction.userId;
+    if (!buyer?.email) {
+        return;
+    }
+
+    const message = `
+    <h1>Hello ${buyer.name || buyer.full_name}</h1>
+    <p>We have refunded <strong>${formatMoney(refund.amount, transaction.currency)}</strong> for ${describeLines(refund.items)} ticket(s) to ${event?.title || 'your event'}.</p>
+    <p>Transaction reference: ${transaction.transactionId}</p>
+    <p>Refunded tickets can no longer be used for entry. Depending on your bank, the money may take a few days to appear.</p>
+    `;
+
+    try {
+        await sendEmail('Your ticket refund', message, buyer.email, process.env.EMAIL_USER);
+    } catch (error) {
+        console.error(`Error sending refund email for ${transaction.transactionId}:`, error);
+    }
+};
+
+// Tickets per tier in a list of tickets or line items
+const countByTier = (list) => {
+    const counts = new Map();
+    list.forEach(({ ticketType, quantity = 1 }) => counts.set(ticketType, (counts.get(ticketType) || 0) + quantity));
+    return counts;
+};
+
+// Refund all or some of the tickets in a transaction, optionally only of one tier
+export const refundTransaction = async (req, res) => {
+    try {
+        const { transactionId } = req.params;
+        const { ticketCount, ticketType, reason } = req.body;
+
+        const transaction = await Transaction.findOne({ transactionId })
+            .populate('ticketId')
+            .populate('userId', 'email name full_name');
+        if (!transaction) {
+            return res.status(404).json({ message: 'Transaction not found' });
+        }
+
+        const isStaff = hasPermission(req.user, 'payments:refund');
+        const isBuyer = transaction.userId?._id.equals(req.user._id);
+        if (!isStaff && !isBuyer) {
+            return res.status(403).json({ message: 'You can only refund your own transactions.' });
+        }
+
+        // Staff may refund after the event date (e.g. cancellations), buyers may not
+        const refundable = isStaff
+            ? ['COMPLETED', 'PARTIALLY_REFUNDED', 'NEEDS_REFUND'].includes(transaction.status) && transaction.paymentStatus === 'paid'
+            : transaction.isRefundable(transaction.ticketId);
+        if (!refundable) {
+            return res.status(400).json({ message: 'This transaction cannot be refunded.', status: transaction.status });
+        }
+
+        const items = transaction.getItems();
+        if (ticketType !== undefined && !items.some(item => item.ticketType === ticketType)) {
+            return res.status(400).json({ message: `This transaction has no "${ticketType}" tickets.` });
+        }
+        const inScope = items.filter(item => ticketType === undefined || item.ticketType === ticketType);
+
+        // Tickets already used at the door cannot be refunded
+        const remainingTickets = transaction.ticketCount - transaction.refundedTicketCount;
+        const remainingInScope = inScope.reduce((sum, item) => sum + item.quantity - item.refundedQuantity, 0);
+        const issuedTickets = await Ticket.countDocuments({ transaction: transaction._id });
+        const unusedTickets = issuedTickets > 0 ? await findUnusedTickets(transaction, { ticketType }) : null;
+        const refundableTickets = unusedTickets ? Math.min(remainingInScope, unusedTickets.length) : remainingInScope;
+
+        const requestedCount = ticketCount === undefined ? refundableTickets : parseInt(ticketCount, 10);
+        if (!Number.isInteger(requestedCount) || requestedCount < 1) {
+            return res.status(400).json({ message: 'Ticket count must be a positive whole number.' });
+        }
+        if (requestedCount > refundableTickets) {
+            return res.status(400).json({
+                message: `Only ${refundableTickets} ticket(s) can be refunded for this transaction.`,
+                refundableTickets
+            });
+        }
+
+        // Work out which tiers the refunded tickets come from: the unused tickets
+        // with the highest seat numbers, or the last lines for orders without tickets
+        let ticketsToVoid = null;
+        let refundCounts;
+        if (unusedTickets) {
+            ticketsToVoid = unusedTickets.slice(0, requestedCount);
+            refundCounts = countByTier(ticketsToVoid);
+        } else {
+            refundCounts = new Map();
+            let left = requestedCount;
+            [...inScope].reverse().forEach(item => {
+                const count = Math.min(left, item.quantity - item.refundedQuantity);
+                if (count > 0) {
+                    refundCounts.set(item.ticketType, count);
+                    left -= count;
+                }
+            });
+        }
+        const refundItems = items
+            .filter(item => refundCounts.has(item.ticketType))
+            .map(item => ({
+                ticketType: item.ticketType,
+                ticketTypeName: item.ticketTypeName,
+                quantity: refundCounts.get(item.ticketType)
+            }));
+
+        // Refund what was actually paid per ticket, which is below the list price after a promo code
+        const isFullRefund = requestedCount === remainingTickets;
+        const paidForItems = refundItems.reduce(
+            (sum, item) => sum + transaction.paidPerTicket(item.ticketType) * item.quantity, 0
+        );
+        const amount = roundAmount(
+            isFullRefund ? transaction.amount - transaction.refundedAmount : paidForItems,
+            transaction.currency
+        );
+
+        // Per-tier refund counts, for transactions with line items
+        const itemUpdates = (sign) => {
+            if (!transaction.items?.length) {
+                return {};
+            }
+            const inc = {};
+            const arrayFilters = [];
+            refundItems.forEach((item, index) => {
+                inc[`items.$[line${index}].refundedQuantity`] = sign * item.quantity;
+                arrayFilters.push({ [`line${index}.ticketType`]: item.ticketType });
+            });
+            return { inc, arrayFilters };
+        };
+
+        // Claim the refund before calling the provider so concurrent requests cannot both pass
+        const claim = itemUpdates(1);
+        const claimed = await Transaction.findOneAndUpdate(
+            { _id: transaction._id, refundedTicketCount: transaction.refundedTicketCount },
+            { $inc: { refundedTicketCount: requestedCount, refundedAmount: amount, ...claim.inc } },
+            { new: true, ...(claim.arrayFilters && { arrayFilters: claim.arrayFilters }) }
+        );
+        if (!claimed) {
+            return res.status(409).json({ message: 'Another refund for this transaction is in progress. Please try again.' });
+        }
+
+        let providerRefundId;
+        try {
+            providerRefundId = await refundWithProvider(transaction, amount, isFullRefund);
+        } catch (error) {
+            const rollback = itemUpdates(-1);
+            await Transaction.updateOne(
+                { _id: transaction._id },
+                { $inc: { refundedTicketCount: -requestedCount, refundedAmount: -amount, ...rollback.inc } },
+                rollback.arrayFilters ? { arrayFilters: rollback.arrayFilters } : {}
+            );
+            throw error;
+        }
+
+        const refund = {
+            providerRefundId,
+            amount,
+            ticketCount: requestedCount,
+            items: refundItems.map(({ ticketType, quantity }) => ({ ticketType, quantity })),
+            reason,
+            refundedBy: req.user._id
+        };
+
+        const updated = await Transaction.findByIdAndUpdate(
+            transaction._id,
+            {
+                $push: { refunds: refund },
+                status: isFullRefund ? 'REFUNDED' : 'PARTIALLY_REFUNDED',
+                ...(isFullRefund && { paymentStatus: 'refunded' })
+            },
+            { new: true }
+        );
+
+        await releaseReservation(transaction.transactionId, reason || 'Refunded', refund.items);
+        if (ticketsToVoid) {
+            await voidTickets(transaction, requestedCount, ticketsToVoid);
+        }
+        await sendRefundEmail(transaction, { ...refund, items: refundItems }, transaction.ticketId);
+
+        res.json({
+            message: isFullRefund ? 'Transaction refunded' : 'Transaction partially refunded',
+            transactionId: updated.transactionId,
+            status: updated.status,
+            refund: {
+                ...refund,
+                amount,
+                currency: updated.currency
+            },
+            totals: {
+                refundedTicketCount: updated.refundedTicketCount,
+                refundedAmount: roundAmount(updated.refundedAmount, updated.currency),
+                remainingTickets: updated.ticketCount - updated.refundedTicketCount,
+                items: updated.getItems()
+            }
+        });
+    } catch (error) {
+        console.error('Error refunding transaction:', error);
+        res.status(500).json({ message: 'Error refunding transaction: ' + error.message });
+    }
+};
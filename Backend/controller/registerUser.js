@@ -1,12 +1,14 @@
 import asyncHandler from "express-async-handler";
 import User from "../models/userModel.js";
-import genToken from "./tokenGen.js";
+import { startSession } from "./sessionController.js";
+import { sendVerificationCode } from "./confirmEmail.js";
 import cloudinary from '../config/cloudinary.js';
+import { SIGNUP_ROLES } from "../middleware/permissions.js";
 
 const registerUser = asyncHandler(async (req, res) => {
     const {
         full_name,
-        role,
+        role = "user",
         email,
         password,
         confirm_password,
@@ -16,11 +18,16 @@ const registerUser = asyncHandler(async (req, res) => {
         countryRepresented = "",
     } = req.body;
 
-    if (!full_name || !email || !password || !confirm_password || !role) {
+    if (!full_name || !email || !password || !confirm_password) {
         res.status(400);
         throw new Error("Please provide all required fields.");
     }
 
+    if (!SIGNUP_ROLES.includes(role)) {
+        res.status(400);
+        throw new Error(`Role must be one of ${SIGNUP_ROLES.join(", ")}.`);
+    }
+
     if (password !== confirm_password) {
         res.status(400);
         throw new Error("Passwords do not match.");
@@ -54,18 +61,20 @@ const registerUser = asyncHandler(async (req, res) => {
         entityDescription,
         countryLocated,
         countryRepresented,
-        mediaFiles
+        mediaFiles,
+        isVerified: false
     });
 
     if (user) {
-        const token = genToken(user._id);
-        res.cookie("token", token, {
-            path: "/",
-            httpOnly: true,
-            expires: new Date(Date.now() + 1000 * 60 * 60 * 24),
-            sameSite: "none",
-            secure: true,
-        });
+        // The account still works if the email fails; the user can ask for a new code
+        try {
+            await sendVerificationCode(user);
+        } catch (error) {
+            console.error(`Error sending verification code to user ${user._id}:`, error);
+        }
+
+
+        const { token, refreshToken, refreshTokenExpiresAt } = await startSession(req, res, user._id);
 
         res.status(201).json({
             id: user._id,
@@ -78,7 +87,10 @@ const registerUser = asyncHandler(async (req, res) => {
             mediaFiles: user.mediaFiles,
             createdAt: user.createdAt,
             token,
-            role
+            refreshToken,
+            refreshTokenExpiresAt,
+            role: user.role,
+            isVerified: user.isVerified
         });
     } else {
         res.status(400);
@@ -0,0 +1,178 @@
+import asyncHandler from "express-async-handler";
+import crypto from "crypto";
+import jwt from "jsonwebtoken";
+import Session from "../models/Session.js";
+import genToken from "./tokenGen.js";
+import { sessionRoom } from "../middleware/auth.js";
+
+const REFRESH_TOKEN_DAYS = parseInt(process.env.REFRESH_TOKEN_DAYS, 10) || 30;
+
+const cookieOptions = (expires) => ({
+    path: "/",
+    httpOnly: true,
+    expires,
+    sameSite: "none",
+    secure: true,
+});
+
+const hashToken = (token) => crypto.createHash("sha256").update(token).digest("hex");
+
+const newRefreshToken = () => crypto.randomBytes(48).toString("hex");
+
+const refreshExpiry = () => new Date(Date.now() + REFRESH_TOKEN_DAYS * 24 * 60 * 60 * 1000);
+
+// Set both auth cookies and return the tokens for clients that don't use cookies
+const sendTokens = (res, userId, session, refreshToken) => {
+    const token = genToken(userId, session._id);
+    res.cookie("token", token, cookieOptions(session.expiresAt));
+    res.cookie("refreshToken", refreshToken, cookieOptions(session.expiresAt));
+    return { token, refreshToken, refreshTokenExpiresAt: session.expiresAt };
+};
+
+// Start a new session for a user who just logged in or registered
+export const startSession = async (req, res, userId) => {
+    const refreshToken = newRefreshToken();
+    const session = await Session.create({
+        userId,
+        refreshTokenHash: hashToken(refreshToken),
+        userAgent: req.get("user-agent") || "",
+        ipAddress: req.ip || "",
+        expiresAt: refreshExpiry(),
+    });
+    return sendTokens(res, userId, session, refreshToken);
+};
+
+// Close the Socket.IO connections of revoked sessions; their tokens are
+// refused when the clients try to reconnect
+const disconnectSessions = (io, sessionIds) => {
+    if (!io) {
+        return;
+    }
+    sessionIds.forEach((sessionId) => io.in(sessionRoom(sessionId)).disconnectSockets(true));
+};
+
+// Revoke every active session of a user, optionally keeping the current one.
+// Pass `io` to also disconnect their sockets.
+export const revokeUserSessions = async (userId, reason, exceptSessionId, io) => {
+    const filter = { userId, revokedAt: null };
+    if (exceptSessionId) {
+        filter._id = { $ne: exceptSessionId };
+    }
+    const revokedAt = new Date();
+    const result = await Session.updateMany(filter, { revokedAt, revokedReason: reason });
+    if (result.modifiedCount) {
+        disconnectSessions(io, await Session.find({ userId, revokedAt }).distinct("_id"));
+    }
+    return result.modifiedCount;
+};
+
+// Revoke the session behind a refresh token or access token, if any (used on logout)
+export const revokeCurrentSession = async (req) => {
+    const refreshToken = req.body?.refreshToken || req.cookies?.refreshToken;
+    if (refreshToken) {
+        const session = await Session.findOneAndUpdate(
+            { refreshTokenHash: hashToken(refreshToken), revokedAt: null },
+            { revokedAt: new Date(), revokedReason: "Logged out" }
+        );
+        if (session) {
+            disconnectSessions(req.io, [session._id]);
+        }
+        return;
+    }
+
+    const authHeader = req.headers.authorization;
+    if (authHeader?.startsWith("Bearer ")) {
+        try {
+            // An expired access token still identifies the session to end
+            const decoded = jwt.verify(authHeader.split(" ")[1], process.env.JWT_SECRET, {
+                algorithms: ["HS256"],
+                ignoreExpiration: true,
+            });
+            if (decoded.sid) {
+                await Session.updateOne(
+                    { _id: decoded.sid, revokedAt: null },
+                    { revokedAt: new Date(), revokedReason: "Logged out" }
+                );
+                disconnectSessions(req.io, [decoded.sid]);
+            }
+        } catch (error) {
+            // Nothing to revoke for an invalid token
+        }
+    }
+};
+
+// Exchange a refresh token for a new access token and a new refresh token
+export const refreshSession = asyncHandler(async (req, res) => {
+    const refreshToken = req.body?.refreshToken || req.cookies?.refreshToken;
+    if (!refreshToken) {
+        return res.status(401).json({ message: "Refresh token missing, please login" });
+    }
+
+    const tokenHash = hashToken(refreshToken);
+    const nextToken = newRefreshToken();
+
+    // Conditional on the current hash, so a token can only be rotated once
+    const session = await Session.findOneAndUpdate(
+        { refreshTokenHash: tokenHash, revokedAt: null, expiresAt: { $gt: new Date() } },
+        {
+            refreshTokenHash: hashToken(nextToken),
+            previousRefreshTokenHash: tokenHash,
+            lastUsedAt: new Date(),
+            expiresAt: refreshExpiry(),
+        },
+        { new: true }
+    );
+
+    if (!session) {
+        // A rotated-out token being replayed means it leaked: end that session
+        const leaked = await Session.findOneAndUpdate(
+            { previousRefreshTokenHash: tokenHash, revokedAt: null },
+            { revokedAt: new Date(), revokedReason: "Refresh token reused" }
+        );
+        if (leaked) {
+            disconnectSessions(req.io, [leaked._id]);
+        }
+        return res.status(401).json({ message: "Session expired, please login" });
+    }
+
+    res.status(200).json(sendTokens(res, session.userId, session, nextToken));
+});
+
+// List the signed-in user's active sessions (devices)
+export const listSessions = asyncHandler(async (req, res) => {
+    const sessions = await Session.find({
+        userId: req.user._id,
+        revokedAt: null,
+        expiresAt: { $gt: new Date() },
+    }).sort({ lastUsedAt: -1 });
+
+    res.status(200).json(sessions.map((session) => ({
+        id: session._id,
+        userAgent: session.userAgent,
+        ipAddress: session.ipAddress,
+        createdAt: session.createdAt,
+        lastUsedAt: session.lastUsedAt,
+        expiresAt: session.expiresAt,
+        current: session._id.equals(req.sessionId),
+    })));
+});
+
+// Sign a device out
+export const revokeSession = asyncHandler(async (req, res) => {
+    const session = await Session.findOneAndUpdate(
+        { _id: req.params.sessionId, userId: req.user._id, revokedAt: null },
+        { revokedAt: new Date(), revokedReason: "Revoked by user" }
+    );
+
+    if (!session) {
+        return res.status(404).json({ message: "Session not found" });
+    }
+    disconnectSessions(req.io, [session._id]);
+    res.status(200).json({ message: "Session revoked" });
+});
+
+// Sign out every device except the one making the request
+export const revokeOtherSessions = asyncHandler(async (req, res) => {
+    const revoked = await revokeUserSessions(req.user._id, "Revoked by user", req.sessionId, req.io);
+    res.status(200).json({ message: "Other sessions revoked", revoked });
+});
@@ -0,0 +1,218 @@
+import mongoose from 'mongoose';
+import Ticket from '../models/Ticket.js';
+import Transaction from '../models/Transaction.js';
+import Reservation from '../models/Reservation.js';
+import { issueTickets, generateQRCode, verifyTicketCode } from '../utils/tickets.js';
+import { sessionForCheckIn } from '../utils/eventSchedule.js';
+
+// Issue tickets for paid transactions that are missing some, e.g. when
+// issuing failed after payment or the purchase predates tickets. Seats
+// are only issued while the reservation holds them, so a payment that
+// arrived after the event sold out never gets tickets.
+const issueMissingTickets = async (userId) => {
+    const paid = await Transaction.find({ userId, status: { $in: ['COMPLETED', 'PARTIALLY_REFUNDED'] } });
+    if (paid.length === 0) {
+        return;
+    }
+
+    // Purchases from before reservations have none; any other must be confirmed
+    const reservations = await Reservation.find({ transactionId: { $in: paid.map(t => t.transactionId) } })
+        .select('transactionId status');
+    const reservationStatus = new Map(reservations.map(r => [r.transactionId, r.status]));
+    const transactions = paid.filter(t => (reservationStatus.get(t.transactionId) ?? 'CONFIRMED') === 'CONFIRMED');
+
+    const issued = await Ticket.aggregate([
+        { $match: { transaction: { $in: transactions.map(t => t._id) } } },
+        { $group: { _id: '$transaction', count: { $sum: 1 } } }
+    ]);
+    const issuedCounts = new Map(issued.map(entry => [entry._id.toString(), entry.count]));
+
+    for (const transaction of transactions) {
+        const seats = transaction.ticketCount - (transaction.refundedTicketCount || 0);
+        if ((issuedCounts.get(transaction._id.toString()) || 0) < seats) {
+            await issueTickets(transaction);
+        }
+    }
+};
+
+// Get the signed-in user's tickets with their QR codes
+export const getMyTickets = async (req, res) => {
+    try {
+        const userId = req.user._id;
+        const { eventId, status } = req.query;
+
+        await issueMissingTickets(userId);
+
+        const filter = { owner: userId };
+        if (eventId) filter.eventId = eventId;
+        if (status) filter.status = status;
+
+        const tickets = await Ticket.find(filter)
+            .populate('eventId', 'title date time startsAt endsAt timezone address location image')
+            .sort({ createdAt: -1, seatNumber: 1 });
+
+        const formattedTickets = await Promise.all(tickets.map(async (ticket) => ({
+            id: ticket._id,
+            code: ticket.code,
+            qrCode: await generateQRCode(ticket.code),
+            status: ticket.status,
+            seatNumber: ticket.seatNumber,
+            ticketType: ticket.ticketType,
+            ticketTypeName: ticket.ticketTypeName,
+            sessionId: ticket.sessionId,
+            sessionStartsAt: ticket.sessionStartsAt,
+            transactionId: ticket.transactionId,
+            issuedAt: ticket.createdAt,
+            event: ticket.eventId && {
+                id: ticket.eventId._id,
+                title: ticket.eventId.title,
+                date: ticket.eventId.date,
+                time: ticket.eventId.time,
+                startsAt: ticket.eventId.startsAt,
+                endsAt: ticket.eventId.endsAt,
+                timezone: ticket.eventId.timezone,
+                address: ticket.eventId.address,
+                location: ticket.eventId.location,
+                image: ticket.eventId.image
+            }
+        })));
+
+        res.json({
+            tickets: formattedTickets,
+            totalTickets: formattedTickets.length
+        });
+    } catch (error) {
+        console.error('Error fetching tickets:', error);
+        res.status(500).json({ message: 'Error fetching tickets: ' + error.message });
+    }
+};
+
+// Issued and checked-in counts per ticket tier for an event, or one of its sessions
+const getCheckInSummary = async (eventId, sessionId) => {
+    const tiers = await Ticket.aggregate([
+        {
+            $match: {
+                eventId: new mongoose.Types.ObjectId(eventId),
+                status: 'VALID',
+                ...(sessionId && { sessionId })
+            }
+        },
+        {
+            $group: {
+                _id: '$ticketType',
+                ticketTypeName: { $first: '$ticketTypeName' },
+                issued: { $sum: 1 },
+                checkedIn: { $sum: { $cond: [{ $ifNull: ['$checkedInAt', false] }, 1, 0] } }
+            }
+        },
+        { $sort: { _id: 1 } }
+    ]);
+
+    return {
+        eventId,
+        sessionId,
+        totalIssued: tiers.reduce((sum, tier) => sum + tier.issued, 0),
+        totalCheckedIn: tiers.reduce((sum, tier) => sum + tier.checkedIn, 0),
+        tiers: tiers.map(tier => ({
+            ticketType: tier._id,
+            ticketTypeName: tier.ticketTypeName,
+            issued: tier.issued,
+            checkedIn: tier.checkedIn
+        }))
+    };
+};
+
+// Validate a scanned ticket at the door and mark it as used
+export const checkInTicket = async (req, res) => {
+    try {
+        const { id: eventId } = req.params;
+        const { code, sessionId } = req.body;
+
+        if (!code) {
+            return res.status(400).json({ message: 'Ticket code is required.' });
+        }
+
+        const decoded = verifyTicketCode(code);
+        if (!decoded) {
+            return res.status(400).json({ message: 'Invalid ticket code.' });
+        }
+
+        if (decoded.eventId !== eventId) {
+            return res.status(400).json({ message: 'This ticket is for a different event.' });
+        }
+
+        // Events run as several sessions admit each ticket to its own session only
+        const event = req.resource;
+        let session = null;
+        if (sessionId) {
+            session = mongoose.isValidObjectId(sessionId) ? event.findSession(sessionId) : null;
+            if (!session) {
+                return res.status(404).json({ message: 'Session not found.' });
+            }
+        } else if (event.hasSessions()) {
+            session = sessionForCheckIn(event);
+            if (!session) {
+                return res.status(400).json({ message: 'No session of this event is on now; choose one with sessionId.' });
+            }
+        }
+
+        const ticket = await Ticket.findOne({ _id: decoded.ticketId, eventId })
+            .populate('owner', 'full_name email');
+        if (!ticket) {
+            return res.status(404).json({ message: 'Ticket not found.' });
+        }
+
+        if (ticket.status !== 'VALID') {
+            return res.status(400).json({ message: 'This ticket is no longer valid.', status: ticket.status });
+        }
+
+        if (session && ticket.sessionId && !ticket.sessionId.equals(session._id)) {
+            return res.status(400).json({
+                message: 'This ticket is for a different session.',
+                sessionId: ticket.sessionId,
+                sessionStartsAt: ticket.sessionStartsAt
+            });
+        }
+
+        // Conditional update so two scanners cannot admit the same ticket
+        const checkedIn = await Ticket.findOneAndUpdate(
+            { _id: ticket._id, status: 'VALID', checkedInAt: null },
+            { checkedInAt: new Date(), checkedInBy: req.user._id },
+            { new: true }
+        );
+
+        if (!checkedIn) {
+            const existing = await Ticket.findById(ticket._id).populate('checkedInBy', 'full_name');
+            return res.status(409).json({
+                message: 'Ticket has already been checked in.',
+                checkedInAt: existing.checkedInAt,
+                checkedInBy: existing.checkedInBy?.full_name
+            });
+        }
+
+        const summary = await getCheckInSummary(eventId, session?._id);
+
+        // Live count for organisers watching the event room
+        if (req.io) {
+            req.io.to(eventId).emit('checkInUpdate', summary);
+        }
+
+        res.json({
+            message: 'Check-in successful',
+            ticket: {
+                id: checkedIn._id,
+                seatNumber: checkedIn.seatNumber,
+                ticketType: checkedIn.ticketType,
+                ticketTypeName: checkedIn.ticketTypeName,
+                sessionId: checkedIn.sessionId,
+                sessionStartsAt: checkedIn.sessionStartsAt,
+                holder: ticket.owner?.full_name,
+                checkedInAt: checkedIn.checkedInAt
+            },
+            summary
+        });
+    } catch (error) {
+        console.error('Error checking in ticket:', error);
+        res.status(500).json({ message: 'Error checking in ticket: ' + error.message });
+    }
+};
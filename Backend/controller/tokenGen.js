@@ -1,9 +1,12 @@
 import jwt from "jsonwebtoken";
 
-const genToken = (id) => {
-    const token = jwt.sign({ id }, process.env.JWT_SECRET, { expiresIn: "1d" });
+// Access tokens are short-lived; clients renew them with a refresh token.
+// `sid` ties the token to a Session so revoking the session revokes the token.
+const genToken = (id, sessionId) => {
+    const token = jwt.sign({ id, sid: sessionId }, process.env.JWT_SECRET, {
+        expiresIn: process.env.ACCESS_TOKEN_TTL || "15m",
+    });
     return token;
 };
 
 export default genToken;
-
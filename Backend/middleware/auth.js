@@ -1,7 +1,37 @@
 import User from "../models/userModel.js";
+import Session from "../models/Session.js";
 import jwt from "jsonwebtoken";
 import asyncHandler from "express-async-handler";
 
+// Verify an access token and load its user. Used for HTTP requests and
+// Socket.IO handshakes alike. Returns { user, sessionId }; throws when the
+// token is invalid, its session has been revoked or the user no longer exists.
+export const authenticateToken = async (token) => {
+    // Verify the token
+    const verified = jwt.verify(token, process.env.JWT_SECRET, { algorithms: ["HS256"] });
+
+    // Tokens tied to a session stop working as soon as the session is revoked
+    if (verified.sid) {
+        const session = await Session.findById(verified.sid);
+        if (!session || !session.isActive()) {
+            throw new Error("Session has been revoked");
+        }
+    }
+
+    // Find the user by the ID in the token and exclude the password field
+    const user = await User.findById(verified.id).select("-password");
+
+    if (!user) {
+        throw new Error("User not found");
+    }
+
+    return { user, sessionId: verified.sid };
+};
+
+// Socket.IO room of the connections opened with a session's tokens, so they
+// can be closed when the session is revoked
+export const sessionRoom = (sessionId) => `session:${sessionId}`;
+
 const Secure = asyncHandler(async (req, res, next) => {
     try {
         // Get the Authorization header
@@ -15,19 +45,11 @@ const Secure = asyncHandler(async (req, res, next) => {
         // Extract the token from the header
         const token = authHeader.split(" ")[1];
 
-        // Verify the token
-        const verified = jwt.verify(token, process.env.JWT_SECRET, { algorithms: ["HS256"] });
+        const { user, sessionId } = await authenticateToken(token);
 
-        // Find the user by the ID in the token and exclude the password field
-        const user = await User.findById(verified.id).select("-password");
-
-        if (!user) {
-            res.status(401);
-            throw new Error("User not found");
-        }
-
-        // Attach the user to the request object
+        // Attach the user and session to the request object
         req.user = user;
+        req.sessionId = sessionId;
 
         next();
     } catch (error) {
@@ -36,4 +58,19 @@ const Secure = asyncHandler(async (req, res, next) => {
     }
 });
 
+// Like Secure, but requests without a valid token carry on without a user
+export const optionalSecure = asyncHandler(async (req, res, next) => {
+    const authHeader = req.headers.authorization;
+    if (authHeader && authHeader.startsWith("Bearer ")) {
+        try {
+            const { user, sessionId } = await authenticateToken(authHeader.split(" ")[1]);
+            req.user = user;
+            req.sessionId = sessionId;
+        } catch (error) {
+            // Treated as signed out
+        }
+    }
+    next();
+});
+
 export default Secure;
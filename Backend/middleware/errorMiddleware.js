@@ -1,7 +1,7 @@
 const errorHandler = (err, req, res, next) => {
 
-    const codeStatus = res.codeStatus ? res.
-    codeStatus: 500
+    // Keep the 4xx a handler set before throwing
+    const codeStatus = res.statusCode >= 400 ? res.statusCode : 500;
     res.status(codeStatus)
     res.json({
         message: err.message,
@@ -0,0 +1,66 @@
+// Roles (besides admin, who may do everything) allowed to perform each action.
+// Owners of an event or business can always manage their own document.
+export const PERMISSIONS = {
+    'events:create': ['sub_admin', 'ambassador', 'artist'],
+    'events:manage': ['sub_admin'],
+    'events:checkin': ['sub_admin'],
+    'countries:manage': ['sub_admin'],
+    'businesses:manage': ['sub_admin'],
+    'users:read': ['sub_admin'],
+    'users:manage': [],
+    'payments:manage': [],
+    'payments:refund': ['sub_admin'],
+    'promocodes:manage': ['sub_admin'],
+    'chat:moderate': ['sub_admin'],
+};
+
+// Roles people may pick for themselves when signing up. Anything else, admin
+// and sub_admin included, is only given by an admin through PUT /users/:id/role.
+export const SIGNUP_ROLES = ['user', 'ambassador', 'artist'];
+
+export const hasPermission = (user, permission) => {
+    if (!user) {
+        return false;
+    }
+    return user.role === 'admin' || (PERMISSIONS[permission] || []).includes(user.role);
+};
+
+const denyAccess = (res) => res.status(403).json({
+    error: 'Access denied. You do not have permission to perform this action.'
+});
+
+// Requires a permission from the signed-in user. Use after Secure.
+export const authorize = (permission) => (req, res, next) => {
+    if (hasPermission(req.user, permission)) {
+        return next();
+    }
+    denyAccess(res);
+};
+
+// Loads the document named by a route param and lets its owner through,
+// along with anyone holding the given permission. The document is left on
+// req.resource for the controller.
+export const authorizeOwner = (Model, { param = 'id', permission }) => async (req, res, next) => {
+    try {
+        const resource = await Model.findById(req.params[param]);
+        if (!resource) {
+            return res.status(404).json({ message: `${Model.modelName} not found` });
+        }
+
+        if (hasPermission(req.user, permission) || resource.isOwnedBy(req.user._id)) {
+            req.resource = resource;
+            return next();
+        }
+        denyAccess(res);
+    } catch (error) {
+        res.status(500).json({ message: error.message });
+    }
+};
+
+// For routes that act on a user by id: the user themselves, or a permission holder.
+export const authorizeSelf = (param, permission) => (req, res, next) => {
+    if (req.user && (req.params[param] === req.user._id.toString() || hasPermission(req.user, permission))) {
+        return next();
+    }
+    denyAccess(res);
+};
@@ -0,0 +1,10 @@
+// Blocks accounts that have not confirmed their email yet. Use after Secure.
+const requireVerified = (req, res, next) => {
+    if (req.user && req.user.isVerified !== false) {
+        return next();
+    }
+
+    res.status(403).json({ error: 'Please verify your email address to continue.' });
+};
+
+export default requireVerified;
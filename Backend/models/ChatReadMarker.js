@@ -0,0 +1,28 @@
+import mongoose from 'mongoose';
+
+// How far a user has read an event's chat, for read receipts and unread counts
+const chatReadMarkerSchema = new mongoose.Schema({
+    eventId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Event',
+        required: true
+    },
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    lastReadMessageId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Chat'
+    },
+    lastReadAt: {
+        type: Date
+    }
+}, {
+    timestamps: true
+});
+
+chatReadMarkerSchema.index({ eventId: 1, userId: 1 }, { unique: true });
+
+export default mongoose.model('ChatReadMarker', chatReadMarkerSchema);
@@ -0,0 +1,45 @@
+import mongoose from 'mongoose';
+
+export const REPORT_STATUSES = ['OPEN', 'RESOLVED', 'DISMISSED'];
+
+// A user's report of a chat message, queued for the event's moderators
+const chatReportSchema = new mongoose.Schema({
+    chatId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Chat',
+        required: true
+    },
+    eventId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Event',
+        required: true
+    },
+    reporter: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    reason: {
+        type: String,
+        trim: true,
+        maxlength: 500
+    },
+    status: {
+        type: String,
+        enum: REPORT_STATUSES,
+        default: 'OPEN'
+    },
+    resolvedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    resolvedAt: Date
+}, {
+    timestamps: true
+});
+
+// One report per message and reporter
+chatReportSchema.index({ chatId: 1, reporter: 1 }, { unique: true });
+chatReportSchema.index({ eventId: 1, status: 1, createdAt: 1 });
+
+export default mongoose.model('ChatReport', chatReportSchema);
@@ -0,0 +1,52 @@
+import mongoose from 'mongoose';
+
+export const SANCTION_TYPES = ['MUTE', 'BAN'];
+
+// A moderator's mute or ban of a user from one event's chat. Muted users can
+// still read the chat; banned users can't join it at all. Both lapse at
+// expiresAt, or earlier if a moderator lifts them.
+const chatSanctionSchema = new mongoose.Schema({
+    eventId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Event',
+        required: true
+    },
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    type: {
+        type: String,
+        enum: SANCTION_TYPES,
+        required: true
+    },
+    reason: {
+        type: String,
+        trim: true,
+        maxlength: 500
+    },
+    expiresAt: {
+        type: Date,
+        required: true
+    },
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    liftedAt: Date,
+    liftedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    }
+}, {
+    timestamps: true
+});
+
+chatSanctionSchema.index({ eventId: 1, userId: 1, expiresAt: -1 });
+
+chatSanctionSchema.methods.isActive = function(now = new Date()) {
+    return !this.liftedAt && this.expiresAt > now;
+};
+
+export default mongoose.model('ChatSanction', chatSanctionSchema);
@@ -0,0 +1,84 @@
+import mongoose from 'mongoose';
+
+// Most people a group conversation can hold, including whoever started it
+export const MAX_GROUP_SIZE = 10;
+
+// How far a participant has read, for read receipts
+const readMarkerSchema = new mongoose.Schema({
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    lastReadMessageId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'DirectMessage'
+    },
+    lastReadAt: {
+        type: Date
+    }
+}, { _id: false });
+
+// A private conversation between two users, or a small group of them
+const conversationSchema = new mongoose.Schema({
+    participants: {
+        type: [{
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User'
+        }],
+        validate: {
+            validator: (participants) => participants.length >= 2 && participants.length <= MAX_GROUP_SIZE,
+            message: `A conversation has between 2 and ${MAX_GROUP_SIZE} participants`
+        }
+    },
+    isGroup: {
+        type: Boolean,
+        default: false
+    },
+    // Groups can be named; one-to-one conversations show the other person
+    name: {
+        type: String,
+        trim: true,
+        maxlength: 100
+    },
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    // Both user ids of a one-to-one conversation, sorted, so each pair has only one
+    directKey: {
+        type: String
+    },
+    // Copy of the newest message for conversation lists
+    lastMessage: {
+        _id: mongoose.Schema.Types.ObjectId,
+        sender: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User'
+        },
+        message: String,
+        createdAt: Date
+    },
+    // When the newest message was sent, or the conversation started
+    lastMessageAt: {
+        type: Date,
+        default: Date.now
+    },
+    readBy: {
+        type: [readMarkerSchema],
+        default: []
+    }
+}, {
+    timestamps: true
+});
+
+conversationSchema.index({ directKey: 1 }, { unique: true, sparse: true });
+conversationSchema.index({ participants: 1, lastMessageAt: -1 });
+
+conversationSchema.methods.hasParticipant = function(userId) {
+    return this.participants.some(participant => (participant._id || participant).equals(userId));
+};
+
+export const directKeyFor = (userId, otherUserId) => [String(userId), String(otherUserId)].sort().join(':');
+
+export default mongoose.model('Conversation', conversationSchema);
@@ -0,0 +1,26 @@
+import mongoose from 'mongoose';
+
+// A message in a private conversation (see Conversation)
+const directMessageSchema = new mongoose.Schema({
+    conversationId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Conversation',
+        required: true
+    },
+    sender: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    message: {
+        type: String,
+        required: true
+    }
+}, {
+    timestamps: true
+});
+
+// Threads are read one page at a time, in order of creation
+directMessageSchema.index({ conversationId: 1, createdAt: 1, _id: 1 });
+
+export default mongoose.model('DirectMessage', directMessageSchema);
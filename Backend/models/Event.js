@@ -1,4 +1,32 @@
 import mongoose from 'mongoose';
+import { DEFAULT_TIMEZONE, isValidTimezone, parseEventTimes, formatEventDate } from '../utils/eventTime.js';
+import { DEFAULT_CURRENCY, isValidCurrency, fromMinorUnits, formatMoney } from '../utils/currency.js';
+
+// OPEN: any signed-in user can join the chat; TICKET_HOLDERS: only buyers and organisers
+export const CHAT_ACCESS = ['OPEN', 'TICKET_HOLDERS'];
+
+// One occurrence of a recurring or multi-day event. Each session sells its
+// own seats: `inventory` holds the seats left per pricing tier id.
+const sessionSchema = new mongoose.Schema({
+  startsAt: {
+    type: Date,
+    required: true
+  },
+  endsAt: Date,
+  title: String,
+  status: {
+    type: String,
+    enum: ['SCHEDULED', 'CANCELLED'],
+    default: 'SCHEDULED'
+  },
+  inventory: {
+    type: Map,
+    of: {
+      type: Number,
+      min: 0
+    }
+  }
+});
 
 const eventSchema = new mongoose.Schema({
   id: Number,
@@ -10,6 +38,7 @@ const eventSchema = new mongoose.Schema({
   },
   paypalUsername: String,
   location: String,
+  // Free-form date/time strings from older clients; startsAt is the source of truth
   date: String,
   // Updated pricing structure to support up to 10 flexible payment options
   pricing: {
@@ -19,10 +48,15 @@ const eventSchema = new mongoose.Schema({
         type: String,
         required: true
       },
+      // In minor units of the event's currency, e.g. 250000 for NGN 2,500.00
       price: {
         type: Number,
         required: true,
-        min: 0
+        min: 0,
+        validate: {
+          validator: Number.isInteger,
+          message: 'Price must be a whole number of minor units (e.g. cents or kobo)'
+        }
       },
       available: {
         type: Number,
@@ -41,6 +75,17 @@ const eventSchema = new mongoose.Schema({
       message: 'Event must have between 1 and 10 pricing options'
     }
   },
+  // ISO 4217 code the pricing is in and buyers are charged in
+  currency: {
+    type: String,
+    uppercase: true,
+    trim: true,
+    default: DEFAULT_CURRENCY,
+    validate: {
+      validator: isValidCurrency,
+      message: props => `${props.value} is not a valid currency code`
+    }
+  },
   // Keep the old price field for backward compatibility
   price: {
     type: String,
@@ -48,9 +93,45 @@ const eventSchema = new mongoose.Schema({
   },
   category: String,
   time: String,
+  startsAt: Date,
+  endsAt: {
+    type: Date,
+    validate: {
+      validator: function(endsAt) {
+        return !endsAt || !this.startsAt || endsAt >= this.startsAt;
+      },
+      message: 'Event cannot end before it starts'
+    }
+  },
+  // RRULE the sessions were generated from, e.g. "FREQ=WEEKLY;BYDAY=SA;COUNT=6"
+  recurrenceRule: String,
+  // When set, tickets are sold per session and each tier's `available`
+  // is the capacity of a single session
+  sessions: [sessionSchema],
+  // IANA time zone the event takes place in, e.g. "Europe/London"
+  timezone: {
+    type: String,
+    default: DEFAULT_TIMEZONE,
+    validate: {
+      validator: isValidTimezone,
+      message: props => `${props.value} is not a valid time zone`
+    }
+  },
   address: String,
   latitude: Number,
   longitude: Number,
+  // GeoJSON point kept in sync with latitude/longitude for "near me" searches.
+  // Named geoLocation because `location` already holds the venue name.
+  geoLocation: {
+    type: {
+      type: String,
+      enum: ['Point']
+    },
+    coordinates: {
+      type: [Number],
+      default: undefined
+    }
+  },
   organiser: String,
   description: String,
   unit: {
@@ -58,7 +139,23 @@ const eventSchema = new mongoose.Schema({
     default: 0
   },
   organizerPhoto: String,
-  QRCodeLink: String
+  QRCodeLink: String,
+  // User who created the event; they can edit and manage it
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  // Other users who help run the event and share its management rights
+  coOrganisers: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
+  // Who may join the event's chat: any signed-in user, or only ticket holders and organisers
+  chatAccess: {
+    type: String,
+    enum: CHAT_ACCESS,
+    default: 'OPEN'
+  }
 }, {
   timestamps: true
 });
@@ -71,6 +168,7 @@ eventSchema.methods.getTicketTypes = function() {
       id: key,
       name: value.name,
       price: value.price,
+      formattedPrice: formatMoney(fromMinorUnits(value.price, this.currency), this.currency),
       available: value.available,
       description: value.description
     });
@@ -78,6 +176,30 @@ eventSchema.methods.getTicketTypes = function() {
   return types;
 };
 
+// Sessions that can still be booked or attended
+eventSchema.methods.hasSessions = function() {
+  return (this.sessions || []).some(session => session.status !== 'CANCELLED');
+};
+
+eventSchema.methods.findSession = function(sessionId) {
+  return (this.sessions || []).find(session => session._id.equals(sessionId));
+};
+
+// Sessions with remaining seats per ticket type, for JSON responses
+eventSchema.methods.getSessions = function() {
+  return (this.sessions || []).map(session => ({
+    id: session._id,
+    startsAt: session.startsAt,
+    endsAt: session.endsAt,
+    title: session.title,
+    status: session.status,
+    ticketTypes: this.getTicketTypes().map(ticketType => ({
+      ...ticketType,
+      available: session.inventory?.get(ticketType.id) ?? 0
+    }))
+  }));
+};
+
 // Helper method to check if a ticket type exists and is available
 eventSchema.methods.isTicketTypeAvailable = function(ticketTypeId, quantity = 1) {
   const ticketType = this.pricing.get(ticketTypeId);
@@ -95,5 +217,118 @@ eventSchema.methods.reduceTicketAvailability = function(ticketTypeId, quantity)
   return false;
 };
 
+// Helper method to check whether a user may manage this event as its organiser
+eventSchema.methods.isOwnedBy = function(userId) {
+  if (this.createdBy && this.createdBy.equals(userId)) {
+    return true;
+  }
+  return (this.coOrganisers || []).some(organiser => organiser.equals(userId));
+};
+
+// Builds a GeoJSON point, or returns null when the coordinates are missing or out of range
+export const toGeoPoint = (latitude, longitude) => {
+  const lat = parseFloat(latitude);
+  const lng = parseFloat(longitude);
+  if (!Number.isFinite(lat) || !Number.isFinite(lng) || Math.abs(lat) > 90 || Math.abs(lng) > 180) {
+    return null;
+  }
+  return { type: 'Point', coordinates: [lng, lat] };
+};
+
+// Keep startsAt and the legacy date/time strings in step. An explicit
+// startsAt wins; otherwise it is parsed from the strings in the event's time zone.
+eventSchema.pre('validate', function(next) {
+  if (this.isModified('startsAt') && this.startsAt) {
+    Object.assign(this, formatEventDate(this.startsAt, this.timezone));
+  } else if (this.isNew || this.isModified('date') || this.isModified('time') || this.isModified('timezone')) {
+    const parsed = parseEventTimes(this.date, this.time, this.timezone);
+    if (parsed) {
+      this.startsAt = parsed.startsAt;
+      if (!this.isModified('endsAt') && parsed.endsAt) {
+        this.endsAt = parsed.endsAt;
+      }
+    }
+  }
+  next();
+});
+
+eventSchema.pre('save', function(next) {
+  if (this.isNew || this.isModified('latitude') || this.isModified('longitude')) {
+    this.geoLocation = toGeoPoint(this.latitude, this.longitude) || undefined;
+  }
+  next();
+});
+
+// Keep geoLocation in sync when only one coordinate is sent in an update
+eventSchema.pre('findOneAndUpdate', async function() {
+  const update = this.getUpdate();
+  const fields = update.$set || update;
+  if (fields.latitude === undefined && fields.longitude === undefined) {
+    return;
+  }
+
+  let { latitude, longitude } = fields;
+  if (latitude === undefined || longitude === undefined) {
+    const current = await this.model.findOne(this.getQuery()).select('latitude longitude');
+    latitude = latitude ?? current?.latitude;
+    longitude = longitude ?? current?.longitude;
+  }
+
+  const point = toGeoPoint(latitude, longitude);
+  if (point) {
+    this.set('geoLocation', point);
+  } else {
+    this.setUpdate({ ...update, $unset: { ...update.$unset, geoLocation: 1 } });
+  }
+});
+
+// Same as the validate hook above, for findByIdAndUpdate
+eventSchema.pre('findOneAndUpdate', async function() {
+  const update = this.getUpdate();
+  const fields = update.$set || update;
+  const { startsAt, endsAt, date, time, timezone } = fields;
+  if (startsAt === undefined && endsAt === undefined && date === undefined &&
+      time === undefined && timezone === undefined) {
+    return;
+  }
+
+  if (timezone !== undefined && !isValidTimezone(timezone)) {
+    throw new Error(`${timezone} is not a valid time zone`);
+  }
+
+  const current = await this.model.findOne(this.getQuery()).select('startsAt date time timezone');
+  const zone = timezone ?? current?.timezone;
+  let start = current?.startsAt;
+
+  if (startsAt) {
+    start = new Date(startsAt);
+    this.set(formatEventDate(start, zone));
+  } else if (date !== undefined || time !== undefined || timezone !== undefined) {
+    const parsed = parseEventTimes(date ?? current?.date, time ?? current?.time, zone);
+    if (parsed) {
+      start = parsed.startsAt;
+      this.set('startsAt', start);
+      if (endsAt === undefined && parsed.endsAt) {
+        this.set('endsAt', parsed.endsAt);
+      }
+    }
+  }
+
+  if (endsAt && start && new Date(endsAt) < start) {
+    throw new Error('Event cannot end before it starts');
+  }
+});
+
+eventSchema.index({ geoLocation: '2dsphere' });
+// Full-text search for the event listing; titles count most
+eventSchema.index(
+  { title: 'text', organiser: 'text', address: 'text', description: 'text' },
+  { name: 'event_text_search', weights: { title: 10, organiser: 5, address: 3, description: 1 } }
+);
+eventSchema.index({ startsAt: 1 });
+eventSchema.index({ 'sessions.startsAt': 1 });
+eventSchema.index({ createdBy: 1 });
+eventSchema.index({ coOrganisers: 1 });
+
 const Event = mongoose.model('Event', eventSchema);
 export default Event;
\ No newline at end of file
@@ -0,0 +1,106 @@
+import mongoose from 'mongoose';
+import { DEFAULT_CURRENCY, isValidCurrency, roundAmount } from '../utils/currency.js';
+
+// A discount code buyers can enter at checkout
+const promoCodeSchema = new mongoose.Schema({
+    // Codes are matched case-insensitively and stored upper case
+    code: {
+        type: String,
+        required: true,
+        unique: true,
+        uppercase: true,
+        trim: true,
+        match: [/^[A-Z0-9_-]{3,32}$/, 'Code must be 3-32 letters, numbers, dashes or underscores']
+    },
+    description: {
+        type: String,
+        default: ''
+    },
+    discountType: {
+        type: String,
+        enum: ['PERCENTAGE', 'FIXED'],
+        required: true
+    },
+    // Percent off (1-100) for PERCENTAGE, amount off the order in major
+    // units of `currency` for FIXED
+    discountValue: {
+        type: Number,
+        required: true,
+        min: 0,
+        validate: {
+            validator: function(value) {
+                return value > 0 && (this.discountType !== 'PERCENTAGE' || value <= 100);
+            },
+            message: 'Discount must be above 0, and at most 100 for a percentage'
+        }
+    },
+    // FIXED codes only apply to orders in this currency
+    currency: {
+        type: String,
+        uppercase: true,
+        trim: true,
+        default: DEFAULT_CURRENCY,
+        validate: {
+            validator: isValidCurrency,
+            message: props => `${props.value} is not a valid currency code`
+        }
+    },
+    // Total number of checkouts that may use the code; null means unlimited
+    maxUses: {
+        type: Number,
+        default: null,
+        min: 1
+    },
+    // Checkouts holding or having used the code
+    usedCount: {
+        type: Number,
+        default: 0,
+        min: 0
+    },
+    perUserLimit: {
+        type: Number,
+        default: null,
+        min: 1
+    },
+    startsAt: Date,
+    expiresAt: Date,
+    // Limit the code to these events / ticket tier ids; empty means any
+    events: [{
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Event'
+    }],
+    ticketTypes: [{
+        type: String
+    }],
+    active: {
+        type: Boolean,
+        default: true
+    },
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    }
+}, {
+    timestamps: true
+});
+
+promoCodeSchema.index({ createdBy: 1 });
+
+promoCodeSchema.methods.isOwnedBy = function(userId) {
+    return Boolean(this.createdBy && this.createdBy.equals(userId));
+};
+
+promoCodeSchema.methods.appliesToCurrency = function(currency) {
+    return this.discountType === 'PERCENTAGE' || this.currency === currency;
+};
+
+// Amount taken off an order subtotal, rounded to the currency's minor unit
+// and never more than the subtotal
+promoCodeSchema.methods.discountFor = function(subtotal, currency) {
+    const discount = this.discountType === 'PERCENTAGE'
+        ? subtotal * this.discountValue / 100
+        : this.discountValue;
+    return roundAmount(Math.min(discount, subtotal), currency);
+};
+
+export default mongoose.model('PromoCode', promoCodeSchema);
@@ -0,0 +1,74 @@
+import mongoose from 'mongoose';
+
+// A hold on ticket inventory taken when checkout starts. The seats are
+// removed from the event's pricing tier (or session) up front and given back if the
+// hold is released or expires before payment completes.
+const reservationSchema = new mongoose.Schema({
+    transactionId: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    eventId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Event',
+        required: true
+    },
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    // Set for events sold per session; seats then come from that session
+    sessionId: {
+        type: mongoose.Schema.Types.ObjectId
+    },
+    // Seats still held per tier. Holds from before carts only have ticketType.
+    items: {
+        type: [{
+            _id: false,
+            ticketType: { type: String, required: true },
+            quantity: { type: Number, required: true, min: 0 }
+        }],
+        default: undefined
+    },
+    ticketType: {
+        type: String
+    },
+    // Seats still held across all tiers; partial refunds count this down to 0
+    quantity: {
+        type: Number,
+        required: true,
+        min: 0
+    },
+    // Promo code use taken with the hold; given back if the hold lapses unpaid
+    promoCodeId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'PromoCode'
+    },
+    status: {
+        type: String,
+        enum: ['HELD', 'CONFIRMED', 'RELEASED'],
+        default: 'HELD'
+    },
+    expiresAt: {
+        type: Date,
+        required: true
+    },
+    releasedAt: Date,
+    releaseReason: String
+}, {
+    timestamps: true
+});
+
+reservationSchema.methods.getItems = function() {
+    if (this.items?.length) {
+        return this.items.map(item => ({ ticketType: item.ticketType, quantity: item.quantity }));
+    }
+    return [{ ticketType: this.ticketType, quantity: this.quantity }];
+};
+
+// Used by the sweeper to find lapsed holds
+reservationSchema.index({ status: 1, expiresAt: 1 });
+reservationSchema.index({ sessionId: 1, status: 1 });
+
+export default mongoose.model('Reservation', reservationSchema);
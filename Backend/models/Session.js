@@ -0,0 +1,49 @@
+import mongoose from "mongoose";
+
+// One document per signed-in device. Refresh tokens are stored hashed and
+// rotated on every use; the previous hash is kept to detect token reuse.
+const sessionSchema = new mongoose.Schema({
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        required: true,
+        ref: 'User',
+        index: true,
+    },
+    refreshTokenHash: {
+        type: String,
+        required: true,
+        unique: true,
+    },
+    previousRefreshTokenHash: {
+        type: String,
+        index: true,
+    },
+    userAgent: {
+        type: String,
+        default: "",
+    },
+    ipAddress: {
+        type: String,
+        default: "",
+    },
+    lastUsedAt: {
+        type: Date,
+        default: Date.now,
+    },
+    expiresAt: {
+        type: Date,
+        required: true,
+    },
+    revokedAt: {
+        type: Date,
+        default: null,
+    },
+    revokedReason: String,
+}, { timestamps: true });
+
+sessionSchema.methods.isActive = function () {
+    return !this.revokedAt && this.expiresAt > new Date();
+};
+
+const Session = mongoose.model("Session", sessionSchema);
+export default Session;
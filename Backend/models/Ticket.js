@@ -0,0 +1,68 @@
+import mongoose from 'mongoose';
+
+// One document per seat bought. `code` is the signed value encoded in the QR image.
+const ticketSchema = new mongoose.Schema({
+    eventId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Event',
+        required: true
+    },
+    transaction: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Transaction',
+        required: true
+    },
+    // Public transaction reference, matches Transaction.transactionId
+    transactionId: {
+        type: String,
+        required: true
+    },
+    owner: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    ticketType: {
+        type: String,
+        required: true
+    },
+    ticketTypeName: String,
+    // Session the ticket admits to, for events sold per session
+    sessionId: {
+        type: mongoose.Schema.Types.ObjectId
+    },
+    sessionStartsAt: Date,
+    // Position of this seat within the transaction, starting at 1
+    seatNumber: {
+        type: Number,
+        required: true
+    },
+    code: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    status: {
+        type: String,
+        enum: ['VALID', 'VOID'],
+        default: 'VALID'
+    },
+    // Set once at the door; a ticket cannot be checked in twice
+    checkedInAt: {
+        type: Date,
+        default: null
+    },
+    checkedInBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    }
+}, {
+    timestamps: true
+});
+
+// Makes issuing idempotent: a transaction can only ever produce one ticket per seat
+ticketSchema.index({ transaction: 1, seatNumber: 1 }, { unique: true });
+ticketSchema.index({ owner: 1, createdAt: -1 });
+ticketSchema.index({ eventId: 1, ticketType: 1 });
+
+export default mongoose.model('Ticket', ticketSchema);
@@ -1,4 +1,31 @@
 import mongoose from 'mongoose';
+import { describeLines } from '../utils/orderItems.js';
+import { LEGACY_CURRENCY, roundAmount } from '../utils/currency.js';
+
+// One ticket tier of an order, e.g. 2 x Regular
+const lineItemSchema = new mongoose.Schema({
+    ticketType: {
+        type: String,
+        required: true
+    },
+    ticketTypeName: {
+        type: String
+    },
+    quantity: {
+        type: Number,
+        required: true,
+        min: 1
+    },
+    // List price of one ticket in this tier
+    pricePerTicket: {
+        type: Number,
+        required: true
+    },
+    refundedQuantity: {
+        type: Number,
+        default: 0
+    }
+}, { _id: false });
 
 const transactionSchema = new mongoose.Schema({
     transactionId: {
@@ -12,23 +39,53 @@ const transactionSchema = new mongoose.Schema({
         type: mongoose.Schema.Types.ObjectId,
         ref: 'Event',
     },
+    // Payment provider that took the payment (see utils/paymentProviders) and
+    // its reference for the checkout: a PayPal order, Stripe session or Paystack reference
+    provider: {
+        type: String
+    },
+    providerReference: {
+        type: String,
+        index: true
+    },
     paypalOrderId: {
         type: String,
     },
+    // Amounts on a transaction are in major units of its currency, e.g. 25.5
     amount: {
         type: Number,
     },
+    // Currency the buyer was charged in, from the event
+    currency: {
+        type: String,
+        uppercase: true,
+        default: LEGACY_CURRENCY
+    },
     stripePaymentIntentId: {
         type: String
     },
+    // Total tickets across all line items
     ticketCount: {
         type: Number,
         required: true
     },
-    // Updated to support flexible ticket types
+    // Tiers bought in this order. Transactions from before carts only have
+    // the single ticketType / pricePerTicket fields below.
+    items: {
+        type: [lineItemSchema],
+        default: undefined
+    },
+    // Session of a recurring or multi-day event the tickets are for
+    sessionId: {
+        type: mongoose.Schema.Types.ObjectId
+    },
+    sessionStartsAt: {
+        type: Date
+    },
+    // Single-tier orders keep the tier here as well; orders spanning several
+    // tiers leave ticketType and pricePerTicket unset and get a summary name
     ticketType: {
-        type: String,
-        required: true
+        type: String
     },
     // Store the display name of the ticket type for reference
     ticketTypeName: {
@@ -37,13 +94,58 @@ const transactionSchema = new mongoose.Schema({
     },
     // Add price per ticket for transparency
     pricePerTicket: {
+        type: Number
+    },
+    // List price of the order before any promo code; amount is what was charged
+    subtotal: {
+        type: Number
+    },
+    promoCode: {
+        type: String
+    },
+    promoCodeId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'PromoCode'
+    },
+    discountAmount: {
         type: Number,
-        required: true
+        default: 0
     },
     status: {
         type: String,
-        enum: ['PENDING', 'COMPLETED', 'FAILED', 'CANCELLED', "PAID"],
+        // NEEDS_REFUND: paid after the tickets sold out, and the automatic refund failed
+        // CAPTURING: a request is capturing the PayPal order, so no other may
+        enum: ['PENDING', 'COMPLETED', 'FAILED', 'CANCELLED', "PAID", 'REFUNDED', 'PARTIALLY_REFUNDED', 'NEEDS_REFUND', 'CAPTURING'],
     },
+    // Running totals across all refunds issued for this transaction
+    refundedTicketCount: {
+        type: Number,
+        default: 0
+    },
+    refundedAmount: {
+        type: Number,
+        default: 0
+    },
+    refunds: [{
+        providerRefundId: String,
+        amount: Number,
+        ticketCount: Number,
+        // Tickets refunded per tier
+        items: [{
+            _id: false,
+            ticketType: String,
+            quantity: Number
+        }],
+        reason: String,
+        refundedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User'
+        },
+        createdAt: {
+            type: Date,
+            default: Date.now
+        }
+    }],
     paymentDetails: {
         type: Object
     },
@@ -55,6 +157,79 @@ const transactionSchema = new mongoose.Schema({
         type: String,
     },
     stripeSessionId: { type: String },
+    // Allowlisted pages or app deep links the buyer's client asked to be sent
+    // to after paying or cancelling, instead of getting JSON back
+    returnUrl: { type: String },
+    cancelUrl: { type: String },
 });
 
+// Fill the order-level fields from the line items
+transactionSchema.pre('validate', function(next) {
+    if (!this.items?.length || !this.isModified('items')) {
+        return next();
+    }
+
+    this.ticketCount = this.items.reduce((sum, item) => sum + item.quantity, 0);
+    if (this.items.length === 1) {
+        const [item] = this.items;
+        this.ticketType = item.ticketType;
+        this.ticketTypeName = item.ticketTypeName || item.ticketType;
+        this.pricePerTicket = item.pricePerTicket;
+    } else {
+        this.ticketType = undefined;
+        this.pricePerTicket = undefined;
+        this.ticketTypeName = describeLines(this.items);
+    }
+    next();
+});
+
+// Line items of the order, with older single-tier transactions read as one line
+const readItems = (transaction) => {
+    if (transaction.items?.length) {
+        return transaction.items.map(item => ({
+            ticketType: item.ticketType,
+            ticketTypeName: item.ticketTypeName || item.ticketType,
+            quantity: item.quantity,
+            pricePerTicket: item.pricePerTicket,
+            refundedQuantity: item.refundedQuantity || 0
+        }));
+    }
+    return [{
+        ticketType: transaction.ticketType,
+        ticketTypeName: transaction.ticketTypeName,
+        quantity: transaction.ticketCount,
+        pricePerTicket: transaction.pricePerTicket,
+        refundedQuantity: transaction.refundedTicketCount || 0
+    }];
+};
+
+// What the buyer actually paid for one ticket of a tier: the list price
+// scaled down by any promo discount on the order
+transactionSchema.methods.paidPerTicket = function(ticketType) {
+    const items = readItems(this);
+    const item = items.find(line => line.ticketType === ticketType) || items[0];
+    const listTotal = this.subtotal ||
+        items.reduce((sum, line) => sum + (line.pricePerTicket || 0) * line.quantity, 0);
+    if (!listTotal || !Number.isFinite(item.pricePerTicket)) {
+        return this.amount / this.ticketCount;
+    }
+    return item.pricePerTicket * this.amount / listTotal;
+};
+
+transactionSchema.methods.getItems = function() {
+    return readItems(this).map(item => ({
+        ...item,
+        paidPerTicket: roundAmount(this.paidPerTicket(item.ticketType), this.currency)
+    }));
+};
+
+// A paid transaction can be refunded by the buyer until the event (or its session) starts
+transactionSchema.methods.isRefundable = function(event) {
+    const startsAt = this.sessionStartsAt || event?.startsAt || (event?.date && new Date(event.date));
+    return ['COMPLETED', 'PARTIALLY_REFUNDED'].includes(this.status) &&
+        this.paymentStatus === 'paid' &&
+        Boolean(startsAt) &&
+        startsAt > new Date();
+};
+
 export default mongoose.model('Transaction', transactionSchema);
\ No newline at end of file
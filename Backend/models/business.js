@@ -17,7 +17,12 @@ const BusinessSchema = new mongoose.Schema({
             fileName: { type: String,  },
             fileUrl: { type: String,  }
         }
-    ]
+    ],
+    createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }
 });
 
+BusinessSchema.methods.isOwnedBy = function(userId) {
+    return Boolean(this.createdBy && this.createdBy.equals(userId));
+};
+
 export default  mongoose.model('Business', BusinessSchema);
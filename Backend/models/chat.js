@@ -5,8 +5,15 @@ const chatSchema = new mongoose.Schema(
     eventId: { type: mongoose.Schema.Types.ObjectId, ref: "Event", required: true },
     user: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
     message: { type: String, required: true },
+    editedAt: { type: Date },
+    // Deleted messages are kept for moderation but no longer shown
+    deletedAt: { type: Date },
+    deletedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
   },
   { timestamps: true }
 );
 
+// Chat history is read one page at a time, in order of creation
+chatSchema.index({ eventId: 1, createdAt: 1, _id: 1 });
+
 export default mongoose.model("Chat", chatSchema);
@@ -10,6 +10,11 @@ const tokenSchema = mongoose.Schema({
         type: String,
         required: true,
     },
+    purpose: {
+        type: String,
+        enum: ['password_reset', 'email_verification'],
+        default: 'password_reset',
+    },
     createdAt: {
         type: Date,
         required: true,
@@ -19,6 +24,11 @@ const tokenSchema = mongoose.Schema({
         type: Date,
         required: true,
     },
+    // Wrong codes entered against this token
+    attempts: {
+        type: Number,
+        default: 0,
+    },
 
 });
 
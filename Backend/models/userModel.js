@@ -41,6 +41,14 @@ const userSchema = new mongoose.Schema({
         type: String,
     },
     role: { type: String, enum: ['admin', 'user','ambassador',"artist","sub_admin"], default: 'user' },
+    // New accounts start unverified. No default on purpose: accounts created
+    // before email verification existed have no value and count as verified.
+    isVerified: {
+        type: Boolean,
+    },
+    emailVerifiedAt: {
+        type: Date,
+    },
     interests: [{
         type: String
       }],
@@ -48,6 +56,19 @@ const userSchema = new mongoose.Schema({
         type: mongoose.Schema.Types.ObjectId,
         ref: 'Event'
       }],
+    // Users this user won't receive direct messages from; kept private
+    blockedUsers: {
+        type: [{
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User'
+        }],
+        select: false,
+    },
+    // Secret in the personal calendar feed URL; not returned with the profile
+    calendarFeedToken: {
+        type: String,
+        select: false,
+    },
       entityDescription: {
         type: String,
         default: "",
@@ -66,6 +87,8 @@ const userSchema = new mongoose.Schema({
     
 }, { timestamps: true });
 
+userSchema.index({ calendarFeedToken: 1 }, { unique: true, sparse: true });
+
 // Pre-save hook to extract the first name from full_name
 userSchema.pre("save", async function (next) {
     if (this.full_name) {
@@ -1,6 +1,8 @@
 import express from 'express';
 import multer from 'multer';
 import { createCountry, deleteCountry, editCountry, getAllCountries, getCountryById } from '../controller/Country.js';
+import Secure from '../middleware/auth.js';
+import { authorize } from '../middleware/permissions.js';
 
 const router = express.Router();
 const upload = multer();
@@ -15,6 +17,8 @@ const upload = multer();
  *       - multipart/form-data
  *     tags:
  *       - Countries
+ *     security:
+ *       - bearerAuth: []
  *     requestBody:
  *       required: true
  *       content:
@@ -61,6 +65,8 @@ const upload = multer();
  */
 router.post(
     '/countries',
+    Secure,
+    authorize('countries:manage'),
     upload.fields([
       { name: 'image', maxCount: 1 },
     ]),
@@ -114,6 +120,8 @@ router.get('/countries/:id', getCountryById);
  *       - multipart/form-data
  *     tags:
  *       - Countries
+ *     security:
+ *       - bearerAuth: []
  *     parameters:
  *       - name: id
  *         in: path
@@ -166,7 +174,7 @@ router.get('/countries/:id', getCountryById);
  *       404:
  *         description: Country not found
  */
-router.patch('/countries/:id', upload.fields([
+router.patch('/countries/:id', Secure, authorize('countries:manage'), upload.fields([
   { name: 'image', maxCount: 1 }, // Added missing image field
 ]), editCountry);
 
@@ -178,6 +186,8 @@ router.patch('/countries/:id', upload.fields([
  *     description: Deletes a country by ID.
  *     tags:
  *       - Countries
+ *     security:
+ *       - bearerAuth: []
  *     parameters:
  *       - name: id
  *         in: path
@@ -191,6 +201,6 @@ router.patch('/countries/:id', upload.fields([
  *       404:
  *         description: Country not found
  */
-router.delete('/countries/:id', deleteCountry);
+router.delete('/countries/:id', Secure, authorize('countries:manage'), deleteCountry);
 
 export default router;
\ No newline at end of file
@@ -1,6 +1,8 @@
 import  express from 'express';
 import  bookMarkController from '../controller/eventBookmark.js';
 import upload from "../middleware/multer.js"
+import Secure from "../middleware/auth.js";
+import { authorizeSelf } from "../middleware/permissions.js";
 const  router = express.Router();
 /**
  * @swagger
@@ -55,6 +57,8 @@ router.get('/:id/bookmarks', bookMarkController.getBookmarkedEvents);
  *   post:
  *     summary: Bookmark an event for a user
  *     tags: [Bookmarks]
+ *     security:
+ *       - bearerAuth: []
  *     parameters:
  *       - in: path
  *         name: userId
@@ -77,13 +81,15 @@ router.get('/:id/bookmarks', bookMarkController.getBookmarkedEvents);
  *         description: Bad request
  */
 
-router.post('/:userId/bookmarks/:eventId', bookMarkController.bookmarkEvent);
+router.post('/:userId/bookmarks/:eventId', Secure, authorizeSelf('userId', 'users:manage'), bookMarkController.bookmarkEvent);
 /**
  * @swagger
  * /bookmark/{userId}/bookmarks/{eventId}:
  *   delete:
  *     summary: Remove a bookmarked event from user
  *     tags: [Bookmarks]
+ *     security:
+ *       - bearerAuth: []
  *     parameters:
  *       - in: path
  *         name: userId
@@ -105,7 +111,7 @@ router.post('/:userId/bookmarks/:eventId', bookMarkController.bookmarkEvent);
  *       400:
  *         description: Bad request
  */
-router.delete('/:userId/bookmarks/:eventId', bookMarkController.removeBookmarkedEvent);
+router.delete('/:userId/bookmarks/:eventId', Secure, authorizeSelf('userId', 'users:manage'), bookMarkController.removeBookmarkedEvent);
 
 export default router; 
 
@@ -1,5 +1,8 @@
 import express from 'express';
 import upload from "../middleware/cloudinary.js";
+import Secure from "../middleware/auth.js";
+import { authorizeOwner } from "../middleware/permissions.js";
+import Business from "../models/business.js";
 const router = express.Router();
 
 import{
@@ -18,6 +21,8 @@ import{
  *     consumes:
  *       - multipart/form-data
  *     tags: [Business]
+ *     security:
+ *       - bearerAuth: []
  *     requestBody:
  *       required: true
  *       content:
@@ -61,6 +66,7 @@ import{
 
 router.post(
     '/', 
+    Secure,
     upload.fields([
       { name: "gallery", maxCount: 6 }
     ]), 
@@ -74,6 +80,8 @@ router.post(
  *     consumes:
  *       - multipart/form-data
  *     tags: [Business]
+ *     security:
+ *       - bearerAuth: []
  *     parameters:
  *       - in: path
  *         name: id
@@ -106,6 +114,8 @@ router.post(
 
   router.patch(
     '/:id', 
+    Secure,
+    authorizeOwner(Business, { permission: 'businesses:manage' }),
     upload.fields([
       { name: "gallery", maxCount: 6 }
     ]), 
@@ -150,6 +160,8 @@ router.get('/:id', getBusinessById);
  *   delete:
  *     summary: Delete a business
  *     tags: [Business]
+ *     security:
+ *       - bearerAuth: []
  *     parameters:
  *       - in: path
  *         name: id
@@ -164,6 +176,6 @@ router.get('/:id', getBusinessById);
  *         description: Business not found
  */
 
-router.delete('/:id', deleteBusiness);
+router.delete('/:id', Secure, authorizeOwner(Business, { permission: 'businesses:manage' }), deleteBusiness);
 
 export default router;
\ No newline at end of file
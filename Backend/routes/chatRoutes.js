@@ -1,5 +1,23 @@
 import express from "express";
-import { getChatMessages, sendChatMessage} from "../controller/chatController.js";
+import {
+  getChatMessages,
+  sendChatMessage,
+  readChatMessages,
+  editChatMessage,
+  deleteChatMessage,
+  reportChatMessage
+} from "../controller/chatController.js";
+import {
+  listChatReports,
+  updateChatReport,
+  listChatSanctions,
+  createChatSanction,
+  liftChatSanction
+} from "../controller/chatModeration.js";
+import Secure, { optionalSecure } from "../middleware/auth.js";
+import requireVerified from "../middleware/verifiedMiddleware.js";
+import { authorizeOwner } from "../middleware/permissions.js";
+import Event from "../models/Event.js";
 
 const router = express.Router();
 
@@ -7,7 +25,76 @@ const router = express.Router();
  * @swagger
  * tags:
  *   name: Chats
- *   description: Chat messaging for events
+ *   description: >
+ *     Chat messaging for events. Over Socket.IO (authenticated with `auth: { token }`),
+ *     clients emit `joinEvent`, `leaveEvent`, `sendMessage`, `typing`, `stopTyping`,
+ *     `markRead` and `getPresence`, and receive `receiveMessage`, `presence`, `typing`,
+ *     `messagesRead` and the moderation events.
+ */
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     ChatMessage:
+ *       type: object
+ *       description: A chat message, as returned over REST and in the `receiveMessage` socket event
+ *       properties:
+ *         _id:
+ *           type: string
+ *         eventId:
+ *           type: string
+ *         message:
+ *           type: string
+ *         user:
+ *           type: object
+ *           properties:
+ *             _id:
+ *               type: string
+ *             full_name:
+ *               type: string
+ *             image:
+ *               type: string
+ *               nullable: true
+ *             role:
+ *               type: string
+ *               enum: [admin, user, ambassador, artist, sub_admin]
+ *             isOrganiser:
+ *               type: boolean
+ *               description: Whether the author organises the event
+ *         editedAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *         updatedAt:
+ *           type: string
+ *           format: date-time
+ *     ChatSanction:
+ *       type: object
+ *       description: A mute (can read but not post) or ban (can't join) from one event's chat
+ *       properties:
+ *         _id:
+ *           type: string
+ *         eventId:
+ *           type: string
+ *         userId:
+ *           type: string
+ *         type:
+ *           type: string
+ *           enum: [MUTE, BAN]
+ *         reason:
+ *           type: string
+ *         expiresAt:
+ *           type: string
+ *           format: date-time
+ *         createdBy:
+ *           type: string
+ *         liftedAt:
+ *           type: string
+ *           format: date-time
  */
 
 /**
@@ -15,7 +102,13 @@ const router = express.Router();
  * /chats/{eventId}:
  *   get:
  *     summary: Get chat messages for a specific event
+ *     description: >
+ *       Open chats can be read by anyone. Chats restricted to ticket holders need a
+ *       bearer token from a ticket holder, organiser or staff member.
  *     tags: [Chats]
+ *     security:
+ *       - {}
+ *       - bearerAuth: []
  *     parameters:
  *       - in: path
  *         name: eventId
@@ -23,43 +116,75 @@ const router = express.Router();
  *         schema:
  *           type: string
  *         description: The ID of the event
+ *       - in: query
+ *         name: before
+ *         schema:
+ *           type: string
+ *         description: Message ID; return the messages sent before it. Without a cursor the newest messages are returned.
+ *       - in: query
+ *         name: after
+ *         schema:
+ *           type: string
+ *         description: Message ID; return the messages sent after it
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *           default: 50
  *     responses:
  *       200:
- *         description: List of chat messages
+ *         description: A page of chat messages, oldest first
  *         content:
  *           application/json:
  *             schema:
- *               type: array
- *               items:
- *                 type: object
- *                 properties:
- *                   _id:
- *                     type: string
- *                   message:
- *                     type: string
- *                   user:
- *                     type: object
- *                     properties:
- *                       _id:
- *                         type: string
- *                       full_name:
- *                         type: string
- *                   createdAt:
- *                     type: string
- *                     format: date-time
+ *               type: object
+ *               properties:
+ *                 messages:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/ChatMessage'
+ *                 hasMore:
+ *                   type: boolean
+ *                   description: >
+ *                     Whether there are more messages in the direction being paged: older ones,
+ *                     or newer ones when paging with `after`. Pass the first message's ID as
+ *                     `before` (or the last one's as `after`) to fetch them.
+ *                 limit:
+ *                   type: integer
+ *                 lastReadMessageId:
+ *                   type: string
+ *                   nullable: true
+ *                   description: Signed-in readers only; the last message they marked read
+ *                 lastReadAt:
+ *                   type: string
+ *                   format: date-time
+ *                   nullable: true
+ *                 unreadCount:
+ *                   type: integer
+ *                   description: Signed-in readers only; messages from others since their read marker
+ *       400:
+ *         description: Invalid cursor or limit
+ *       401:
+ *         description: The chat is restricted and no valid token was sent
+ *       403:
+ *         description: The chat is restricted to ticket holders, or the user is banned from it
  *       404:
  *         description: Event not found
  *       500:
  *         description: Failed to fetch messages
  */
 
-router.get("/:eventId", getChatMessages);
+router.get("/:eventId", optionalSecure, getChatMessages);
 /**
  * @swagger
  * /api/chats:
  *   post:
- *     summary: Send a new chat message to an event
+ *     summary: Send a new chat message to an event as the signed-in user
  *     tags: [Chats]
+ *     security:
+ *       - bearerAuth: []
  *     requestBody:
  *       required: true
  *       content:
@@ -68,13 +193,10 @@ router.get("/:eventId", getChatMessages);
  *             type: object
  *             required:
  *               - eventId
- *               - userId
  *               - message
  *             properties:
  *               eventId:
  *                 type: string
- *               userId:
- *                 type: string
  *               message:
  *                 type: string
  *     responses:
@@ -83,28 +205,351 @@ router.get("/:eventId", getChatMessages);
  *         content:
  *           application/json:
  *             schema:
+ *               $ref: '#/components/schemas/ChatMessage'
+ *       403:
+ *         description: >
+ *           Email address not verified, the chat is restricted to ticket holders,
+ *           or the user is muted or banned from it
+ *       404:
+ *         description: Event or user not found
+ *       500:
+ *         description: Failed to send message
+ */
+router.post("/", Secure, requireVerified, sendChatMessage);
+
+/**
+ * @swagger
+ * /chats/{eventId}/read:
+ *   post:
+ *     summary: Mark an event's chat read
+ *     description: >
+ *       Moves the user's read marker up to `messageId`, or to the newest message.
+ *       Markers never move back. The event room is sent `messagesRead` when it moves;
+ *       over Socket.IO, clients can emit `markRead` with an eventId instead.
+ *     tags: [Chats]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: eventId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               messageId:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: The read marker and the unread count after marking
+ *         content:
+ *           application/json:
+ *             schema:
  *               type: object
  *               properties:
- *                 _id:
- *                   type: string
- *                 message:
- *                   type: string
- *                 user:
+ *                 read:
  *                   type: object
- *                   properties:
- *                     _id:
- *                       type: string
- *                     full_name:
- *                       type: string
- *                 createdAt:
+ *                   nullable: true
+ *                   description: The new read marker, or null if it didn't move
+ *                 lastReadMessageId:
+ *                   type: string
+ *                   nullable: true
+ *                 lastReadAt:
  *                   type: string
  *                   format: date-time
+ *                   nullable: true
+ *                 unreadCount:
+ *                   type: integer
+ *       400:
+ *         description: Invalid message ID, or a message from another chat
+ *       403:
+ *         description: The chat is restricted to ticket holders
+ *       404:
+ *         description: Event not found
+ */
+router.post("/:eventId/read", Secure, readChatMessages);
+
+/**
+ * @swagger
+ * /chats/messages/{messageId}:
+ *   patch:
+ *     summary: Edit one of your own chat messages
+ *     description: The updated message is sent to the event room as `messageUpdated`.
+ *     tags: [Chats]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: messageId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - message
+ *             properties:
+ *               message:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Message updated
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ChatMessage'
+ *       400:
+ *         description: Empty message
+ *       403:
+ *         description: Not the author, or the author is muted or banned
+ *       404:
+ *         description: Message not found
+ *   delete:
+ *     summary: Delete a chat message
+ *     description: >
+ *       Authors can delete their own messages; organisers of the event and staff can
+ *       delete any message, which also resolves its open reports. The event room is
+ *       sent `messageDeleted` with the message ID.
+ *     tags: [Chats]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: messageId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Message deleted
+ *       403:
+ *         description: Not the author or a moderator of the event's chat
+ *       404:
+ *         description: Message not found
+ */
+router.patch("/messages/:messageId", Secure, requireVerified, editChatMessage);
+router.delete("/messages/:messageId", Secure, deleteChatMessage);
+
+/**
+ * @swagger
+ * /chats/messages/{messageId}/report:
+ *   post:
+ *     summary: Report a chat message to the event's moderators
+ *     description: Moderators connected to the chat are sent `messageReported`; the reporter is not named.
+ *     tags: [Chats]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: messageId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               reason:
+ *                 type: string
+ *                 maxLength: 500
+ *     responses:
+ *       201:
+ *         description: Message reported
+ *       400:
+ *         description: Reporting your own message
+ *       404:
+ *         description: Message not found
+ *       409:
+ *         description: Already reported by this user
+ */
+router.post("/messages/:messageId/report", Secure, reportChatMessage);
+
+/**
+ * @swagger
+ * /chats/{eventId}/reports:
+ *   get:
+ *     summary: List reported messages in an event's chat (moderation queue)
+ *     description: For organisers of the event and staff.
+ *     tags: [Chats]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: eventId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [OPEN, RESOLVED, DISMISSED]
+ *           default: OPEN
+ *     responses:
+ *       200:
+ *         description: Reports, oldest first, with the reported message
+ *       403:
+ *         description: Not a moderator of the event's chat
+ *       404:
+ *         description: Event not found
+ */
+router.get("/:eventId/reports", Secure, authorizeOwner(Event, { param: "eventId", permission: "chat:moderate" }), listChatReports);
+
+/**
+ * @swagger
+ * /chats/reports/{reportId}:
+ *   patch:
+ *     summary: Resolve or dismiss a report
+ *     tags: [Chats]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: reportId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - status
+ *             properties:
+ *               status:
+ *                 type: string
+ *                 enum: [RESOLVED, DISMISSED]
+ *     responses:
+ *       200:
+ *         description: Report updated
+ *       400:
+ *         description: Invalid status
+ *       403:
+ *         description: Not a moderator of the event's chat
+ *       404:
+ *         description: Report not found
+ */
+router.patch("/reports/:reportId", Secure, updateChatReport);
+
+/**
+ * @swagger
+ * /chats/{eventId}/sanctions:
+ *   get:
+ *     summary: List the mutes and bans in force in an event's chat
+ *     tags: [Chats]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: eventId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Active mutes and bans
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/ChatSanction'
+ *       403:
+ *         description: Not a moderator of the event's chat
+ *   post:
+ *     summary: Mute or ban a user from an event's chat
+ *     description: >
+ *       The event room is sent `userSanctioned`. A banned user's connections are
+ *       taken out of the room straight away.
+ *     tags: [Chats]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: eventId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - userId
+ *               - type
+ *               - durationMinutes
+ *             properties:
+ *               userId:
+ *                 type: string
+ *               type:
+ *                 type: string
+ *                 enum: [MUTE, BAN]
+ *               durationMinutes:
+ *                 type: integer
+ *                 minimum: 1
+ *                 maximum: 525600
+ *               reason:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: User muted or banned
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ChatSanction'
+ *       400:
+ *         description: Invalid type or duration, or the user is an organiser or staff member
+ *       403:
+ *         description: Not a moderator of the event's chat
  *       404:
  *         description: Event or user not found
- *       500:
- *         description: Failed to send message
  */
-router.post("/", sendChatMessage);
+router.get("/:eventId/sanctions", Secure, authorizeOwner(Event, { param: "eventId", permission: "chat:moderate" }), listChatSanctions);
+router.post("/:eventId/sanctions", Secure, authorizeOwner(Event, { param: "eventId", permission: "chat:moderate" }), createChatSanction);
+
+/**
+ * @swagger
+ * /chats/{eventId}/sanctions/{sanctionId}:
+ *   delete:
+ *     summary: Lift a mute or ban early
+ *     description: The event room is sent `userSanctionLifted`.
+ *     tags: [Chats]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: eventId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: sanctionId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Mute or ban lifted
+ *       403:
+ *         description: Not a moderator of the event's chat
+ *       404:
+ *         description: Mute or ban not found
+ */
+router.delete("/:eventId/sanctions/:sanctionId", Secure, authorizeOwner(Event, { param: "eventId", permission: "chat:moderate" }), liftChatSanction);
 
 export default router;
 
@@ -0,0 +1,242 @@
+import express from 'express';
+import {
+    getProviders,
+    createCheckout,
+    verifyCheckout,
+    cancelCheckout,
+    checkoutWebhook
+} from '../controller/checkout.js';
+import Secure from '../middleware/auth.js';
+import requireVerified from '../middleware/verifiedMiddleware.js';
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * /checkout/providers:
+ *   get:
+ *     summary: List the payment providers available for checkout
+ *     tags: [Payment]
+ *     parameters:
+ *       - in: query
+ *         name: currency
+ *         schema:
+ *           type: string
+ *         description: Only list providers that can charge in this currency (e.g. NGN)
+ *     responses:
+ *       200:
+ *         description: Available providers
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 providers:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       name:
+ *                         type: string
+ *                         example: paystack
+ *                       label:
+ *                         type: string
+ *                         example: Paystack
+ */
+router.get('/providers', getProviders);
+
+/**
+ * @swagger
+ * /checkout/{provider}:
+ *   post:
+ *     summary: Start a checkout for tickets with a payment provider
+ *     description: >
+ *       Holds the tickets and creates a payment with the provider. Send the buyer
+ *       to `checkoutUrl`; the provider brings them back to /checkout/{provider}/verify.
+ *     tags: [Payment]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: provider
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [paystack, paypal, stripe, mock]
+ *         description: Payment provider; `mock` is only available when MOCK_PAYMENTS is enabled and NODE_ENV is development or test
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - ticketId
+ *             properties:
+ *               ticketId:
+ *                 type: string
+ *                 description: Event ID
+ *               items:
+ *                 type: array
+ *                 items:
+ *                   $ref: '#/components/schemas/OrderItem'
+ *               ticketType:
+ *                 type: string
+ *               ticketCount:
+ *                 type: integer
+ *                 minimum: 1
+ *               sessionId:
+ *                 type: string
+ *                 description: Session to book, required for recurring and multi-day events
+ *               promoCode:
+ *                 type: string
+ *               returnUrl:
+ *                 type: string
+ *                 description: >
+ *                   Page or app deep link (e.g. afrohub://payment/complete) to send the buyer
+ *                   to once the payment is verified, with transactionId and status in the query.
+ *                   Must be on the redirect allowlist.
+ *               cancelUrl:
+ *                 type: string
+ *                 description: Page or app deep link to send the buyer to if they cancel. Must be on the redirect allowlist.
+ *     responses:
+ *       201:
+ *         description: Checkout created
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 provider:
+ *                   type: string
+ *                 checkoutUrl:
+ *                   type: string
+ *                 reference:
+ *                   type: string
+ *                   description: The provider's reference for the payment
+ *                 transactionId:
+ *                   type: string
+ *                 items:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/OrderLine'
+ *                 currency:
+ *                   type: string
+ *                 subtotal:
+ *                   type: number
+ *                 discountAmount:
+ *                   type: number
+ *                 amount:
+ *                   type: number
+ *                 holdExpiresAt:
+ *                   type: string
+ *                   format: date-time
+ *       400:
+ *         description: Invalid order, a redirect URL that is not allowed, or a currency the provider does not support
+ *       404:
+ *         description: Event not found, or the provider is not available
+ *       409:
+ *         description: Tickets were taken by another buyer before they could be held
+ */
+router.post('/:provider', Secure, requireVerified, createCheckout);
+
+/**
+ * @swagger
+ * /checkout/{provider}/verify:
+ *   get:
+ *     summary: Verify a payment when the buyer returns from the provider
+ *     description: >
+ *       Completes the transaction and issues the tickets once the provider confirms
+ *       the payment. Calling it again reports the transaction as it stands.
+ *     tags: [Payment]
+ *     parameters:
+ *       - in: path
+ *         name: provider
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: reference
+ *         schema:
+ *           type: string
+ *         description: Payment reference (Paystack and mock)
+ *       - in: query
+ *         name: token
+ *         schema:
+ *           type: string
+ *         description: Order ID (PayPal)
+ *       - in: query
+ *         name: session_id
+ *         schema:
+ *           type: string
+ *         description: Checkout session ID (Stripe)
+ *     responses:
+ *       200:
+ *         description: Transaction completed, or already processed
+ *       202:
+ *         description: The payment has not been completed yet, or another request is capturing it
+ *       302:
+ *         description: Redirect to the transaction's returnUrl
+ *       402:
+ *         description: The payment failed
+ *       404:
+ *         description: Transaction not found
+ *       409:
+ *         description: >
+ *           The tickets sold out before the payment was taken, or while the buyer was
+ *           paying; in that case the payment is refunded (status REFUNDED, or NEEDS_REFUND
+ *           if the provider refused and staff have to refund it)
+ */
+router.get('/:provider/verify', verifyCheckout);
+
+/**
+ * @swagger
+ * /checkout/{provider}/cancel:
+ *   get:
+ *     summary: Cancel a pending checkout and release its tickets
+ *     tags: [Payment]
+ *     parameters:
+ *       - in: path
+ *         name: provider
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: transactionId
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Checkout cancelled, or found to be paid already
+ *       302:
+ *         description: Redirect to the transaction's cancelUrl or returnUrl
+ */
+router.get('/:provider/cancel', cancelCheckout);
+
+/**
+ * @swagger
+ * /checkout/{provider}/webhook:
+ *   post:
+ *     summary: Receive payment notifications from a provider
+ *     description: >
+ *       Paystack signs the body with x-paystack-signature and Stripe with
+ *       Stripe-Signature; unsigned or wrongly signed requests are rejected.
+ *     tags: [Payment]
+ *     parameters:
+ *       - in: path
+ *         name: provider
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Notification received
+ *       400:
+ *         description: Invalid signature
+ *       404:
+ *         description: The provider is not available or does not send webhooks
+ */
+// Body arrives raw (see server.js) so the signature can be verified
+router.post('/:provider/webhook', checkoutWebhook);
+
+export default router;
@@ -0,0 +1,345 @@
+import express from "express";
+import {
+  listConversations,
+  createConversation,
+  getConversation,
+  getConversationMessages,
+  sendConversationMessage,
+  readConversation
+} from "../controller/conversation.js";
+import Secure from "../middleware/auth.js";
+import requireVerified from "../middleware/verifiedMiddleware.js";
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * tags:
+ *   name: Conversations
+ *   description: >
+ *     Direct messages between users, one-to-one or in small groups. Over Socket.IO,
+ *     participants receive `directMessage`, `dm:typing` and `dm:messagesRead`, and can emit
+ *     `sendDirectMessage`, `dm:typing`, `dm:stopTyping` and `dm:markRead` with a conversationId.
+ */
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     ChatAuthor:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *         full_name:
+ *           type: string
+ *         image:
+ *           type: string
+ *           nullable: true
+ *         role:
+ *           type: string
+ *     DirectMessage:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *         conversationId:
+ *           type: string
+ *         message:
+ *           type: string
+ *         sender:
+ *           $ref: '#/components/schemas/ChatAuthor'
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *     Conversation:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *         isGroup:
+ *           type: boolean
+ *         name:
+ *           type: string
+ *           description: Group name, if one was given
+ *         participants:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/ChatAuthor'
+ *         lastMessage:
+ *           type: object
+ *           nullable: true
+ *           properties:
+ *             _id:
+ *               type: string
+ *             sender:
+ *               type: string
+ *             message:
+ *               type: string
+ *             createdAt:
+ *               type: string
+ *               format: date-time
+ *         lastMessageAt:
+ *           type: string
+ *           format: date-time
+ *         readBy:
+ *           type: array
+ *           description: How far each participant has read
+ *           items:
+ *             type: object
+ *             properties:
+ *               user:
+ *                 type: string
+ *               lastReadMessageId:
+ *                 type: string
+ *               lastReadAt:
+ *                 type: string
+ *                 format: date-time
+ *         unreadCount:
+ *           type: integer
+ *           description: Messages from others since the user's read marker (lists and single conversations)
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ */
+
+/**
+ * @swagger
+ * /conversations:
+ *   get:
+ *     summary: List the signed-in user's conversations, most recently active first
+ *     tags: [Conversations]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: before
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Pass the previous page's `nextBefore` to get the next page
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           maximum: 50
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: A page of conversations
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 conversations:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Conversation'
+ *                 hasMore:
+ *                   type: boolean
+ *                 nextBefore:
+ *                   type: string
+ *                   format: date-time
+ *                   nullable: true
+ *       400:
+ *         description: Invalid before date
+ *   post:
+ *     summary: Start a conversation
+ *     description: >
+ *       One other participant starts a one-to-one conversation, or returns the existing one.
+ *       Several start a group. Users who have blocked each other can't be put in a conversation.
+ *     tags: [Conversations]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - participantIds
+ *             properties:
+ *               participantIds:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 description: The other users to include
+ *               name:
+ *                 type: string
+ *                 description: Group name
+ *     responses:
+ *       200:
+ *         description: The existing one-to-one conversation
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Conversation'
+ *       201:
+ *         description: Conversation started
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Conversation'
+ *       400:
+ *         description: Invalid participants, or too many for a group
+ *       403:
+ *         description: Email address not verified, or a participant is blocked
+ *       404:
+ *         description: User not found
+ */
+router.get("/", Secure, listConversations);
+router.post("/", Secure, requireVerified, createConversation);
+
+/**
+ * @swagger
+ * /conversations/{conversationId}:
+ *   get:
+ *     summary: Get a conversation
+ *     tags: [Conversations]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: conversationId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: The conversation
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Conversation'
+ *       404:
+ *         description: Conversation not found, or the user is not in it
+ */
+router.get("/:conversationId", Secure, getConversation);
+
+/**
+ * @swagger
+ * /conversations/{conversationId}/messages:
+ *   get:
+ *     summary: Get a page of a conversation's messages, oldest first
+ *     tags: [Conversations]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: conversationId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: before
+ *         schema:
+ *           type: string
+ *         description: Message ID; return the messages sent before it. Without a cursor the newest messages are returned.
+ *       - in: query
+ *         name: after
+ *         schema:
+ *           type: string
+ *         description: Message ID; return the messages sent after it
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *           default: 50
+ *     responses:
+ *       200:
+ *         description: A page of messages
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 messages:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/DirectMessage'
+ *                 hasMore:
+ *                   type: boolean
+ *                 limit:
+ *                   type: integer
+ *       400:
+ *         description: Invalid cursor or limit
+ *       404:
+ *         description: Conversation not found
+ *   post:
+ *     summary: Send a message to a conversation
+ *     description: Every participant's connections are sent `directMessage`.
+ *     tags: [Conversations]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: conversationId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - message
+ *             properties:
+ *               message:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Message sent
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/DirectMessage'
+ *       400:
+ *         description: Empty message
+ *       403:
+ *         description: Email address not verified, or one of the pair has blocked the other
+ *       404:
+ *         description: Conversation not found
+ */
+router.get("/:conversationId/messages", Secure, getConversationMessages);
+router.post("/:conversationId/messages", Secure, requireVerified, sendConversationMessage);
+
+/**
+ * @swagger
+ * /conversations/{conversationId}/read:
+ *   post:
+ *     summary: Mark a conversation read
+ *     description: >
+ *       Moves the user's read marker up to `messageId`, or to the newest message.
+ *       Markers never move back. Participants are sent `dm:messagesRead` when it moves.
+ *     tags: [Conversations]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: conversationId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               messageId:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: The new read marker, or null if it didn't move
+ *       404:
+ *         description: Conversation or message not found
+ */
+router.post("/:conversationId/read", Secure, readConversation);
+
+export default router;
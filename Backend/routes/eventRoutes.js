@@ -1,6 +1,11 @@
 import express from 'express';
 import eventController from '../controller/event.js';
 import upload from "../middleware/multer.js"
+import { checkInTicket } from '../controller/ticket.js';
+import { getEventIcs, getCalendarFeed } from '../controller/calendar.js';
+import Secure from '../middleware/auth.js';
+import { authorize, authorizeOwner } from '../middleware/permissions.js';
+import Event from '../models/Event.js';
 const router = express.Router();
 
 /**
@@ -22,10 +27,14 @@ const router = express.Router();
  *           description: Display name for the ticket type (e.g., "Early Bird", "VIP", "General Admission")
  *           example: "VIP Premium"
  *         price:
- *           type: number
+ *           type: integer
  *           minimum: 0
- *           description: Price per ticket in dollars
- *           example: 150.00
+ *           description: Price per ticket in minor units of the event's currency (e.g. cents or kobo)
+ *           example: 15000
+ *         formattedPrice:
+ *           type: string
+ *           readOnly: true
+ *           example: "$150.00"
  *         available:
  *           type: integer
  *           minimum: 0
@@ -46,6 +55,24 @@ const router = express.Router();
  *           type: string
  *         date:
  *           type: string
+ *         startsAt:
+ *           type: string
+ *           format: date-time
+ *         endsAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         timezone:
+ *           type: string
+ *           example: "Africa/Lagos"
+ *         currency:
+ *           type: string
+ *           description: ISO 4217 code the ticket prices are in
+ *           example: "NGN"
+ *         chatAccess:
+ *           type: string
+ *           enum: [OPEN, TICKET_HOLDERS]
+ *           description: Who may join the event chat
  *         ticketTypes:
  *           type: array
  *           items:
@@ -57,9 +84,154 @@ const router = express.Router();
  *               type: number
  *             max:
  *               type: number
+ *             currency:
+ *               type: string
  *         totalAvailable:
  *           type: integer
+ *         sessions:
+ *           type: array
+ *           description: Sessions of a recurring or multi-day event
+ *           items:
+ *             $ref: '#/components/schemas/EventSession'
+ *         session:
+ *           type: object
+ *           description: In the events listing, the session this row is for
+ *           properties:
+ *             id:
+ *               type: string
+ *             startsAt:
+ *               type: string
+ *               format: date-time
+ *             endsAt:
+ *               type: string
+ *               format: date-time
+ *     EventSession:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *         startsAt:
+ *           type: string
+ *           format: date-time
+ *         endsAt:
+ *           type: string
+ *           format: date-time
+ *         title:
+ *           type: string
+ *         status:
+ *           type: string
+ *           enum: [SCHEDULED, CANCELLED]
+ *         ticketTypes:
+ *           type: array
+ *           description: Ticket types with the seats left in this session
+ *           items:
+ *             $ref: '#/components/schemas/PricingOption'
+ */
+
+/**
+ * @swagger
+ * /events:
+ *   get:
+ *     summary: Search and filter events
+ *     description: |
+ *       Full-text search over title, organiser, address and description, with filters and cursor pagination.
+ *       Recurring and multi-day events appear once per session, with that session's dates and seats.
+ *       Results are sorted by relevance when `q` is given, otherwise by event date.
+ *       Pass the returned `nextCursor` back as `cursor` to get the next page.
+ *     tags: [Events]
+ *     parameters:
+ *       - in: query
+ *         name: q
+ *         description: Text to search for
+ *         schema:
+ *           type: string
+ *           example: afrobeats lagos
+ *       - in: query
+ *         name: category
+ *         description: Category, or a comma-separated list of categories
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: from
+ *         description: Only events on or after this date
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: to
+ *         description: Only events on or before this date
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: when
+ *         description: Only upcoming, ongoing (started but not ended) or past events. Past events are listed most recent first.
+ *         schema:
+ *           type: string
+ *           enum: [upcoming, ongoing, past]
+ *       - in: query
+ *         name: currency
+ *         description: Only events priced in this currency (ISO 4217 code)
+ *         schema:
+ *           type: string
+ *           example: NGN
+ *       - in: query
+ *         name: minPrice
+ *         description: Only events with a ticket type at or above this price, in minor units. Best combined with `currency`.
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: maxPrice
+ *         description: Only events with a ticket type at or below this price, in minor units. Best combined with `currency`.
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: available
+ *         description: Only events with tickets left (combined with the price range, the same ticket type must match both)
+ *         schema:
+ *           type: boolean
+ *       - in: query
+ *         name: sort
+ *         description: Use `date` to sort a text search by date instead of relevance
+ *         schema:
+ *           type: string
+ *           enum: [relevance, date]
+ *       - in: query
+ *         name: limit
+ *         description: Page size (default 20, max 100)
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: cursor
+ *         description: Cursor from the previous page
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: One page of matching events
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 events:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/EventResponse'
+ *                 total:
+ *                   type: integer
+ *                   description: Number of events matching the filters across all pages
+ *                 hasMore:
+ *                   type: boolean
+ *                 nextCursor:
+ *                   type: string
+ *                   nullable: true
+ *       400:
+ *         description: Invalid filter or cursor
+ *       500:
+ *         description: Server error
  */
+router.get('/', eventController.listEvents);
 
 /**
  * @swagger
@@ -81,6 +253,87 @@ const router = express.Router();
  */
 router.get('/featured', eventController.getFeaturedEvents);
 
+/**
+ * @swagger
+ * /events/nearby:
+ *   get:
+ *     summary: Find events near a location
+ *     description: Returns events within the given radius, closest first, with the distance to each.
+ *     tags: [Events]
+ *     parameters:
+ *       - in: query
+ *         name: lat
+ *         required: true
+ *         description: Latitude of the search point
+ *         schema:
+ *           type: number
+ *           example: 6.5244
+ *       - in: query
+ *         name: lng
+ *         required: true
+ *         description: Longitude of the search point
+ *         schema:
+ *           type: number
+ *           example: 3.3792
+ *       - in: query
+ *         name: radiusKm
+ *         description: Search radius in kilometres (default 25, max 500)
+ *         schema:
+ *           type: number
+ *       - in: query
+ *         name: limit
+ *         description: Maximum number of events to return (default 50, max 100)
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Events sorted by distance
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 allOf:
+ *                   - $ref: '#/components/schemas/EventResponse'
+ *                   - type: object
+ *                     properties:
+ *                       distanceKm:
+ *                         type: number
+ *                         example: 2.431
+ *       400:
+ *         description: Invalid coordinates or radius
+ *       500:
+ *         description: Server error
+ */
+router.get('/nearby', eventController.getNearbyEvents);
+
+/**
+ * @swagger
+ * /events/feed/{token}.ics:
+ *   get:
+ *     summary: Personal calendar feed
+ *     description: |
+ *       iCalendar feed of the events the user has tickets for or bookmarked, for subscribing from
+ *       calendar apps. The URL (with its secret token) comes from `GET /users/calendar-feed`.
+ *     tags: [Events]
+ *     parameters:
+ *       - in: path
+ *         name: token
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Calendar feed
+ *         content:
+ *           text/calendar:
+ *             schema:
+ *               type: string
+ *       404:
+ *         description: Unknown or reset feed token
+ */
+router.get('/feed/:token.ics', getCalendarFeed);
+
 /**
  * @swagger
  * /events/{id}:
@@ -129,12 +382,47 @@ router.get('/featured', eventController.getFeaturedEvents);
  */
 router.get('/:id', eventController.getEventDetails);
 
+/**
+ * @swagger
+ * /events/{id}/ics:
+ *   get:
+ *     summary: Download an event as an iCalendar (.ics) file
+ *     description: Recurring and multi-day events include one entry per session.
+ *     tags: [Events]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         description: Event ID
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: sessionId
+ *         description: Only include this session
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: iCalendar file
+ *         content:
+ *           text/calendar:
+ *             schema:
+ *               type: string
+ *       404:
+ *         description: Event not found
+ *       422:
+ *         description: The event has no start time
+ */
+router.get('/:id/ics', getEventIcs);
+
 /**
  * @swagger
  * /events/{eventId}/buyers:
  *   get:
  *     summary: Get buyers for an event with detailed ticket type breakdown
  *     tags: [Events]
+ *     security:
+ *       - bearerAuth: []
  *     parameters:
  *       - in: path
  *         name: eventId
@@ -155,9 +443,12 @@ router.get('/:id', eventController.getEventDetails);
  *                 totalTicketsSold:
  *                   type: number
  *                   description: Total number of tickets sold across all types
+ *                 currency:
+ *                   type: string
+ *                   description: Currency of the revenue figures
  *                 totalRevenue:
  *                   type: number
- *                   description: Total revenue generated from all ticket sales
+ *                   description: Total revenue generated from all ticket sales, in major units of the currency
  *                 averageTicketPrice:
  *                   type: number
  *                   description: Average price per ticket across all sales
@@ -218,7 +509,56 @@ router.get('/:id', eventController.getEventDetails);
  *                   type: string
  *                   example: "No tickets sold for this event"
  */
-router.get("/:eventId/buyers", eventController.getEventBuyers);
+router.get("/:eventId/buyers", Secure, authorizeOwner(Event, { param: 'eventId', permission: 'events:manage' }), eventController.getEventBuyers);
+
+/**
+ * @swagger
+ * /events/{id}/checkin:
+ *   post:
+ *     summary: Check in a scanned ticket at the event door
+ *     description: >
+ *       Verifies the ticket signature against the event and admits it once.
+ *       For events with several sessions, tickets are only admitted to their own session:
+ *       the one given as `sessionId`, or else the session running now (or starting within 12 hours).
+ *       Updated per-tier counts are broadcast to the event's Socket.IO room as `checkInUpdate`.
+ *     tags: [Events]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Event ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - code
+ *             properties:
+ *               code:
+ *                 type: string
+ *                 description: Ticket code read from the QR image
+ *               sessionId:
+ *                 type: string
+ *                 description: Session being admitted, for events with several sessions
+ *     responses:
+ *       200:
+ *         description: Ticket checked in, with the updated check-in summary of the event or session
+ *       400:
+ *         description: >
+ *           Invalid code, ticket for another event or session, voided ticket, or no
+ *           session on now and no sessionId given
+ *       404:
+ *         description: Ticket or session not found
+ *       409:
+ *         description: Ticket has already been checked in
+ */
+router.post('/:id/checkin', Secure, authorizeOwner(Event, { permission: 'events:checkin' }), checkInTicket);
 
 /**
  * @swagger
@@ -226,6 +566,8 @@ router.get("/:eventId/buyers", eventController.getEventBuyers);
  *   post:
  *     summary: Create a new event with flexible pricing options (up to 10 types)
  *     tags: [Events]
+ *     security:
+ *       - bearerAuth: []
  *     consumes:
  *       - multipart/form-data
  *     requestBody:
@@ -257,8 +599,43 @@ router.get("/:eventId/buyers", eventController.getEventBuyers);
  *                 example: "2024-07-15"
  *               time:
  *                 type: string
- *                 description: Event time
+ *                 description: Event time (used to work out startsAt when startsAt is not sent)
  *                 example: "7:00 PM"
+ *               startsAt:
+ *                 type: string
+ *                 format: date-time
+ *                 description: Start timestamp; takes precedence over date and time
+ *                 example: "2024-07-15T19:00:00+01:00"
+ *               endsAt:
+ *                 type: string
+ *                 format: date-time
+ *                 description: End timestamp
+ *               timezone:
+ *                 type: string
+ *                 description: IANA time zone of the venue (date and time are read in this zone)
+ *                 example: "Europe/London"
+ *               currency:
+ *                 type: string
+ *                 description: ISO 4217 code the prices are in; defaults to DEFAULT_CURRENCY
+ *                 example: "NGN"
+ *               chatAccess:
+ *                 type: string
+ *                 enum: [OPEN, TICKET_HOLDERS]
+ *                 default: OPEN
+ *                 description: Restrict the event chat to ticket holders and organisers
+ *               recurrenceRule:
+ *                 type: string
+ *                 description: |
+ *                   RRULE for a repeating event, expanded into sessions from startsAt.
+ *                   Supports FREQ (DAILY, WEEKLY, MONTHLY), INTERVAL, BYDAY (weekly), COUNT and UNTIL.
+ *                 example: "FREQ=WEEKLY;BYDAY=SA;COUNT=6"
+ *               sessions:
+ *                 type: string
+ *                 description: |
+ *                   JSON array of explicit sessions for multi-day events, used instead of recurrenceRule.
+ *                   Each session can set its own `inventory` per ticket type; otherwise it gets the
+ *                   ticket type's `available` count.
+ *                 example: '[{"startsAt":"2024-07-15T18:00:00Z","endsAt":"2024-07-15T23:00:00Z"},{"startsAt":"2024-07-16T18:00:00Z","inventory":{"vip":20}}]'
  *               category:
  *                 type: string
  *                 description: Event category
@@ -277,6 +654,10 @@ router.get("/:eventId/buyers", eventController.getEventBuyers);
  *                 type: string
  *                 description: Event organizer name
  *                 example: "NYC Events Co."
+ *               coOrganisers:
+ *                 type: string
+ *                 description: User IDs of co-organisers, as a JSON array or comma-separated list
+ *                 example: '["60f1b2b3c4567890abcdef12"]'
  *               description:
  *                 type: string
  *                 description: Event description
@@ -299,15 +680,15 @@ router.get("/:eventId/buyers", eventController.getEventBuyers);
  *                   $ref: '#/components/schemas/PricingOption'
  *                 example:
  *                   - name: "Early Bird"
- *                     price: 50.00
+ *                     price: 5000
  *                     available: 100
  *                     description: "Limited time early bird pricing"
  *                   - name: "General Admission"
- *                     price: 75.00
+ *                     price: 7500
  *                     available: 500
  *                     description: "Standard admission ticket"
  *                   - name: "VIP Premium"
- *                     price: 150.00
+ *                     price: 15000
  *                     available: 50
  *                     description: "VIP access with premium amenities"
  *
@@ -317,9 +698,9 @@ router.get("/:eventId/buyers", eventController.getEventBuyers);
  *                 description: Name for first pricing option
  *                 example: "Early Bird"
  *               pricing_0_price:
- *                 type: number
- *                 description: Price for first pricing option
- *                 example: 50.00
+ *                 type: integer
+ *                 description: Price for first pricing option, in minor units
+ *                 example: 5000
  *               pricing_0_available:
  *                 type: number
  *                 description: Available tickets for first pricing option
@@ -333,7 +714,7 @@ router.get("/:eventId/buyers", eventController.getEventBuyers);
  *                 description: Name for second pricing option
  *               pricing_1_price:
  *                 type: number
- *                 description: Price for second pricing option
+ *                 description: Price for second pricing option, in minor units
  *               pricing_1_available:
  *                 type: number
  *                 description: Available tickets for second pricing option
@@ -347,7 +728,7 @@ router.get("/:eventId/buyers", eventController.getEventBuyers);
  *                 description: Custom ticket name format
  *               ticketPrice_0:
  *                 type: number
- *                 description: Custom ticket price format
+ *                 description: Custom ticket price format, in minor units
  *               ticketAvailable_0:
  *                 type: number
  *                 description: Custom ticket availability format
@@ -361,7 +742,7 @@ router.get("/:eventId/buyers", eventController.getEventBuyers);
  *                 description: Legacy price field for backward compatibility
  *               regularPrice:
  *                 type: number
- *                 description: Regular ticket price (legacy)
+ *                 description: Regular ticket price in minor units (legacy)
  *               regularAvailable:
  *                 type: number
  *                 description: Regular tickets available (legacy)
@@ -370,7 +751,7 @@ router.get("/:eventId/buyers", eventController.getEventBuyers);
  *                 description: Regular ticket description (legacy)
  *               vipPrice:
  *                 type: number
- *                 description: VIP ticket price (legacy)
+ *                 description: VIP ticket price in minor units (legacy)
  *               vipAvailable:
  *                 type: number
  *                 description: VIP tickets available (legacy)
@@ -422,7 +803,7 @@ router.get("/:eventId/buyers", eventController.getEventBuyers);
  *       500:
  *         description: Server error
  */
-router.post('/createvent', upload.single('image'), eventController.createEvent);
+router.post('/createvent', Secure, authorize('events:create'), upload.single('image'), eventController.createEvent);
 
 /**
  * @swagger
@@ -430,6 +811,8 @@ router.post('/createvent', upload.single('image'), eventController.createEvent);
  *   patch:
  *     summary: Update an event with flexible pricing options
  *     tags: [Events]
+ *     security:
+ *       - bearerAuth: []
  *     parameters:
  *       - in: path
  *         name: id
@@ -459,6 +842,32 @@ router.post('/createvent', upload.single('image'), eventController.createEvent);
  *               time:
  *                 type: string
  *                 description: Updated event time
+ *               startsAt:
+ *                 type: string
+ *                 format: date-time
+ *                 description: Updated start timestamp
+ *               endsAt:
+ *                 type: string
+ *                 format: date-time
+ *                 description: Updated end timestamp
+ *               timezone:
+ *                 type: string
+ *                 description: Updated IANA time zone
+ *               currency:
+ *                 type: string
+ *                 description: Updated currency; cannot change once tickets have been sold
+ *               chatAccess:
+ *                 type: string
+ *                 enum: [OPEN, TICKET_HOLDERS]
+ *               recurrenceRule:
+ *                 type: string
+ *                 description: New recurrence rule; send an empty string to stop repeating
+ *               sessions:
+ *                 type: string
+ *                 description: |
+ *                   JSON array replacing the explicit sessions. Include `id` to keep an existing session
+ *                   and its remaining seats, or `status: CANCELLED` to cancel one. Sessions that already
+ *                   sold tickets cannot be removed.
  *               category:
  *                 type: string
  *                 description: Updated event category
@@ -474,6 +883,9 @@ router.post('/createvent', upload.single('image'), eventController.createEvent);
  *               organiser:
  *                 type: string
  *                 description: Updated organizer name
+ *               coOrganisers:
+ *                 type: string
+ *                 description: Replaces the co-organiser list (event creator only), as a JSON array or comma-separated list
  *               description:
  *                 type: string
  *                 description: Updated event description
@@ -546,7 +958,7 @@ router.post('/createvent', upload.single('image'), eventController.createEvent);
  *       500:
  *         description: Server error
  */
-router.patch('/:id', upload.single('image'), eventController.updateEvent);
+router.patch('/:id', Secure, authorizeOwner(Event, { permission: 'events:manage' }), upload.single('image'), eventController.updateEvent);
 
 /**
  * @swagger
@@ -554,6 +966,8 @@ router.patch('/:id', upload.single('image'), eventController.updateEvent);
  *   delete:
  *     summary: Delete an event
  *     tags: [Events]
+ *     security:
+ *       - bearerAuth: []
  *     parameters:
  *       - in: path
  *         name: id
@@ -585,6 +999,6 @@ router.patch('/:id', upload.single('image'), eventController.updateEvent);
  *       500:
  *         description: Server error
  */
-router.delete("/:id/delete", eventController.deleteEvent);
+router.delete("/:id/delete", Secure, authorizeOwner(Event, { permission: 'events:manage' }), eventController.deleteEvent);
 
 export default router;
\ No newline at end of file
@@ -1,10 +1,10 @@
  
 import  express from 'express';
 import getAllUser from '../controller/getAllUser.js';
-import isAdmin from "../middleware/adminmiddleware.js"
+import { authorize } from "../middleware/permissions.js";
 import Secure from '../middleware/auth.js';
 const router = express.Router();
-router.get('/all-users', getAllUser);
+router.get('/all-users', Secure, authorize('users:read'), getAllUser);
 
 export default router;
 
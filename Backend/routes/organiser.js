@@ -0,0 +1,89 @@
+import express from 'express';
+import { getOrganiserDashboard } from '../controller/organiser.js';
+import Secure from '../middleware/auth.js';
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * /organiser/dashboard:
+ *   get:
+ *     summary: Sales dashboard for the events the signed-in user created or co-organises
+ *     tags: [Events]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Per-event ticket sales, revenue, remaining inventory and recent buyers
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 totals:
+ *                   type: object
+ *                   properties:
+ *                     events:
+ *                       type: integer
+ *                     ticketsSold:
+ *                       type: integer
+ *                     revenue:
+ *                       type: array
+ *                       description: Revenue per currency
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           currency:
+ *                             type: string
+ *                           amount:
+ *                             type: number
+ *                     remaining:
+ *                       type: integer
+ *                 events:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       id:
+ *                         type: string
+ *                       title:
+ *                         type: string
+ *                       role:
+ *                         type: string
+ *                         enum: [creator, co-organiser]
+ *                       totalTicketsSold:
+ *                         type: integer
+ *                       currency:
+ *                         type: string
+ *                       totalRevenue:
+ *                         type: number
+ *                       totalRemaining:
+ *                         type: integer
+ *                       tiers:
+ *                         type: array
+ *                         items:
+ *                           type: object
+ *                           properties:
+ *                             id:
+ *                               type: string
+ *                             name:
+ *                               type: string
+ *                             price:
+ *                               type: integer
+ *                               description: In minor units of the event's currency
+ *                             sold:
+ *                               type: integer
+ *                             revenue:
+ *                               type: number
+ *                             remaining:
+ *                               type: integer
+ *                       recentBuyers:
+ *                         type: array
+ *                         items:
+ *                           type: object
+ *       401:
+ *         description: Not authorized
+ */
+router.get('/dashboard', Secure, getOrganiserDashboard);
+
+export default router;
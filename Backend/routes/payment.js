@@ -7,9 +7,48 @@ import {
     getTransactionDetails
 } from '../controller/paymentController.js';
 import Secure from '../middleware/auth.js';
+import requireVerified from '../middleware/verifiedMiddleware.js';
 
 const router = express.Router();
 
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     OrderItem:
+ *       type: object
+ *       required:
+ *         - ticketType
+ *         - quantity
+ *       properties:
+ *         ticketType:
+ *           type: string
+ *           description: ID of the ticket type (e.g., 'option_1', 'vip', 'regular')
+ *         quantity:
+ *           type: integer
+ *           minimum: 1
+ *         pricePerTicket:
+ *           type: integer
+ *           minimum: 0
+ *           description: >
+ *             Price the buyer was shown, in minor units as listed in the event's
+ *             pricing; checked against it
+ *     OrderLine:
+ *       type: object
+ *       properties:
+ *         ticketType:
+ *           type: string
+ *         ticketTypeName:
+ *           type: string
+ *         quantity:
+ *           type: integer
+ *         pricePerTicket:
+ *           type: number
+ *           description: List price of one ticket, in major units of the event's currency
+ *         subtotal:
+ *           type: number
+ */
+
 /**
  * @swagger
  * /payment/pay:
@@ -24,31 +63,53 @@ const router = express.Router();
  *         application/json:
  *           schema:
  *             type: object
+ *             description: >
+ *               Send `items` to buy several ticket types of the event in one payment,
+ *               or ticketType, ticketCount and pricePerTicket for a single type.
  *             required:
  *               - ticketId
- *               - ticketCount
- *               - ticketType
- *               - pricePerTicket
  *             properties:
  *               ticketId:
  *                 type: string
  *                 description: Event ID
+ *               items:
+ *                 type: array
+ *                 items:
+ *                   $ref: '#/components/schemas/OrderItem'
  *               ticketCount:
  *                 type: integer
  *                 minimum: 1
- *                 description: Number of tickets to purchase
+ *                 description: Number of tickets to purchase (single ticket type)
  *               ticketType:
  *                 type: string
  *                 description: ID of the ticket type (e.g., 'option_1', 'vip', 'regular')
  *               pricePerTicket:
- *                 type: number
+ *                 type: integer
  *                 minimum: 0
- *                 description: Price per ticket for the selected type
+ *                 description: Price per ticket for the selected type, in minor units as listed in the event's pricing
+ *               sessionId:
+ *                 type: string
+ *                 description: Session to book, required for recurring and multi-day events
+ *               promoCode:
+ *                 type: string
+ *                 description: Optional promo code to apply to the order
+ *               returnUrl:
+ *                 type: string
+ *                 description: >
+ *                   Page or app deep link (e.g. afrohub://payment/complete) to send the buyer
+ *                   to after paying, with transactionId and status in the query. Must be on the
+ *                   redirect allowlist.
+ *               cancelUrl:
+ *                 type: string
+ *                 description: Page or app deep link to send the buyer to if they cancel. Must be on the redirect allowlist.
  *           example:
  *             ticketId: "60f1b2b3c4567890abcdef12"
- *             ticketCount: 2
- *             ticketType: "option_1"
- *             pricePerTicket: 50.00
+ *             items:
+ *               - ticketType: "option_1"
+ *                 quantity: 2
+ *                 pricePerTicket: 5000
+ *               - ticketType: "vip"
+ *                 quantity: 1
  *     responses:
  *       200:
  *         description: Payment order created successfully
@@ -68,28 +129,52 @@ const router = express.Router();
  *                       type: string
  *                     ticketType:
  *                       type: string
+ *                       description: Set when the order has a single ticket type
  *                     ticketTypeName:
  *                       type: string
+ *                       description: Ticket type name, or a summary such as "2 x Regular, 1 x VIP"
  *                     ticketCount:
  *                       type: integer
  *                     pricePerTicket:
  *                       type: number
+ *                     items:
+ *                       type: array
+ *                       items:
+ *                         allOf:
+ *                           - $ref: '#/components/schemas/OrderLine'
+ *                           - type: object
+ *                             properties:
+ *                               availableAfterPurchase:
+ *                                 type: integer
+ *                     subtotal:
+ *                       type: number
+ *                     discountAmount:
+ *                       type: number
  *                     totalAmount:
  *                       type: number
- *                     availableAfterPurchase:
- *                       type: integer
+ *                     holdExpiresAt:
+ *                       type: string
+ *                       format: date-time
+ *                       description: Tickets are held for the buyer until this time
  *       400:
- *         description: Invalid request or insufficient tickets
+ *         description: Invalid request, insufficient tickets or a redirect URL that is not allowed
+ *       403:
+ *         description: Email address not verified
  *       404:
  *         description: Event not found
+ *       409:
+ *         description: Tickets were taken by another buyer before they could be held
  */
-router.post('/pay', Secure, createOrderController);
+router.post('/pay', Secure, requireVerified, createOrderController);
 
 /**
  * @swagger
  * /payment/complete-order:
  *   get:
  *     summary: Complete a payment order
+ *     description: >
+ *       PayPal's return page. Redirects to the order's returnUrl when it has one.
+ *       Calling it again reports the order as it stands.
  *     tags: [Payment]
  *     parameters:
  *       - in: query
@@ -121,16 +206,41 @@ router.post('/pay', Secure, createOrderController);
  *                       type: string
  *                     ticketCount:
  *                       type: integer
+ *                     items:
+ *                       type: array
+ *                       description: Ticket types bought, with the tickets left in each
+ *                       items:
+ *                         type: object
  *                     totalAmount:
  *                       type: number
  *                     remainingTickets:
  *                       type: integer
+ *                       description: Set when the order has a single ticket type
+ *                 tickets:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       id:
+ *                         type: string
+ *                       seatNumber:
+ *                         type: integer
+ *                       code:
+ *                         type: string
  *                 paymentDetails:
  *                   type: object
+ *       202:
+ *         description: The payment has not been completed yet, or another request is capturing it
+ *       302:
+ *         description: Redirect to the order's returnUrl
+ *       402:
+ *         description: The payment failed
  *       404:
- *         description: Transaction not found
+ *         description: Transaction or event not found
+ *       409:
+ *         description: The tickets sold out before the payment was taken, or while the buyer was paying (the payment is refunded)
  *       500:
- *         description: Payment processing error
+ *         description: Payment processing error; the order is left for the buyer to retry
  */
 router.get('/complete-order', completeOrderController);
 
@@ -139,9 +249,8 @@ router.get('/complete-order', completeOrderController);
  * /payment/cancel-order:
  *   get:
  *     summary: Cancel a payment order
+ *     description: PayPal's cancel page. Redirects to the order's cancelUrl when it has one.
  *     tags: [Payment]
- *     security:
- *       - bearerAuth: []
  *     parameters:
  *       - in: query
  *         name: token
@@ -152,8 +261,11 @@ router.get('/complete-order', completeOrderController);
  *     responses:
  *       200:
  *         description: Order cancelled successfully
+ *       302:
+ *         description: Redirect to the order's cancelUrl
  */
-router.get('/cancel-order', Secure, cancelOrderController);
+// PayPal redirects the buyer's browser here, so there is no bearer token
+router.get('/cancel-order', cancelOrderController);
 
 /**
  * @swagger
@@ -180,7 +292,7 @@ router.get('/cancel-order', Secure, cancelOrderController);
  *         name: status
  *         schema:
  *           type: string
- *           enum: [PENDING, COMPLETED, FAILED, CANCELLED, PAID]
+ *           enum: [PENDING, COMPLETED, FAILED, CANCELLED, PAID, REFUNDED, PARTIALLY_REFUNDED]
  *         description: Filter by transaction status
  *       - in: query
  *         name: eventId
@@ -206,6 +318,12 @@ router.get('/cancel-order', Secure, cancelOrderController);
  *                         type: string
  *                       amount:
  *                         type: number
+ *                       currency:
+ *                         type: string
+ *                         example: NGN
+ *                       formattedAmount:
+ *                         type: string
+ *                         example: NGN 5,000.00
  *                       ticketDetails:
  *                         type: object
  *                         properties:
@@ -242,7 +360,15 @@ router.get('/cancel-order', Secure, cancelOrderController);
  *                   type: object
  *                   properties:
  *                     totalSpent:
- *                       type: string
+ *                       type: array
+ *                       description: Amount spent per currency
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           currency:
+ *                             type: string
+ *                           amount:
+ *                             type: number
  *                     totalTickets:
  *                       type: integer
  *                     totalEvents:
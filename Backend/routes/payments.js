@@ -0,0 +1,83 @@
+import express from 'express';
+import { refundTransaction } from '../controller/refundController.js';
+import Secure from '../middleware/auth.js';
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * /payments/{transactionId}/refund:
+ *   post:
+ *     summary: Refund all or some of the tickets in a paid transaction
+ *     description: >
+ *       Buyers can refund their own transactions until the event date; admins and
+ *       sub-admins can refund any paid transaction. Refunded seats go back on sale,
+ *       their tickets are voided and the buyer is emailed.
+ *     tags: [Payment]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: transactionId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Transaction ID
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               ticketCount:
+ *                 type: integer
+ *                 minimum: 1
+ *                 description: Number of tickets to refund. Defaults to every ticket that can still be refunded.
+ *               ticketType:
+ *                 type: string
+ *                 description: Only refund tickets of this type, for orders with several ticket types
+ *               reason:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Refund issued
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                 transactionId:
+ *                   type: string
+ *                 status:
+ *                   type: string
+ *                   enum: [REFUNDED, PARTIALLY_REFUNDED]
+ *                 refund:
+ *                   type: object
+ *                 totals:
+ *                   type: object
+ *                   properties:
+ *                     refundedTicketCount:
+ *                       type: integer
+ *                     refundedAmount:
+ *                       type: number
+ *                     remainingTickets:
+ *                       type: integer
+ *                     items:
+ *                       type: array
+ *                       description: Tickets bought and refunded per ticket type
+ *                       items:
+ *                         type: object
+ *       400:
+ *         description: Transaction cannot be refunded or too many tickets requested
+ *       403:
+ *         description: Not the buyer of this transaction
+ *       404:
+ *         description: Transaction not found
+ *       409:
+ *         description: Another refund for the transaction is in progress
+ */
+router.post('/:transactionId/refund', Secure, refundTransaction);
+
+export default router;
@@ -0,0 +1,225 @@
+import express from 'express';
+import {
+  createPromoCode,
+  listPromoCodes,
+  updatePromoCode,
+  deactivatePromoCode,
+  validatePromoCode
+} from '../controller/promoCode.js';
+import Secure from '../middleware/auth.js';
+import { authorizeOwner } from '../middleware/permissions.js';
+import PromoCode from '../models/PromoCode.js';
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     PromoCode:
+ *       type: object
+ *       properties:
+ *         code:
+ *           type: string
+ *           example: "EARLYBIRD"
+ *         description:
+ *           type: string
+ *         discountType:
+ *           type: string
+ *           enum: [PERCENTAGE, FIXED]
+ *         discountValue:
+ *           type: number
+ *           description: Percent off for PERCENTAGE, amount off the order (in major units of currency) for FIXED
+ *           example: 20
+ *         currency:
+ *           type: string
+ *           description: ISO 4217 code; FIXED codes only apply to events priced in this currency
+ *           example: NGN
+ *         maxUses:
+ *           type: integer
+ *           nullable: true
+ *           description: Total uses allowed; empty for unlimited
+ *         usedCount:
+ *           type: integer
+ *           readOnly: true
+ *         perUserLimit:
+ *           type: integer
+ *           nullable: true
+ *         startsAt:
+ *           type: string
+ *           format: date-time
+ *         expiresAt:
+ *           type: string
+ *           format: date-time
+ *         events:
+ *           type: array
+ *           description: Events the code is limited to; empty for all events (staff only)
+ *           items:
+ *             type: string
+ *         ticketTypes:
+ *           type: array
+ *           description: Ticket type ids the code is limited to; empty for all
+ *           items:
+ *             type: string
+ *         active:
+ *           type: boolean
+ */
+
+/**
+ * @swagger
+ * /promo-codes:
+ *   post:
+ *     summary: Create a promo code
+ *     description: Organisers can create codes for their own events; admins and sub-admins for any event.
+ *     tags: [Payment]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/PromoCode'
+ *     responses:
+ *       201:
+ *         description: Promo code created
+ *       400:
+ *         description: Invalid promo code
+ *       403:
+ *         description: Not an organiser of the events
+ *       409:
+ *         description: Code already exists
+ *   get:
+ *     summary: List promo codes
+ *     description: Staff see every code; organisers see the codes they created.
+ *     tags: [Payment]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: eventId
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Promo codes
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/PromoCode'
+ */
+router.post('/', Secure, createPromoCode);
+router.get('/', Secure, listPromoCodes);
+
+/**
+ * @swagger
+ * /promo-codes/validate:
+ *   post:
+ *     summary: Check a promo code against an order before checkout
+ *     tags: [Payment]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [code, ticketId]
+ *             properties:
+ *               code:
+ *                 type: string
+ *               ticketId:
+ *                 type: string
+ *                 description: Event ID
+ *               items:
+ *                 type: array
+ *                 description: The order's ticket types; or send ticketType and ticketCount
+ *                 items:
+ *                   $ref: '#/components/schemas/OrderItem'
+ *               ticketType:
+ *                 type: string
+ *               ticketCount:
+ *                 type: integer
+ *                 default: 1
+ *     responses:
+ *       200:
+ *         description: The code applies
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 valid:
+ *                   type: boolean
+ *                 code:
+ *                   type: string
+ *                 items:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/OrderLine'
+ *                 currency:
+ *                   type: string
+ *                 subtotal:
+ *                   type: number
+ *                 discountAmount:
+ *                   type: number
+ *                 total:
+ *                   type: number
+ *       400:
+ *         description: The code does not apply, with the reason in `message`
+ */
+router.post('/validate', Secure, validatePromoCode);
+
+/**
+ * @swagger
+ * /promo-codes/{id}:
+ *   patch:
+ *     summary: Update a promo code
+ *     description: The code and its usage count cannot be changed.
+ *     tags: [Payment]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/PromoCode'
+ *     responses:
+ *       200:
+ *         description: Promo code updated
+ *       403:
+ *         description: Not the creator of the code
+ *       404:
+ *         description: Promo code not found
+ *   delete:
+ *     summary: Deactivate a promo code
+ *     tags: [Payment]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Promo code deactivated
+ *       403:
+ *         description: Not the creator of the code
+ *       404:
+ *         description: Promo code not found
+ */
+router.patch('/:id', Secure, authorizeOwner(PromoCode, { permission: 'promocodes:manage' }), updatePromoCode);
+router.delete('/:id', Secure, authorizeOwner(PromoCode, { permission: 'promocodes:manage' }), deactivatePromoCode);
+
+export default router;
@@ -1,13 +1,19 @@
 import  express from 'express';
-import { createTicketCheckoutSession, completeTicketPayment,cancelTicketPayment,getPaymentStatus, getalltransaction,deleteTransaction } from '../controller/StripePayment.js';
+import { createTicketCheckoutSession, completeTicketPayment,cancelTicketPayment,getPaymentStatus, getalltransaction,deleteTransaction, stripeWebhook } from '../controller/StripePayment.js';
+
+import Secure from '../middleware/auth.js';
+import { authorize } from '../middleware/permissions.js';
+import requireVerified from '../middleware/verifiedMiddleware.js';
 
 const router = express.Router();
 
-router.post('/create-payment-intent', createTicketCheckoutSession);
+router.post('/create-payment-intent', Secure, requireVerified, createTicketCheckoutSession);
+// Body arrives raw (see server.js) so the Stripe signature can be verified
+router.post('/webhook', stripeWebhook);
 router.get('/complete-payment/:session_id', completeTicketPayment);
 router.get('/cancel-payment', cancelTicketPayment);
 router.get('/get-payment-status/:transactionId', getPaymentStatus);
-router.get("/get-all-transaction",getalltransaction)
-router.delete("/:id",deleteTransaction)
+router.get("/get-all-transaction", Secure, authorize('payments:manage'), getalltransaction)
+router.delete("/:id", Secure, authorize('payments:manage'), deleteTransaction)
 export default router;
 
@@ -1,7 +1,9 @@
 
 import  express from 'express';
 import switchRole from '../controller/switchRole.js';
+import Secure from '../middleware/auth.js';
+import { authorize } from '../middleware/permissions.js';
 const router = express.Router();
-router.put("/users/:id/role", switchRole)
+router.put("/users/:id/role", Secure, authorize('users:manage'), switchRole)
 export default router;
 
@@ -0,0 +1,73 @@
+import express from 'express';
+import { getMyTickets } from '../controller/ticket.js';
+import Secure from '../middleware/auth.js';
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * /tickets/mine:
+ *   get:
+ *     summary: Get the tickets issued to the signed-in user
+ *     tags: [Tickets]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: eventId
+ *         schema:
+ *           type: string
+ *         description: Only return tickets for this event
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [VALID, VOID]
+ *         description: Filter by ticket status
+ *     responses:
+ *       200:
+ *         description: One entry per seat bought
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 tickets:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       id:
+ *                         type: string
+ *                       code:
+ *                         type: string
+ *                         description: Signed ticket code encoded in the QR image
+ *                       qrCode:
+ *                         type: string
+ *                         description: PNG data URL of the QR code
+ *                       status:
+ *                         type: string
+ *                       seatNumber:
+ *                         type: integer
+ *                       ticketType:
+ *                         type: string
+ *                       ticketTypeName:
+ *                         type: string
+ *                       sessionId:
+ *                         type: string
+ *                         description: Session the ticket admits to, for events with several sessions
+ *                       sessionStartsAt:
+ *                         type: string
+ *                         format: date-time
+ *                       transactionId:
+ *                         type: string
+ *                       event:
+ *                         type: object
+ *                 totalTickets:
+ *                   type: integer
+ *       401:
+ *         description: Not authorized
+ */
+router.get('/mine', Secure, getMyTickets);
+
+export default router;
@@ -6,7 +6,11 @@ import { deleteAccount } from '../controller/deleteAccount.js';
 import bookMarkController from '../controller/eventBookmark.js';
 import upload from "../middleware/multer.js"
 import Secure from '../middleware/auth.js';
-// import confirmEmail from '../controllers/confirmEmail.js';
+import { authorizeSelf } from '../middleware/permissions.js';
+import { refreshSession, listSessions, revokeSession, revokeOtherSessions } from '../controller/sessionController.js';
+import confirmEmail, { resendVerification } from '../controller/confirmEmail.js';
+import { getCalendarFeedUrl, resetCalendarFeedToken } from '../controller/calendar.js';
+import { listBlockedUsers, blockUser, unblockUser } from '../controller/blockUser.js';
 
 
 
@@ -15,13 +19,24 @@ const router = express.Router();
 //Routes
 router.post('/register',  upload.fields([{ name: "gallery", maxCount: 6 }]), registerUser);
 
+router.post("/verify-email", confirmEmail)
+router.post("/resend-verification", resendVerification)
 router.post("/login",loginUser)
 router.get("/logout",logOut)
+router.post("/refresh", refreshSession)
+router.get("/sessions", Secure, listSessions)
+router.delete("/sessions", Secure, revokeOtherSessions)
+router.delete("/sessions/:sessionId", Secure, revokeSession)
+router.get("/calendar-feed", Secure, getCalendarFeedUrl)
+router.post("/calendar-feed/reset", Secure, resetCalendarFeedToken)
+router.get("/blocked", Secure, listBlockedUsers)
+router.post("/block/:userId", Secure, blockUser)
+router.delete("/block/:userId", Secure, unblockUser)
 router.patch('/updatepassword', Secure,updatePassword);
 router.post('/forgotpassword',  forgotPassword);
 router.put('/resetpassword/:resetToken',  resetPassword);
-router.delete("/delete-account/:email?/:userId?",deleteAccount);
-router.patch("/profile/:id", upload.fields([
+router.delete("/delete-account/:email?/:userId?", Secure, deleteAccount);
+router.patch("/profile/:id", Secure, authorizeSelf('id', 'users:manage'), upload.fields([
     { name: "image", maxCount: 1 },
     { name: "gallery", maxCount: 6 }
   ]), bookMarkController.updateProfile)
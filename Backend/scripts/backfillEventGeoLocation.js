@@ -0,0 +1,45 @@
+// Fills in Event.geoLocation from latitude/longitude for events created
+// before geospatial search existed. Safe to run more than once.
+//
+//   node scripts/backfillEventGeoLocation.js
+import dotenv from "dotenv";
+import mongoose from "mongoose";
+import { connectDB } from "../config/DbConn.js";
+import Event, { toGeoPoint } from "../models/Event.js";
+
+dotenv.config();
+
+const run = async () => {
+    await connectDB();
+
+    const events = await Event.find({
+        latitude: { $ne: null },
+        longitude: { $ne: null },
+        "geoLocation.coordinates": { $exists: false },
+    }).select("latitude longitude");
+
+    let updated = 0;
+    let skipped = 0;
+    for (const event of events) {
+        const point = toGeoPoint(event.latitude, event.longitude);
+        if (!point) {
+            skipped++;
+            continue;
+        }
+        await Event.updateOne({ _id: event._id }, { $set: { geoLocation: point } });
+        updated++;
+    }
+
+    // Make sure the 2dsphere index exists before the nearby endpoint is used. Only
+    // adds missing indexes; syncIndexes would also drop ones not in the schema
+    await Event.createIndexes();
+
+    console.log(`Backfilled ${updated} events, skipped ${skipped} with invalid coordinates`);
+};
+
+run()
+    .catch((error) => {
+        console.error(error);
+        process.exitCode = 1;
+    })
+    .finally(() => mongoose.disconnect());
@@ -0,0 +1,66 @@
+// Gives existing events a currency and converts their ticket prices from
+// major units (e.g. 25.5) to minor units (2550). Events, transactions and
+// promo codes that already have a currency are left alone, so the script is
+// safe to run more than once. Everything sold before had been charged in
+// USD, which is the default; pass --currency to use another. Use --dry-run to preview.
+//
+//   node scripts/migrateEventCurrency.js --currency=USD --dry-run
+import dotenv from "dotenv";
+import mongoose from "mongoose";
+import { connectDB } from "../config/DbConn.js";
+import Event from "../models/Event.js";
+import Transaction from "../models/Transaction.js";
+import PromoCode from "../models/PromoCode.js";
+import { LEGACY_CURRENCY, isValidCurrency, toMinorUnits } from "../utils/currency.js";
+
+dotenv.config();
+
+const args = process.argv.slice(2);
+const dryRun = args.includes("--dry-run");
+const currencyArg = args.find((arg) => arg.startsWith("--currency="));
+const currency = (currencyArg ? currencyArg.split("=")[1] : LEGACY_CURRENCY).toUpperCase();
+
+const run = async () => {
+    if (!isValidCurrency(currency)) {
+        throw new Error(`${currency} is not a valid currency code`);
+    }
+
+    await connectDB();
+
+    // Read the raw documents so the schema default doesn't hide a missing currency
+    const events = await Event.collection
+        .find({ currency: { $exists: false } }, { projection: { title: 1, pricing: 1 } })
+        .toArray();
+
+    for (const event of events) {
+        const update = { currency };
+        for (const [tier, option] of Object.entries(event.pricing || {})) {
+            if (typeof option?.price === "number") {
+                update[`pricing.${tier}.price`] = toMinorUnits(option.price, currency);
+                console.log(`${event._id} ${event.title} ${tier}: ${option.price} -> ${update[`pricing.${tier}.price`]} ${currency}`);
+            }
+        }
+
+        if (!dryRun) {
+            await Event.collection.updateOne({ _id: event._id, currency: { $exists: false } }, { $set: update });
+        }
+    }
+
+    // Past payments and fixed-amount codes were all in USD, whatever the events are priced in now
+    const transactions = await Transaction.collection.countDocuments({ currency: { $exists: false } });
+    const promoCodes = await PromoCode.collection.countDocuments({ currency: { $exists: false } });
+    if (!dryRun) {
+        await Transaction.collection.updateMany({ currency: { $exists: false } }, { $set: { currency: LEGACY_CURRENCY } });
+        await PromoCode.collection.updateMany({ currency: { $exists: false } }, { $set: { currency: LEGACY_CURRENCY } });
+    }
+
+    console.log(`${dryRun ? "Would migrate" : "Migrated"} ${events.length} events to ${currency}`);
+    console.log(`${dryRun ? "Would mark" : "Marked"} ${transactions} transactions and ${promoCodes} promo codes as ${LEGACY_CURRENCY}`);
+};
+
+run()
+    .catch((error) => {
+        console.error(error);
+        process.exitCode = 1;
+    })
+    .finally(() => mongoose.disconnect());
@@ -0,0 +1,69 @@
+// Parses the legacy free-form Event.date/Event.time strings into startsAt/endsAt.
+// Events without a time zone get the one passed with --timezone (or
+// DEFAULT_EVENT_TIMEZONE). Events that already have startsAt are left alone,
+// so the script is safe to run more than once. Use --dry-run to preview.
+//
+//   node scripts/migrateEventTimes.js --timezone=Africa/Lagos --dry-run
+import dotenv from "dotenv";
+import mongoose from "mongoose";
+import { connectDB } from "../config/DbConn.js";
+import Event from "../models/Event.js";
+import { DEFAULT_TIMEZONE, isValidTimezone, parseEventTimes } from "../utils/eventTime.js";
+
+dotenv.config();
+
+const args = process.argv.slice(2);
+const dryRun = args.includes("--dry-run");
+const timezoneArg = args.find((arg) => arg.startsWith("--timezone="));
+const fallbackTimezone = timezoneArg ? timezoneArg.split("=")[1] : DEFAULT_TIMEZONE;
+
+const run = async () => {
+    if (!isValidTimezone(fallbackTimezone)) {
+        throw new Error(`${fallbackTimezone} is not a valid time zone`);
+    }
+
+    await connectDB();
+
+    // Read the raw documents so the schema default doesn't hide a missing time zone
+    const events = await Event.collection
+        .find({ startsAt: null }, { projection: { title: 1, date: 1, time: 1, timezone: 1 } })
+        .toArray();
+
+    let migrated = 0;
+    const failed = [];
+    for (const event of events) {
+        const timezone = isValidTimezone(event.timezone) ? event.timezone : fallbackTimezone;
+        const parsed = parseEventTimes(event.date, event.time, timezone);
+        if (!parsed) {
+            failed.push(event);
+            continue;
+        }
+
+        if (!dryRun) {
+            await Event.collection.updateOne(
+                { _id: event._id },
+                { $set: { startsAt: parsed.startsAt, endsAt: parsed.endsAt, timezone } }
+            );
+        }
+        migrated++;
+        console.log(`${event._id} "${event.date}" "${event.time || ""}" -> ${parsed.startsAt.toISOString()}`);
+    }
+
+    // Add the startsAt indexes without dropping indexes the schema doesn't declare
+    if (!dryRun) {
+        await Event.createIndexes();
+    }
+
+    console.log(`${dryRun ? "Would migrate" : "Migrated"} ${migrated} of ${events.length} events`);
+    if (failed.length) {
+        console.log("Could not parse these, set startsAt by hand:");
+        failed.forEach((event) => console.log(`  ${event._id} ${event.title}: "${event.date}" "${event.time || ""}"`));
+    }
+};
+
+run()
+    .catch((error) => {
+        console.error(error);
+        process.exitCode = 1;
+    })
+    .finally(() => mongoose.disconnect());
@@ -0,0 +1,72 @@
+// Sends a locally signed Stripe webhook for a checkout to a running API, to
+// try /api/stripe/webhook without the Stripe CLI. The event is signed with
+// STRIPE_WEBHOOK_SECRET, so the API must be configured with the same secret.
+//
+//   node scripts/sendStripeTestWebhook.js <completed|expired> <transactionId>
+import dotenv from "dotenv";
+import fetch from "node-fetch";
+import mongoose from "mongoose";
+import Stripe from "stripe";
+import { connectDB } from "../config/DbConn.js";
+import { apiUrl } from "../config/urls.js";
+import Transaction from "../models/Transaction.js";
+import { toMinorUnits } from "../utils/currency.js";
+
+dotenv.config();
+
+const TYPES = {
+    completed: "checkout.session.completed",
+    expired: "checkout.session.expired",
+};
+
+// Only the checkout session fields the webhook handlers read
+const sessionFor = (transaction, kind) => ({
+    id: transaction.stripeSessionId,
+    object: "checkout.session",
+    status: kind === "completed" ? "complete" : "expired",
+    payment_status: kind === "completed" ? "paid" : "unpaid",
+    payment_intent: kind === "completed" ? `pi_test_${transaction.transactionId}` : null,
+    amount_total: toMinorUnits(transaction.amount, transaction.currency),
+    currency: transaction.currency.toLowerCase(),
+    metadata: { transactionId: transaction.transactionId },
+});
+
+const run = async () => {
+    const [kind, transactionId] = process.argv.slice(2);
+    if (!TYPES[kind] || !transactionId) {
+        throw new Error("Usage: node scripts/sendStripeTestWebhook.js <completed|expired> <transactionId>");
+    }
+    const secret = process.env.STRIPE_WEBHOOK_SECRET;
+    if (!secret) {
+        throw new Error("STRIPE_WEBHOOK_SECRET is not set");
+    }
+
+    await connectDB();
+    const transaction = await Transaction.findOne({ transactionId });
+    if (!transaction?.stripeSessionId) {
+        throw new Error(`No Stripe checkout found for transaction ${transactionId}`);
+    }
+
+    const payload = JSON.stringify({
+        id: `evt_test_${Date.now()}`,
+        object: "event",
+        type: TYPES[kind],
+        data: { object: sessionFor(transaction, kind) },
+    });
+    const stripe = new Stripe(process.env.STRIPE_SECRET_KEY || "sk_test_unused");
+    const signature = stripe.webhooks.generateTestHeaderString({ payload, secret });
+
+    const response = await fetch(apiUrl("/api/stripe/webhook"), {
+        method: "POST",
+        headers: { "Content-Type": "application/json", "Stripe-Signature": signature },
+        body: payload,
+    });
+    console.log(`${TYPES[kind]} for ${transactionId}: ${response.status} ${await response.text()}`);
+};
+
+run()
+    .catch((error) => {
+        console.error(error);
+        process.exitCode = 1;
+    })
+    .finally(() => mongoose.disconnect());
@@ -15,12 +15,22 @@ import Countries from "./routes/Country.js"
 import bookmark from "./routes/booKMark.js"
 import payment from "./routes/payment.js"
 import stripe from "./routes/stripe.js"
-import getAllUser from "./controller/getAllUser.js";
+import getAllUser from "./routes/getAllUser.js";
 import switchRole from "./routes/switchRole.js"
 import chatRoutes from "./routes/chatRoutes.js";
 import { chatSocket } from "./socket/chatSocket.js";
+import { directMessageSocket } from "./socket/directMessageSocket.js";
+import { setupSocketAdapter } from "./socket/redisAdapter.js";
+import conversations from "./routes/conversation.js";
 import notification from "./routes/notification.js"
 import business from "./routes/business.js"
+import tickets from "./routes/ticket.js"
+import payments from "./routes/payments.js"
+import organiser from "./routes/organiser.js"
+import promoCodes from "./routes/promoCode.js"
+import checkout from "./routes/checkout.js"
+import { startReservationSweeper } from "./utils/reservations.js";
+import { CORS_ORIGINS } from "./config/urls.js";
 const app = express();
 dotenv.config();
 const PORT = process.env.PORT;
@@ -31,7 +41,7 @@ connectDB();
 const server = http.createServer(app);
 const io = new Server(server, {
   cors: {
-    origin: "*",
+    origin: CORS_ORIGINS,
   },
 });
 
@@ -42,10 +52,14 @@ app.use((req, res, next) => {
   });
 // Initialize Socket.IO
 chatSocket(io);
+directMessageSocket(io);
 
 //app middleware
 
 app.use(cors());
+// Stripe signs the exact request bytes, so the webhook must skip JSON parsing
+app.use("/api/stripe/webhook", express.raw({ type: "application/json" }));
+app.use("/api/checkout/:provider/webhook", express.raw({ type: "application/json" }));
 app.use(express.json());
 app.use(cookieParser());
 app.use(express.urlencoded({extended: false}));
@@ -54,6 +68,7 @@ app.use(bodyParser.json());
 // routes middleware
 setupSwagger(app);
 app.use("/api/chats", chatRoutes);
+app.use("/api/conversations", conversations);
 app.use("/api/notification",notification)
 app.use("/api/users", userRouter);
 app.use("/api/events",eventRoutes)
@@ -64,6 +79,11 @@ app.use("/api/stripe",stripe)
 app.use("/api/switch-role",switchRole)
 app.use("/api/getusers",getAllUser)
 app.use("/api/business",business)
+app.use("/api/tickets",tickets)
+app.use("/api/payments",payments)
+app.use("/api/organiser",organiser)
+app.use("/api/promo-codes",promoCodes)
+app.use("/api/checkout",checkout)
 
 //route
 app.get("/", (req, res) => {
@@ -75,10 +95,13 @@ app.use(errorHandler);
 
 
 //start server
-mongoose.connection.once('open', () => {
+mongoose.connection.once('open', async () => {
     console.log('DB connected');
+    startReservationSweeper();
+    await setupSocketAdapter(io);
 
-    app.listen(PORT, () => {
+    // Listen on the HTTP server Socket.IO is attached to, not a second one from app.listen
+    server.listen(PORT, () => {
         console.log(`Server is running on ${PORT}`);
     });
 });
@@ -1,30 +1,244 @@
+import mongoose from "mongoose";
 import Chat from "../models/chat.js";
+import Event from "../models/Event.js";
+import User from "../models/userModel.js";
+import { authenticateToken, sessionRoom } from "../middleware/auth.js";
+import { canJoinEventChat } from "../utils/chatAccess.js";
+import { formatChatMessage, CHAT_AUTHOR_FIELDS, ChatQueryError } from "../utils/chatMessages.js";
+import {
+  canModerateEventChat,
+  findActiveSanction,
+  describeSanction,
+  moderatorRoom
+} from "../utils/chatModeration.js";
+import { markChatRead } from "../utils/chatReadMarkers.js";
+import { presenceProfile, onlineInEventChat, userConnectionsInEventChat } from "../utils/chatPresence.js";
+
+// Clients send their access token as `auth: { token }` when connecting, or in
+// an Authorization header where the transport allows it
+const handshakeToken = (handshake) => {
+  if (handshake.auth?.token) {
+    return handshake.auth.token;
+  }
+  const header = handshake.headers.authorization;
+  return header && header.startsWith("Bearer ") ? header.split(" ")[1] : undefined;
+};
+
+// Checks the token the same way as middleware/auth.js and keeps the user on the socket
+export const authenticateSocket = async (socket, next) => {
+  const token = handshakeToken(socket.handshake);
+  if (!token) {
+    return next(new Error("Not authorized, token missing"));
+  }
+
+  try {
+    const { user, sessionId } = await authenticateToken(token);
+    socket.data.user = user;
+    socket.data.sessionId = sessionId;
+    next();
+  } catch (error) {
+    next(new Error("Not authorized, please login"));
+  }
+};
 
 export const chatSocket = (io) => {
+  io.use(authenticateSocket);
+
   io.on("connection", (socket) => {
-    console.log("New client connected");
+    const { user, sessionId } = socket.data;
+    console.log(`User ${user._id} connected`);
 
-    // Join room for specific event
-    socket.on("joinEvent", (eventId) => {
-      socket.join(eventId);
-      console.log(`User joined room: ${eventId}`);
+    // Revoking the session disconnects the socket (see controller/sessionController.js)
+    if (sessionId) {
+      socket.join(sessionRoom(sessionId));
+    }
+
+    // Rooms of the event chats this socket is in, e.g. to announce it going offline
+    const eventRooms = () => [...socket.rooms].filter(room => mongoose.isValidObjectId(room));
+
+    // Tell the room when the user's first connection to it arrives or their last one leaves
+    const announcePresence = async (eventId, online) => {
+      if (await userConnectionsInEventChat(io, eventId, user._id, socket.id) === 0) {
+        socket.to(String(eventId)).emit("presence", { eventId, user: presenceProfile(user), online });
+      }
+    };
+
+    // Join room for specific event. The optional acknowledgement gets { ok, message },
+    // or { ok, isModerator, mutedUntil, online } once joined, `online` listing who
+    // else is in the chat.
+    socket.on("joinEvent", async (eventId, ack) => {
+      const reply = (result) => {
+        if (!result.ok) {
+          socket.emit("joinError", { eventId, message: result.message });
+        }
+        if (typeof ack === "function") {
+          ack(result);
+        }
+      };
+
+      try {
+        const event = mongoose.isValidObjectId(eventId)
+          ? await Event.findById(eventId).select("createdBy coOrganisers chatAccess")
+          : null;
+        if (!event) {
+          return reply({ ok: false, message: "Event not found." });
+        }
+        if (!await canJoinEventChat(event, user)) {
+          return reply({ ok: false, message: "Only ticket holders can join this event's chat." });
+        }
+        const sanction = await findActiveSanction(event._id, user._id);
+        if (sanction?.type === "BAN") {
+          return reply({ ok: false, message: describeSanction(sanction) });
+        }
+
+        const alreadyJoined = socket.rooms.has(String(eventId));
+        socket.join(String(eventId));
+        // Moderators also hear about reported messages
+        const isModerator = canModerateEventChat(event, user);
+        if (isModerator) {
+          socket.join(moderatorRoom(eventId));
+        }
+        if (!alreadyJoined) {
+          await announcePresence(eventId, true);
+        }
+        reply({
+          ok: true,
+          isModerator,
+          mutedUntil: sanction?.expiresAt,
+          online: await onlineInEventChat(io, eventId)
+        });
+      } catch (error) {
+        console.error(`Error joining event chat ${eventId}:`, error);
+        reply({ ok: false, message: "Could not join the event chat." });
+      }
     });
 
-    // Handle sending messages
+    // Handle sending messages; the author is always the signed-in user
     socket.on("sendMessage", async (data) => {
-      const { eventId, user, message } = data;
+      try {
+        const { eventId, message } = data || {};
+        const room = String(eventId);
+
+        if (!socket.rooms.has(room)) {
+          socket.emit("messageError", { message: "Join the event chat before sending messages." });
+          return;
+        }
+        if (typeof message !== "string" || !message.trim()) {
+          socket.emit("messageError", { message: "Message cannot be empty." });
+          return;
+        }
 
-      // Save message to DB
-      const chat = new Chat({ eventId, user, message });
-      await chat.save();
+        // Unverified accounts can read the chat but not post to it. Read afresh,
+        // as the account may have been verified since the socket connected.
+        const author = await User.findById(user._id).select("isVerified");
+        if (!author || author.isVerified === false) {
+          socket.emit("messageError", { message: "Please verify your email address to chat." });
+          return;
+        }
+
+        const sanction = await findActiveSanction(eventId, user._id);
+        if (sanction) {
+          socket.emit("messageError", { message: describeSanction(sanction), expiresAt: sanction.expiresAt });
+          return;
+        }
+
+        // Save message to DB
+        const chat = await Chat.create({ eventId, user: user._id, message });
+        const [saved, event] = await Promise.all([
+          chat.populate("user", CHAT_AUTHOR_FIELDS),
+          Event.findById(eventId).select("createdBy coOrganisers")
+        ]);
+
+        // Broadcast the stored message to all users in the room
+        io.to(room).emit("receiveMessage", formatChatMessage(saved, event));
+      } catch (error) {
+        console.error("Error sending chat message:", error);
+        socket.emit("messageError", { message: "Failed to send message." });
+      }
+    });
+
+    socket.on("leaveEvent", async (eventId) => {
+      const room = String(eventId);
+      if (!socket.rooms.has(room)) {
+        return;
+      }
+      socket.leave(room);
+      socket.leave(moderatorRoom(eventId));
+      try {
+        await announcePresence(eventId, false);
+      } catch (error) {
+        console.error(`Error updating presence in ${eventId}:`, error);
+      }
+    });
+
+    // Who is online in a joined event chat
+    socket.on("getPresence", async (eventId, ack) => {
+      if (typeof ack !== "function") {
+        return;
+      }
+      if (!socket.rooms.has(String(eventId))) {
+        return ack({ ok: false, message: "Join the event chat first." });
+      }
+      try {
+        ack({ ok: true, online: await onlineInEventChat(io, eventId) });
+      } catch (error) {
+        console.error(`Error fetching presence in ${eventId}:`, error);
+        ack({ ok: false, message: "Could not fetch who is online." });
+      }
+    });
+
+    // Typing indicators go to everyone else in the room and aren't stored
+    const relayTyping = (isTyping) => (data) => {
+      const eventId = data?.eventId;
+      if (!eventId || !socket.rooms.has(String(eventId))) {
+        return;
+      }
+      socket.to(String(eventId)).emit("typing", {
+        eventId,
+        user: presenceProfile(user),
+        isTyping
+      });
+    };
+    socket.on("typing", relayTyping(true));
+    socket.on("stopTyping", relayTyping(false));
+
+    // Read receipts: move the user's read marker and tell the room
+    socket.on("markRead", async (data, ack) => {
+      const { eventId, messageId } = data || {};
+      try {
+        if (!socket.rooms.has(String(eventId))) {
+          throw new ChatQueryError("Join the event chat first.");
+        }
+        const marker = await markChatRead(eventId, user._id, messageId);
+        if (marker) {
+          io.to(String(eventId)).emit("messagesRead", { eventId, ...marker });
+        }
+        if (typeof ack === "function") {
+          ack({ ok: true, read: marker });
+        }
+      } catch (error) {
+        const message = error instanceof ChatQueryError ? error.message : "Could not mark the chat read.";
+        if (!(error instanceof ChatQueryError)) {
+          console.error(`Error marking ${eventId} read:`, error);
+        }
+        if (typeof ack === "function") {
+          ack({ ok: false, message });
+        }
+      }
+    });
 
-      // Broadcast message to all users in the room
-      io.to(eventId).emit("receiveMessage", data);
+    // Still in its rooms here, so the others can be told this user left
+    socket.on("disconnecting", () => {
+      eventRooms().forEach(eventId => {
+        announcePresence(eventId, false).catch(error => {
+          console.error(`Error updating presence in ${eventId}:`, error);
+        });
+      });
     });
 
     // Handle disconnect
     socket.on("disconnect", () => {
-      console.log("Client disconnected");
+      console.log(`User ${user._id} disconnected`);
     });
   });
 };
@@ -0,0 +1,97 @@
+import mongoose from "mongoose";
+import User from "../models/userModel.js";
+import Conversation from "../models/Conversation.js";
+import {
+  userRoom,
+  findConversationFor,
+  postDirectMessage,
+  markConversationRead,
+  emitToConversation,
+  DirectMessageError
+} from "../utils/directMessages.js";
+
+// Direct messages over Socket.IO. Connections are authenticated by chatSocket,
+// which must be set up first.
+export const directMessageSocket = (io) => {
+  io.on("connection", (socket) => {
+    const { user } = socket.data;
+
+    // Every connection of a user hears about their conversations
+    socket.join(userRoom(user._id));
+
+    // Answer through the acknowledgement if the client sent one, else with an event
+    const fail = (error, ack) => {
+      const message = error instanceof DirectMessageError ? error.message : "Something went wrong.";
+      if (!(error instanceof DirectMessageError)) {
+        console.error("Direct message error:", error);
+      }
+      if (typeof ack === "function") {
+        return ack({ ok: false, message });
+      }
+      socket.emit("directMessageError", { message });
+    };
+
+    socket.on("sendDirectMessage", async (data, ack) => {
+      try {
+        const { conversationId, message } = data || {};
+
+        // Read afresh, as the account may have been verified since the socket connected
+        const sender = await User.findById(user._id).select("isVerified");
+        if (!sender || sender.isVerified === false) {
+          throw new DirectMessageError(403, "Please verify your email address to send messages.");
+        }
+
+        const conversation = await findConversationFor(conversationId, user._id);
+        const sent = await postDirectMessage(conversation, user, message);
+        emitToConversation(io, conversation, "directMessage", sent);
+
+        if (typeof ack === "function") {
+          ack({ ok: true, message: sent });
+        }
+      } catch (error) {
+        fail(error, ack);
+      }
+    });
+
+    // Typing indicators go to the other participants and aren't stored.
+    // Direct message events are prefixed with "dm:" so they never mix with event chat ones.
+    const relayTyping = (isTyping) => async (data) => {
+      if (!mongoose.isValidObjectId(data?.conversationId)) {
+        return;
+      }
+      try {
+        const conversation = await Conversation.findOne({
+          _id: data?.conversationId,
+          participants: user._id
+        }).select("participants");
+        if (conversation) {
+          emitToConversation(io, conversation, "dm:typing", {
+            conversationId: conversation._id,
+            userId: user._id,
+            isTyping
+          }, user._id);
+        }
+      } catch (error) {
+        console.error("Error relaying typing:", error);
+      }
+    };
+    socket.on("dm:typing", relayTyping(true));
+    socket.on("dm:stopTyping", relayTyping(false));
+
+    // Read receipts
+    socket.on("dm:markRead", async (data, ack) => {
+      try {
+        const conversation = await findConversationFor(data?.conversationId, user._id);
+        const marker = await markConversationRead(conversation, user._id, data?.messageId);
+        if (marker) {
+          emitToConversation(io, conversation, "dm:messagesRead", { conversationId: conversation._id, ...marker });
+        }
+        if (typeof ack === "function") {
+          ack({ ok: true, read: marker });
+        }
+      } catch (error) {
+        fail(error, ack);
+      }
+    });
+  });
+};
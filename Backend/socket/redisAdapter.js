@@ -0,0 +1,33 @@
+import { createAdapter } from "@socket.io/redis-adapter";
+import { createClient } from "redis";
+
+// With REDIS_URL set, Socket.IO instances share rooms through Redis, so chat
+// messages, typing and presence reach users connected to any instance.
+// Without it each instance only knows its own connections.
+export const setupSocketAdapter = async (io) => {
+  if (!process.env.REDIS_URL) {
+    return;
+  }
+
+  // Keep reconnecting once connected, but give up on the first connection
+  // after a few tries rather than hold up the server starting
+  let connected = false;
+  const reconnectStrategy = (retries) => (connected || retries < 5
+    ? Math.min(retries * 200, 3000)
+    : new Error("Could not connect to Redis"));
+
+  const pubClient = createClient({ url: process.env.REDIS_URL, socket: { reconnectStrategy } });
+  const subClient = pubClient.duplicate();
+  pubClient.on("error", (error) => console.error("Redis publisher error:", error));
+  subClient.on("error", (error) => console.error("Redis subscriber error:", error));
+
+  try {
+    await Promise.all([pubClient.connect(), subClient.connect()]);
+    connected = true;
+    io.adapter(createAdapter(pubClient, subClient));
+    console.log("Socket.IO using the Redis adapter");
+  } catch (error) {
+    console.error("Could not connect to Redis, Socket.IO will only reach this instance:", error);
+    await Promise.allSettled([pubClient.disconnect(), subClient.disconnect()]);
+  }
+};
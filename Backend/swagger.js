@@ -1,5 +1,6 @@
 import swaggerJSDoc from 'swagger-jsdoc';
 import swaggerUi from 'swagger-ui-express';
+import { apiUrl } from './config/urls.js';
 
 const options = {
   definition: {
@@ -11,10 +12,19 @@ const options = {
     },
     servers: [
       {
-       url: 'https://afrohub.onrender.com/api',
+       url: apiUrl('/api'),
        
       },
     ],
+    components: {
+      securitySchemes: {
+        bearerAuth: {
+          type: 'http',
+          scheme: 'bearer',
+          bearerFormat: 'JWT',
+        },
+      },
+    },
   },  
   apis: ['./routes/*.js'], 
 };
@@ -0,0 +1,28 @@
+import Ticket from '../models/Ticket.js';
+import Transaction from '../models/Transaction.js';
+import { hasPermission } from '../middleware/permissions.js';
+
+// Whether a user may read and post in an event's chat. Restricted chats are
+// open to organisers, staff and anyone holding a ticket for the event.
+export const canJoinEventChat = async (event, user) => {
+    if (event.chatAccess !== 'TICKET_HOLDERS') {
+        return true;
+    }
+    if (!user) {
+        return false;
+    }
+    if (hasPermission(user, 'events:manage') || event.isOwnedBy(user._id)) {
+        return true;
+    }
+
+    // Paid orders from before tickets were issued count as well
+    const [ticket, transaction] = await Promise.all([
+        Ticket.exists({ eventId: event._id, owner: user._id, status: 'VALID' }),
+        Transaction.exists({
+            ticketId: event._id,
+            userId: user._id,
+            status: { $in: ['COMPLETED', 'PARTIALLY_REFUNDED'] }
+        })
+    ]);
+    return Boolean(ticket || transaction);
+};
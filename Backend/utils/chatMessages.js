@@ -0,0 +1,102 @@
+import mongoose from 'mongoose';
+import Chat from '../models/chat.js';
+
+export const DEFAULT_CHAT_PAGE_SIZE = 50;
+export const MAX_CHAT_PAGE_SIZE = 100;
+
+// What clients see of a message's author
+export const CHAT_AUTHOR_FIELDS = 'full_name image role';
+
+export class ChatQueryError extends Error {}
+
+/**
+ * Parse `before`, `after` and `limit` from the query string. `before` and
+ * `after` are message ids; without either the newest messages are returned.
+ */
+export const parseChatPageQuery = (query) => {
+    const { before, after } = query;
+    if (before && after) {
+        throw new ChatQueryError('Use either before or after, not both');
+    }
+    const cursor = before || after;
+    if (cursor && !mongoose.isValidObjectId(cursor)) {
+        throw new ChatQueryError(`${before ? 'before' : 'after'} must be a message id`);
+    }
+
+    let limit = DEFAULT_CHAT_PAGE_SIZE;
+    if (query.limit !== undefined && query.limit !== '') {
+        limit = parseInt(query.limit, 10);
+        if (!Number.isInteger(limit) || limit < 1) {
+            throw new ChatQueryError('limit must be a positive integer');
+        }
+        limit = Math.min(limit, MAX_CHAT_PAGE_SIZE);
+    }
+
+    return { before, after, limit };
+};
+
+/**
+ * One page of messages, oldest first. `scope` picks the thread, e.g. an
+ * event's chat, and `visible` hides messages within it (a cursor may still
+ * point at a hidden message). Pages run back from `before` (or from the
+ * newest message) and forward from `after`; `hasMore` says whether there are
+ * further messages in that direction. `author` is populated with CHAT_AUTHOR_FIELDS.
+ */
+export const findMessagePage = async (Model, { scope, visible = {}, author }, { before, after, limit }) => {
+    const filter = { ...scope, ...visible };
+    const forward = Boolean(after);
+
+    if (before || after) {
+        const cursor = await Model.findOne({ ...scope, _id: before || after }).select('createdAt');
+        if (!cursor) {
+            throw new ChatQueryError('Cursor message not found in this chat');
+        }
+        // Messages sent in the same millisecond are ordered by id
+        const op = forward ? '$gt' : '$lt';
+        filter.$or = [
+            { createdAt: { [op]: cursor.createdAt } },
+            { createdAt: cursor.createdAt, _id: { [op]: cursor._id } }
+        ];
+    }
+
+    const order = forward ? 1 : -1;
+    const messages = await Model.find(filter)
+        .sort({ createdAt: order, _id: order })
+        .limit(limit + 1)
+        .populate(author, CHAT_AUTHOR_FIELDS);
+
+    const hasMore = messages.length > limit;
+    const page = messages.slice(0, limit);
+    return {
+        messages: forward ? page : page.reverse(),
+        hasMore
+    };
+};
+
+// One page of an event's chat, leaving out deleted messages
+export const findChatPage = (eventId, page) => findMessagePage(Chat, {
+    scope: { eventId },
+    visible: { deletedAt: null },
+    author: 'user'
+}, page);
+
+// A message as sent to clients, over REST and Socket.IO alike. `user` must be
+// populated with CHAT_AUTHOR_FIELDS; `event` marks the organisers' messages.
+export const formatChatMessage = (chat, event) => {
+    const author = chat.user;
+    return {
+        _id: chat._id,
+        eventId: chat.eventId,
+        message: chat.message,
+        user: author && {
+            _id: author._id,
+            full_name: author.full_name,
+            image: author.image,
+            role: author.role,
+            isOrganiser: Boolean(event?.isOwnedBy(author._id))
+        },
+        editedAt: chat.editedAt,
+        createdAt: chat.createdAt,
+        updatedAt: chat.updatedAt
+    };
+};
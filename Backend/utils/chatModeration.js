@@ -0,0 +1,55 @@
+import ChatSanction from '../models/ChatSanction.js';
+import { hasPermission } from '../middleware/permissions.js';
+
+// Longest a mute or ban can be set for, in minutes (one year)
+export const MAX_SANCTION_MINUTES = 60 * 24 * 365;
+
+// Organisers of the event and staff may moderate its chat
+export const canModerateEventChat = (event, user) =>
+    Boolean(user) && (hasPermission(user, 'chat:moderate') || event.isOwnedBy(user._id));
+
+// Socket.IO room of an event's moderators, who are sent its reports
+export const moderatorRoom = (eventId) => `${eventId}:moderators`;
+
+/**
+ * The user's mute or ban in an event's chat that is in force now, if any.
+ * A ban wins over a mute, as it also stops the user reading the chat.
+ */
+export const findActiveSanction = async (eventId, userId) => {
+    if (!userId) {
+        return null;
+    }
+    const sanctions = await ChatSanction.find({
+        eventId,
+        userId,
+        liftedAt: null,
+        expiresAt: { $gt: new Date() }
+    }).sort({ expiresAt: -1 });
+    return sanctions.find(sanction => sanction.type === 'BAN') || sanctions[0] || null;
+};
+
+export const describeSanction = (sanction) => sanction.type === 'BAN'
+    ? `You are banned from this event's chat until ${sanction.expiresAt.toISOString()}.`
+    : `You are muted in this event's chat until ${sanction.expiresAt.toISOString()}.`;
+
+// Tell everyone in an event's chat about a change, e.g. a deleted message
+export const emitToEventChat = (io, eventId, name, payload) => {
+    if (io) {
+        io.to(String(eventId)).emit(name, payload);
+    }
+};
+
+// Take a banned user's open connections out of the event's chat
+export const removeFromEventChat = async (io, eventId, userId) => {
+    if (!io) {
+        return;
+    }
+    const sockets = await io.in(String(eventId)).fetchSockets();
+    sockets
+        // Sockets on other servers carry their data as plain JSON, so compare ids as strings
+        .filter(socket => String(socket.data.user?._id) === String(userId))
+        .forEach(socket => {
+            socket.leave(String(eventId));
+            socket.leave(moderatorRoom(eventId));
+        });
+};
@@ -0,0 +1,31 @@
+// Who is online in an event's chat. Sockets are looked up through the
+// Socket.IO adapter, so with Redis this covers every server instance.
+
+// What other users see of someone online. Sockets fetched from other
+// instances carry their data as plain JSON, so ids are compared as strings.
+export const presenceProfile = (user) => ({
+    _id: String(user._id),
+    full_name: user.full_name,
+    image: user.image
+});
+
+// Everyone connected to an event's chat, once each however many devices they use
+export const onlineInEventChat = async (io, eventId) => {
+    const sockets = await io.in(String(eventId)).fetchSockets();
+    const online = new Map();
+    sockets.forEach(socket => {
+        const user = socket.data.user;
+        if (user && !online.has(String(user._id))) {
+            online.set(String(user._id), presenceProfile(user));
+        }
+    });
+    return [...online.values()];
+};
+
+// How many of a user's connections are in an event's chat, leaving one socket out
+export const userConnectionsInEventChat = async (io, eventId, userId, exceptSocketId) => {
+    const sockets = await io.in(String(eventId)).fetchSockets();
+    return sockets.filter(socket =>
+        socket.id !== exceptSocketId && String(socket.data.user?._id) === String(userId)
+    ).length;
+};
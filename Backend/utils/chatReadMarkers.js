@@ -0,0 +1,53 @@
+import mongoose from 'mongoose';
+import Chat from '../models/chat.js';
+import ChatReadMarker from '../models/ChatReadMarker.js';
+import { ChatQueryError } from './chatMessages.js';
+
+/**
+ * Record that a user has read an event's chat up to `messageId`, or up to its
+ * newest message. Markers only move forward. Returns the marker, or null when
+ * there was nothing new to mark.
+ */
+export const markChatRead = async (eventId, userId, messageId) => {
+    if (messageId !== undefined && !mongoose.isValidObjectId(messageId)) {
+        throw new ChatQueryError('messageId must be a message id');
+    }
+    const message = messageId
+        ? await Chat.findOne({ _id: messageId, eventId }).select('createdAt')
+        : await Chat.findOne({ eventId, deletedAt: null }).sort({ createdAt: -1, _id: -1 }).select('createdAt');
+    if (!message) {
+        if (messageId) {
+            throw new ChatQueryError('Message not found in this chat');
+        }
+        return null;
+    }
+
+    try {
+        const marker = await ChatReadMarker.findOneAndUpdate(
+            { eventId, userId, $or: [{ lastReadAt: null }, { lastReadAt: { $lt: message.createdAt } }] },
+            { lastReadMessageId: message._id, lastReadAt: message.createdAt },
+            { upsert: true, new: true }
+        );
+        return { user: userId, lastReadMessageId: marker.lastReadMessageId, lastReadAt: marker.lastReadAt };
+    } catch (error) {
+        // The marker is already at or past this message
+        if (error.code === 11000) {
+            return null;
+        }
+        throw error;
+    }
+};
+
+// The user's read marker in an event's chat and how many messages from others came after it
+export const chatUnread = async (eventId, userId) => {
+    const marker = await ChatReadMarker.findOne({ eventId, userId });
+    const filter = { eventId, deletedAt: null, user: { $ne: userId } };
+    if (marker?.lastReadAt) {
+        filter.createdAt = { $gt: marker.lastReadAt };
+    }
+    return {
+        lastReadMessageId: marker?.lastReadMessageId || null,
+        lastReadAt: marker?.lastReadAt || null,
+        unreadCount: await Chat.countDocuments(filter)
+    };
+};
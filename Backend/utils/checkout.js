@@ -0,0 +1,310 @@
+// The steps every checkout shares, whichever provider takes the payment:
+// price the order, apply a promo code and hold the tickets, then complete or
+// fail the transaction once the provider reports on the payment
+import { v4 as uuidv4 } from 'uuid';
+import Transaction from '../models/Transaction.js';
+import { reserveTickets, confirmReservation, releaseReservation } from './reservations.js';
+import { issueTickets } from './tickets.js';
+import { roundAmount } from './currency.js';
+import { resolveCheckoutSession } from './eventSchedule.js';
+import { redeemPromoCode, releasePromoCodeUse, PromoCodeError } from './promoCodes.js';
+import { buildOrderLines, orderSubtotal, findShortfall, describeLines, OrderItemsError } from './orderItems.js';
+import { parseClientRedirects, withQuery, RedirectUrlError } from '../config/urls.js';
+import { providerFor } from './paymentProviders/index.js';
+
+// A checkout the buyer has to fix; `details` are added to the response body
+export class CheckoutError extends Error {
+    constructor(status, message, details) {
+        super(message);
+        this.status = status;
+        this.details = details;
+    }
+}
+
+/**
+ * Price the order in `body` against the event, redeem any promo code and
+ * hold the tickets. Returns { transactionId, lines, session, subtotal, promo,
+ * total, reservation, redirects }; the caller releases the hold if the
+ * provider fails. `redirects` are the allowlisted returnUrl and cancelUrl the
+ * client asked to be sent to afterwards, if any.
+ * Throws CheckoutError when the order can't be placed.
+ */
+export const holdCheckout = async ({ event, body, userId }) => {
+    let redirects;
+    try {
+        redirects = parseClientRedirects(body);
+    } catch (error) {
+        if (error instanceof RedirectUrlError) {
+            throw new CheckoutError(400, error.message);
+        }
+        throw error;
+    }
+
+    // Price every line from the event's pricing, checking any prices the client sent
+    let lines;
+    try {
+        lines = buildOrderLines(event, body);
+    } catch (error) {
+        if (error instanceof OrderItemsError) {
+            throw new CheckoutError(400, error.message, { details: error.details });
+        }
+        throw error;
+    }
+
+    // Recurring and multi-day events are sold per session
+    const { session, error: sessionError } = resolveCheckoutSession(event, body.sessionId);
+    if (sessionError) {
+        throw new CheckoutError(400, sessionError);
+    }
+
+    const shortfall = findShortfall(event, lines, session);
+    if (shortfall) {
+        throw new CheckoutError(400, `Only ${shortfall.available} ${shortfall.line.ticketTypeName} tickets available.`, {
+            ticketType: shortfall.line.ticketType,
+            availableTickets: shortfall.available
+        });
+    }
+
+    const subtotal = orderSubtotal(lines, event.currency);
+    const transactionId = uuidv4();
+
+    // Apply a promo code; this takes one use of it until the hold is released
+    let promo = null;
+    if (body.promoCode) {
+        try {
+            promo = await redeemPromoCode({
+                code: body.promoCode,
+                userId,
+                eventId: event._id,
+                lines,
+                currency: event.currency
+            });
+        } catch (error) {
+            if (error instanceof PromoCodeError) {
+                throw new CheckoutError(400, error.message);
+            }
+            throw error;
+        }
+    }
+
+    // Hold the tickets while the buyer pays
+    const reservation = await reserveTickets({
+        transactionId,
+        eventId: event._id,
+        userId,
+        items: lines,
+        sessionId: session?._id,
+        promoCodeId: promo?.promo._id
+    });
+    if (!reservation) {
+        if (promo) {
+            await releasePromoCodeUse(promo.promo._id);
+        }
+        throw new CheckoutError(409, `Not enough tickets left for ${describeLines(lines)}. Please try a smaller quantity.`);
+    }
+
+    return {
+        transactionId,
+        lines,
+        session,
+        subtotal,
+        promo,
+        total: promo ? promo.total : subtotal,
+        reservation,
+        redirects
+    };
+};
+
+// The transaction fields every checkout starts with
+export const pendingTransactionFields = (event, userId, checkout) => ({
+    transactionId: checkout.transactionId,
+    userId,
+    ticketId: event._id,
+    amount: checkout.total,
+    currency: event.currency,
+    items: checkout.lines,
+    subtotal: checkout.subtotal,
+    promoCode: checkout.promo?.promo.code,
+    promoCodeId: checkout.promo?.promo._id,
+    discountAmount: checkout.promo?.discount || 0,
+    sessionId: checkout.session?._id,
+    sessionStartsAt: checkout.session?.startsAt,
+    returnUrl: checkout.redirects.returnUrl,
+    cancelUrl: checkout.redirects.cancelUrl,
+    status: 'PENDING'
+});
+
+// Where to send the buyer once the payment is settled or cancelled, if their client asked
+export const returnRedirect = (transaction) => transaction.returnUrl && withQuery(transaction.returnUrl, {
+    transactionId: transaction.transactionId,
+    status: transaction.status
+});
+
+export const cancelRedirect = (transaction) => transaction.cancelUrl && withQuery(transaction.cancelUrl, {
+    transactionId: transaction.transactionId,
+    status: transaction.status
+});
+
+// Transactions still waiting for their payment to settle. Stripe checkouts
+// created before status was set on them have no status at all.
+const OPEN_STATUSES = ['PENDING', 'CAPTURING', null];
+
+// PayPal charges the buyer when the order is captured, so only the request
+// that moves the transaction from PENDING to CAPTURING may capture it.
+// Returns the claimed transaction, or null if another request got there first.
+export const claimCapture = (transaction) => Transaction.findOneAndUpdate(
+    { _id: transaction._id, status: 'PENDING' },
+    { status: 'CAPTURING' },
+    { new: true }
+);
+
+// Hand a claimed transaction back when it isn't known whether the capture
+// went through; capturing again is safe, as PayPal never captures an order twice
+export const reopenCapture = (transaction) => Transaction.findOneAndUpdate(
+    { _id: transaction._id, status: 'CAPTURING' },
+    { status: 'PENDING' },
+    { new: true }
+);
+
+// The provider took the money: complete the transaction, secure the tickets
+// and issue them. `payment` is as returned by a payment provider. Only the
+// first caller moves the transaction out of PENDING, so a webhook and the
+// buyer's return can both report the same payment.
+export const completePayment = async (transaction, payment) => {
+    const charged = payment.amount === undefined ||
+        (payment.currency === transaction.currency &&
+            roundAmount(payment.amount, transaction.currency) === roundAmount(transaction.amount, transaction.currency));
+    if (!charged) {
+        console.error(`Transaction ${transaction.transactionId} was paid ${payment.amount} ${payment.currency}, expected ${transaction.amount} ${transaction.currency}`);
+        return failPayment(transaction, 'Amount paid does not match the order', payment.details);
+    }
+
+    const paid = await Transaction.findOneAndUpdate(
+        { _id: transaction._id, status: { $in: OPEN_STATUSES } },
+        {
+            status: 'COMPLETED',
+            paymentStatus: 'paid',
+            paymentDetails: payment.details,
+            ...payment.fields
+        },
+        { new: true }
+    );
+    if (!paid) {
+        return Transaction.findById(transaction._id);
+    }
+
+    const confirmed = await confirmReservation(paid);
+    if (!confirmed) {
+        return refundUnfulfilled(paid);
+    }
+
+    // Missing tickets are issued again when the buyer lists them
+    try {
+        await issueTickets(paid);
+    } catch (error) {
+        console.error(`Error issuing tickets for ${paid.transactionId}:`, error);
+    }
+    return paid;
+};
+
+/**
+ * The buyer paid, but their hold lapsed and the seats were sold to someone
+ * else. Give the money back through the provider; if that fails, mark the
+ * transaction NEEDS_REFUND so staff can refund it by hand. Returns the
+ * updated transaction.
+ */
+const refundUnfulfilled = async (transaction) => {
+    const reason = 'Tickets sold out before the payment completed';
+    console.error(`Transaction ${transaction.transactionId} was paid after its ${transaction.ticketTypeName} tickets sold out`);
+
+    try {
+        const provider = providerFor(transaction);
+        if (!provider) {
+            throw new Error('No payment provider reference found for this transaction');
+        }
+        const providerRefundId = await provider.refund(transaction, transaction.amount, { isFullRefund: true });
+
+        transaction.status = 'REFUNDED';
+        transaction.paymentStatus = 'refunded';
+        transaction.refundedAmount = transaction.amount;
+        transaction.refundedTicketCount = transaction.ticketCount;
+        (transaction.items || []).forEach(item => {
+            item.refundedQuantity = item.quantity;
+        });
+        transaction.refunds.push({
+            providerRefundId,
+            amount: transaction.amount,
+            ticketCount: transaction.ticketCount,
+            reason
+        });
+        return await transaction.save();
+    } catch (error) {
+        console.error(`Could not refund ${transaction.transactionId}, it needs a manual refund:`, error);
+        return Transaction.findByIdAndUpdate(
+            transaction._id,
+            { status: 'NEEDS_REFUND', paymentDetails: { ...transaction.paymentDetails, needsRefundReason: reason } },
+            { new: true }
+        );
+    }
+};
+
+// The payment will not go through: fail the transaction and give its tickets back
+export const failPayment = async (transaction, reason, details) => {
+    const failed = await Transaction.findOneAndUpdate(
+        { _id: transaction._id, status: { $in: OPEN_STATUSES } },
+        { status: 'FAILED', paymentDetails: { reason, ...details } },
+        { new: true }
+    );
+    if (failed) {
+        await releaseReservation(failed.transactionId, reason);
+    }
+    return failed || Transaction.findById(transaction._id);
+};
+
+/**
+ * Take the money for a provider that charges when the payment is verified
+ * (PayPal) and settle the transaction. Returns { transaction, outcome }, where
+ * outcome is 'claimed' when another request is capturing or already settled
+ * it, 'soldOut' when the hold couldn't be secured, 'pending' when the provider
+ * hasn't finished, or 'settled'. Throws when it isn't known whether the capture
+ * went through; the transaction is then left PENDING for the buyer to retry.
+ */
+export const captureAndSettle = async (provider, transaction, reference) => {
+    const claimed = transaction.status === 'PENDING' && await claimCapture(transaction);
+    if (!claimed) {
+        return { transaction: await Transaction.findById(transaction._id), outcome: 'claimed' };
+    }
+
+    // Secure the held tickets before taking the money
+    if (!await confirmReservation(claimed)) {
+        const failed = await failPayment(claimed, `Insufficient tickets available for ${claimed.ticketTypeName}`);
+        return { transaction: failed, outcome: 'soldOut' };
+    }
+
+    let payment;
+    try {
+        payment = await provider.verifyPayment(reference);
+    } catch (error) {
+        // The capture may have gone through even though the request failed
+        // (a timeout, say), so ask the provider before failing the order
+        try {
+            payment = await provider.lookupPayment(reference);
+        } catch (lookupError) {
+            console.error(`Error looking up ${provider.label} payment ${reference}:`, lookupError);
+            await reopenCapture(claimed);
+            throw error;
+        }
+        if (payment.status !== 'paid') {
+            // The capture failed, so the buyer was not charged
+            return { transaction: await failPayment(claimed, 'Payment failed', { error: error.message }), outcome: 'settled' };
+        }
+    }
+
+    if (payment.status === 'pending') {
+        return { transaction: await reopenCapture(claimed) || claimed, outcome: 'pending' };
+    }
+    const settled = payment.status === 'paid'
+        ? await completePayment(claimed, payment)
+        : await failPayment(claimed, 'Payment failed', payment.details);
+    return { transaction: settled, outcome: 'settled' };
+};
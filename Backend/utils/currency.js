@@ -0,0 +1,50 @@
+// ISO 4217 currency helpers. Event prices are stored in minor units (kobo,
+// cents, ...); transaction and refund amounts are kept in major units.
+
+export const DEFAULT_CURRENCY = (process.env.DEFAULT_CURRENCY || 'USD').toUpperCase();
+
+// Everything charged before events had a currency was charged in US dollars
+export const LEGACY_CURRENCY = 'USD';
+
+const SUPPORTED = new Set(Intl.supportedValuesOf('currency'));
+
+// Currencies PayPal can take payments in. HUF and TWD are left out as PayPal
+// only accepts whole amounts for them while ISO 4217 gives them decimals.
+export const PAYPAL_CURRENCIES = new Set([
+  'AUD', 'BRL', 'CAD', 'CHF', 'CNY', 'CZK', 'DKK', 'EUR', 'GBP', 'HKD', 'ILS',
+  'JPY', 'MXN', 'MYR', 'NOK', 'NZD', 'PHP', 'PLN', 'SEK', 'SGD', 'THB', 'USD'
+]);
+
+// Currencies Paystack settles in, depending on the merchant's country
+export const PAYSTACK_CURRENCIES = new Set(['NGN', 'GHS', 'KES', 'ZAR', 'XOF', 'USD']);
+
+export const isValidCurrency = (code) => typeof code === 'string' && SUPPORTED.has(code.toUpperCase());
+
+// Digits after the decimal point, e.g. 2 for NGN and 0 for XOF
+export const minorUnitDigits = (currency) => new Intl.NumberFormat('en', {
+  style: 'currency',
+  currency
+}).resolvedOptions().maximumFractionDigits;
+
+export const toMinorUnits = (amount, currency) => Math.round(amount * 10 ** minorUnitDigits(currency));
+
+export const fromMinorUnits = (amount, currency) => amount / 10 ** minorUnitDigits(currency);
+
+// Round a major-unit amount to what the currency can express
+export const roundAmount = (amount, currency) => fromMinorUnits(toMinorUnits(amount, currency), currency);
+
+// "12.50" for USD, "5000" for XOF
+export const formatAmount = (amount, currency) => amount.toFixed(minorUnitDigits(currency));
+
+// "$12.50", "NGN 5,000.00"
+export const formatMoney = (amount, currency) => new Intl.NumberFormat('en', {
+  style: 'currency',
+  currency
+}).format(amount);
+
+// Add up amounts without mixing currencies: [{ currency, amount }] per currency
+export const sumByCurrency = (entries) => {
+  const totals = new Map();
+  entries.forEach(({ currency, amount }) => totals.set(currency, (totals.get(currency) || 0) + amount));
+  return [...totals].map(([currency, amount]) => ({ currency, amount: roundAmount(amount, currency) }));
+};
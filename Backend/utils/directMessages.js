@@ -0,0 +1,219 @@
+// Direct messages: starting conversations, posting to them and read receipts,
+// shared by the REST endpoints and the Socket.IO handlers
+import mongoose from 'mongoose';
+import Conversation, { MAX_GROUP_SIZE, directKeyFor } from '../models/Conversation.js';
+import DirectMessage from '../models/DirectMessage.js';
+import User from '../models/userModel.js';
+import { CHAT_AUTHOR_FIELDS } from './chatMessages.js';
+
+// A request the user has to fix; `status` is the HTTP status to answer with
+export class DirectMessageError extends Error {
+    constructor(status, message) {
+        super(message);
+        this.status = status;
+    }
+}
+
+// Socket.IO room every connection of a user joins, so DMs reach all their devices
+export const userRoom = (userId) => `user:${userId}`;
+
+// Whether either user has blocked the other
+export const isBlockedBetween = (userId, otherUserId) => User.exists({
+    $or: [
+        { _id: userId, blockedUsers: otherUserId },
+        { _id: otherUserId, blockedUsers: userId }
+    ]
+});
+
+/**
+ * Start a conversation with one other user, or a group with several.
+ * A one-to-one conversation that already exists is returned instead of a
+ * new one. Returns { conversation, created }.
+ */
+export const startConversation = async (user, { participantIds, name }) => {
+    if (!Array.isArray(participantIds) || !participantIds.length) {
+        throw new DirectMessageError(400, 'participantIds must list at least one user');
+    }
+    if (!participantIds.every(id => mongoose.isValidObjectId(id))) {
+        throw new DirectMessageError(400, 'participantIds must be user ids');
+    }
+
+    const others = [...new Set(participantIds.map(String))].filter(id => id !== String(user._id));
+    if (!others.length) {
+        throw new DirectMessageError(400, "You can't start a conversation with yourself");
+    }
+    if (others.length + 1 > MAX_GROUP_SIZE) {
+        throw new DirectMessageError(400, `A group can have at most ${MAX_GROUP_SIZE} people`);
+    }
+
+    const found = await User.countDocuments({ _id: { $in: others } });
+    if (found !== others.length) {
+        throw new DirectMessageError(404, 'User not found');
+    }
+    for (const otherId of others) {
+        if (await isBlockedBetween(user._id, otherId)) {
+            throw new DirectMessageError(403, "You can't message this user");
+        }
+    }
+
+    if (others.length === 1) {
+        const directKey = directKeyFor(user._id, others[0]);
+        const existing = await Conversation.findOne({ directKey });
+        if (existing) {
+            return { conversation: existing, created: false };
+        }
+        try {
+            const conversation = await Conversation.create({
+                participants: [user._id, others[0]],
+                createdBy: user._id,
+                directKey,
+                readBy: [{ user: user._id }, { user: others[0] }]
+            });
+            return { conversation, created: true };
+        } catch (error) {
+            // Both users started the conversation at the same moment
+            if (error.code === 11000) {
+                return { conversation: await Conversation.findOne({ directKey }), created: false };
+            }
+            throw error;
+        }
+    }
+
+    const participants = [user._id, ...others];
+    const conversation = await Conversation.create({
+        participants,
+        isGroup: true,
+        name: typeof name === 'string' ? name : undefined,
+        createdBy: user._id,
+        readBy: participants.map(participant => ({ user: participant }))
+    });
+    return { conversation, created: true };
+};
+
+// Load a conversation the user takes part in; anyone else gets a 404
+export const findConversationFor = async (conversationId, userId) => {
+    const conversation = mongoose.isValidObjectId(conversationId)
+        ? await Conversation.findOne({ _id: conversationId, participants: userId })
+        : null;
+    if (!conversation) {
+        throw new DirectMessageError(404, 'Conversation not found');
+    }
+    return conversation;
+};
+
+export const formatDirectMessage = (directMessage) => {
+    const sender = directMessage.sender;
+    return {
+        _id: directMessage._id,
+        conversationId: directMessage.conversationId,
+        message: directMessage.message,
+        sender: sender && {
+            _id: sender._id,
+            full_name: sender.full_name,
+            image: sender.image,
+            role: sender.role
+        },
+        createdAt: directMessage.createdAt
+    };
+};
+
+// Messages from others the user hasn't read yet
+export const countUnread = (conversation, userId) => {
+    const marker = conversation.readBy.find(entry => entry.user.equals(userId));
+    const filter = { conversationId: conversation._id, sender: { $ne: userId } };
+    if (marker?.lastReadAt) {
+        filter.createdAt = { $gt: marker.lastReadAt };
+    }
+    return DirectMessage.countDocuments(filter);
+};
+
+// A conversation as listed for one of its participants; `participants` must be populated
+export const formatConversation = (conversation, unreadCount) => ({
+    _id: conversation._id,
+    isGroup: conversation.isGroup,
+    name: conversation.name,
+    participants: conversation.participants,
+    lastMessage: conversation.lastMessage?._id ? conversation.lastMessage : null,
+    lastMessageAt: conversation.lastMessageAt,
+    readBy: conversation.readBy,
+    unreadCount,
+    createdAt: conversation.createdAt
+});
+
+/**
+ * Record that `userId` has read the conversation up to `messageId`, or up to
+ * its newest message. Read markers only move forward. Returns the marker, or
+ * null when there was nothing new to mark.
+ */
+export const markConversationRead = async (conversation, userId, messageId) => {
+    if (messageId !== undefined && !mongoose.isValidObjectId(messageId)) {
+        throw new DirectMessageError(400, 'messageId must be a message id');
+    }
+    const message = messageId
+        ? await DirectMessage.findOne({ _id: messageId, conversationId: conversation._id }).select('createdAt')
+        : await DirectMessage.findOne({ conversationId: conversation._id }).sort({ createdAt: -1, _id: -1 }).select('createdAt');
+    if (!message) {
+        if (messageId) {
+            throw new DirectMessageError(404, 'Message not found');
+        }
+        return null;
+    }
+
+    const result = await Conversation.updateOne(
+        { _id: conversation._id },
+        { $set: { 'readBy.$[marker].lastReadMessageId': message._id, 'readBy.$[marker].lastReadAt': message.createdAt } },
+        { arrayFilters: [{ 'marker.user': userId, 'marker.lastReadAt': { $not: { $gte: message.createdAt } } }] }
+    );
+    if (!result.modifiedCount) {
+        return null;
+    }
+    return { user: userId, lastReadMessageId: message._id, lastReadAt: message.createdAt };
+};
+
+/**
+ * Post a message to a conversation as `sender`. One-to-one conversations stop
+ * taking messages once either person blocks the other. Returns the stored
+ * message, formatted for clients.
+ */
+export const postDirectMessage = async (conversation, sender, text) => {
+    if (typeof text !== 'string' || !text.trim()) {
+        throw new DirectMessageError(400, 'Message cannot be empty');
+    }
+    if (!conversation.isGroup) {
+        const other = conversation.participants.find(participant => !participant.equals(sender._id));
+        if (await isBlockedBetween(sender._id, other)) {
+            throw new DirectMessageError(403, "You can't message this user");
+        }
+    }
+
+    const directMessage = await DirectMessage.create({
+        conversationId: conversation._id,
+        sender: sender._id,
+        message: text
+    });
+    await Conversation.updateOne({ _id: conversation._id }, {
+        lastMessage: {
+            _id: directMessage._id,
+            sender: sender._id,
+            message: directMessage.message,
+            createdAt: directMessage.createdAt
+        },
+        lastMessageAt: directMessage.createdAt
+    });
+    // Senders have read their own message
+    await markConversationRead(conversation, sender._id, directMessage._id);
+
+    await directMessage.populate('sender', CHAT_AUTHOR_FIELDS);
+    return formatDirectMessage(directMessage);
+};
+
+// Send an event to every participant's connections, optionally leaving one user out
+export const emitToConversation = (io, conversation, name, payload, exceptUserId) => {
+    if (!io) {
+        return;
+    }
+    conversation.participants
+        .map(participant => participant._id || participant)
+        .filter(participant => !exceptUserId || !participant.equals(exceptUserId))
+        .forEach(participant => io.to(userRoom(participant)).emit(name, payload));
+};
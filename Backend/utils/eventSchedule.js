@@ -0,0 +1,286 @@
+import mongoose from 'mongoose';
+import { DateTime } from 'luxon';
+import { DEFAULT_TIMEZONE, isValidTimezone, effectiveEndsAt } from './eventTime.js';
+
+// Upper bound on sessions per event, so an open-ended rule can't explode
+export const MAX_SESSIONS = parseInt(process.env.MAX_EVENT_SESSIONS, 10) || 100;
+
+const FREQUENCIES = ['DAILY', 'WEEKLY', 'MONTHLY'];
+const WEEKDAYS = { MO: 1, TU: 2, WE: 3, TH: 4, FR: 5, SA: 6, SU: 7 };
+const SESSION_STATUSES = ['SCHEDULED', 'CANCELLED'];
+
+export class ScheduleError extends Error {}
+
+const parseUntil = (value, zone) => {
+  // RFC 5545 form (20250601 or 20250601T230000Z) or anything ISO
+  const compact = value.match(/^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})(Z)?)?$/);
+  const until = compact
+    ? DateTime.fromObject(
+      {
+        year: +compact[1], month: +compact[2], day: +compact[3],
+        hour: compact[4] ? +compact[4] : 23, minute: compact[5] ? +compact[5] : 59, second: compact[6] ? +compact[6] : 59
+      },
+      { zone: compact[7] ? 'utc' : zone }
+    )
+    : DateTime.fromISO(value, { zone });
+  if (!until.isValid) {
+    throw new ScheduleError(`UNTIL "${value}" is not a valid date`);
+  }
+  return until;
+};
+
+/**
+ * Parse an RRULE string such as "FREQ=WEEKLY;BYDAY=FR,SA;COUNT=8".
+ * Supports FREQ (DAILY, WEEKLY, MONTHLY), INTERVAL, BYDAY (weekly only),
+ * COUNT and UNTIL, which covers the repeating events we see in practice.
+ */
+export const parseRecurrenceRule = (rule, zone = DEFAULT_TIMEZONE) => {
+  const parts = {};
+  String(rule).trim().replace(/^RRULE:/i, '').split(';').filter(Boolean).forEach(part => {
+    const [key, value] = part.split('=');
+    if (!key || value === undefined) {
+      throw new ScheduleError(`Invalid recurrence rule part "${part}"`);
+    }
+    parts[key.trim().toUpperCase()] = value.trim().toUpperCase();
+  });
+
+  const unsupported = Object.keys(parts).filter(key => !['FREQ', 'INTERVAL', 'BYDAY', 'COUNT', 'UNTIL', 'WKST'].includes(key));
+  if (unsupported.length) {
+    throw new ScheduleError(`Unsupported recurrence rule part(s): ${unsupported.join(', ')}`);
+  }
+  if (!FREQUENCIES.includes(parts.FREQ)) {
+    throw new ScheduleError(`FREQ must be one of ${FREQUENCIES.join(', ')}`);
+  }
+
+  const interval = parts.INTERVAL ? parseInt(parts.INTERVAL, 10) : 1;
+  if (!Number.isInteger(interval) || interval < 1) {
+    throw new ScheduleError('INTERVAL must be a positive whole number');
+  }
+
+  const count = parts.COUNT ? parseInt(parts.COUNT, 10) : undefined;
+  if (count !== undefined && (!Number.isInteger(count) || count < 1)) {
+    throw new ScheduleError('COUNT must be a positive whole number');
+  }
+
+  let byDay;
+  if (parts.BYDAY) {
+    if (parts.FREQ !== 'WEEKLY') {
+      throw new ScheduleError('BYDAY is only supported with FREQ=WEEKLY');
+    }
+    byDay = parts.BYDAY.split(',').map(day => {
+      if (!WEEKDAYS[day]) {
+        throw new ScheduleError(`Unknown BYDAY value "${day}"`);
+      }
+      return WEEKDAYS[day];
+    }).sort();
+  }
+
+  return {
+    freq: parts.FREQ,
+    interval,
+    count,
+    until: parts.UNTIL ? parseUntil(parts.UNTIL, zone) : undefined,
+    byDay
+  };
+};
+
+/**
+ * Expand a recurrence rule into start times, beginning with `startsAt`.
+ * Times are stepped in the event's time zone, so a 7pm event stays at 7pm
+ * local time across daylight saving changes.
+ */
+export const expandRecurrence = (rule, startsAt, timezone = DEFAULT_TIMEZONE, limit = MAX_SESSIONS) => {
+  const zone = isValidTimezone(timezone) ? timezone : DEFAULT_TIMEZONE;
+  const { freq, interval, count, until, byDay } = parseRecurrenceRule(rule, zone);
+  const start = DateTime.fromJSDate(startsAt, { zone });
+  const max = Math.min(count ?? limit, limit);
+  const timeOfDay = { hour: start.hour, minute: start.minute, second: start.second, millisecond: 0 };
+
+  const occurrences = [];
+  const add = (candidate) => {
+    if (candidate < start || occurrences.length >= max) {
+      return true;
+    }
+    if (until && candidate > until) {
+      return false;
+    }
+    occurrences.push(candidate.toJSDate());
+    return true;
+  };
+
+  // Enough periods to find `max` occurrences even when some are skipped
+  for (let period = 0; occurrences.length < max && period < max * 12; period++) {
+    let keepGoing = true;
+    if (freq === 'DAILY') {
+      keepGoing = add(start.plus({ days: period * interval }));
+    } else if (freq === 'WEEKLY') {
+      const week = start.startOf('week').plus({ weeks: period * interval });
+      for (const weekday of byDay || [start.weekday]) {
+        keepGoing = add(week.plus({ days: weekday - 1 }).set(timeOfDay));
+        if (!keepGoing) break;
+      }
+    } else {
+      const month = start.plus({ months: period * interval });
+      // Like RFC 5545, skip months that don't have the start's day (e.g. the 31st)
+      if (month.day === start.day) {
+        keepGoing = add(month);
+      }
+    }
+    if (!keepGoing) break;
+  }
+
+  if (occurrences.length === 0) {
+    throw new ScheduleError('Recurrence rule does not produce any sessions');
+  }
+  return occurrences;
+};
+
+// Sessions may arrive as an array or a JSON string (multipart forms)
+export const parseSessionsInput = (value) => {
+  if (value === undefined || value === null || value === '') {
+    return undefined;
+  }
+  let sessions = value;
+  if (typeof sessions === 'string') {
+    try {
+      sessions = JSON.parse(sessions);
+    } catch (error) {
+      throw new ScheduleError('sessions must be a JSON array');
+    }
+  }
+  if (!Array.isArray(sessions)) {
+    throw new ScheduleError('sessions must be an array');
+  }
+  return sessions;
+};
+
+const toDate = (value, name) => {
+  const date = value instanceof Date ? value : new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    throw new ScheduleError(`${name} must be a valid date`);
+  }
+  return date;
+};
+
+/**
+ * Work out an event's sessions from either an explicit list or a recurrence
+ * rule. Each session gets its own inventory per pricing tier, starting from
+ * the tier's `available` count unless the session sets its own.
+ *
+ * Sessions that already exist (matched by id, or by start time for rules)
+ * keep their id, status and remaining inventory. Existing sessions that are
+ * no longer part of the schedule are returned in `removed`.
+ */
+export const buildSessions = ({ pricing, startsAt, endsAt, timezone, recurrenceRule, sessions, existing = [] }) => {
+  const tiers = pricing instanceof Map ? [...pricing.entries()] : Object.entries(pricing || {});
+  const durationMs = startsAt && endsAt ? endsAt.getTime() - startsAt.getTime() : null;
+
+  let planned;
+  if (sessions) {
+    planned = sessions.map((session, index) => {
+      const start = toDate(session.startsAt, `sessions[${index}].startsAt`);
+      const end = session.endsAt ? toDate(session.endsAt, `sessions[${index}].endsAt`) : null;
+      if (end && end < start) {
+        throw new ScheduleError(`sessions[${index}] cannot end before it starts`);
+      }
+      if (session.status !== undefined && !SESSION_STATUSES.includes(session.status)) {
+        throw new ScheduleError(`sessions[${index}].status must be one of ${SESSION_STATUSES.join(', ')}`);
+      }
+      return {
+        id: session.id || session._id,
+        startsAt: start,
+        endsAt: end,
+        title: session.title,
+        status: session.status,
+        inventory: session.inventory
+      };
+    });
+  } else if (recurrenceRule) {
+    if (!startsAt) {
+      throw new ScheduleError('A recurring event needs a start date and time');
+    }
+    planned = expandRecurrence(recurrenceRule, startsAt, timezone).map(start => ({
+      startsAt: start,
+      endsAt: durationMs !== null ? new Date(start.getTime() + durationMs) : null
+    }));
+  } else {
+    return { sessions: [], removed: existing };
+  }
+
+  if (planned.length > MAX_SESSIONS) {
+    throw new ScheduleError(`An event can have at most ${MAX_SESSIONS} sessions`);
+  }
+
+  const kept = new Set();
+  const built = planned.map(session => {
+    const match = existing.find(current =>
+      !kept.has(current._id.toString()) &&
+      (session.id ? current._id.toString() === String(session.id) : current.startsAt?.getTime() === session.startsAt.getTime())
+    );
+    if (session.id && !match) {
+      throw new ScheduleError(`Session ${session.id} does not exist on this event`);
+    }
+    if (match) {
+      kept.add(match._id.toString());
+    }
+
+    const inventory = new Map();
+    for (const [tierId, tier] of tiers) {
+      const current = match?.inventory?.get(tierId);
+      const requested = session.inventory?.[tierId];
+      if (requested !== undefined && (!Number.isInteger(Number(requested)) || Number(requested) < 0)) {
+        throw new ScheduleError(`Inventory for ${tierId} must be a non-negative whole number`);
+      }
+      inventory.set(tierId, current ?? (requested !== undefined ? Number(requested) : tier.available));
+    }
+
+    return {
+      _id: match?._id || new mongoose.Types.ObjectId(),
+      startsAt: session.startsAt,
+      endsAt: session.endsAt,
+      title: session.title ?? match?.title,
+      status: session.status || match?.status || 'SCHEDULED',
+      inventory
+    };
+  }).sort((a, b) => a.startsAt - b.startsAt);
+
+  return {
+    sessions: built,
+    removed: existing.filter(current => !kept.has(current._id.toString()))
+  };
+};
+
+// Pick the session a checkout is for. Returns { session } (null for events
+// sold as a whole) or { error } with a message for a 400 response.
+export const resolveCheckoutSession = (event, sessionId) => {
+  if (!event.hasSessions()) {
+    return sessionId ? { error: 'This event is not sold per session.' } : { session: null };
+  }
+  if (!sessionId) {
+    return { error: 'Please choose a session (sessionId) for this event.' };
+  }
+
+  const session = mongoose.isValidObjectId(sessionId) ? event.findSession(sessionId) : null;
+  if (!session || session.status === 'CANCELLED') {
+    return { error: 'Session not found or cancelled.' };
+  }
+  if (session.startsAt <= new Date()) {
+    return { error: 'This session has already started.' };
+  }
+  return { session };
+};
+
+// How long before a session starts its doors count as open
+const DOORS_OPEN_HOURS = 12;
+
+// The session a ticket scanned at the door is for, when the scanner doesn't
+// say: the one running now or starting within DOORS_OPEN_HOURS, the soonest
+// if several. Returns null when none is on.
+export const sessionForCheckIn = (event, now = new Date()) => {
+  const opensBefore = DOORS_OPEN_HOURS * 60 * 60 * 1000;
+  return (event.sessions || [])
+    .filter(session => session.status !== 'CANCELLED' &&
+      session.startsAt.getTime() - opensBefore <= now.getTime() &&
+      effectiveEndsAt(session) > now)
+    .sort((a, b) => a.startsAt - b.startsAt)[0] || null;
+};
@@ -0,0 +1,247 @@
+import mongoose from 'mongoose';
+import { DEFAULT_DURATION_HOURS } from './eventTime.js';
+import { isValidCurrency } from './currency.js';
+
+export const DEFAULT_PAGE_SIZE = 20;
+export const MAX_PAGE_SIZE = 100;
+export const WHEN_FILTERS = ['upcoming', 'ongoing', 'past'];
+
+// Events without a parseable date sort after every dated event
+const UNDATED = new Date(8640000000000000);
+
+export class SearchQueryError extends Error {}
+
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const parseNumber = (value, name) => {
+  if (value === undefined || value === '') {
+    return undefined;
+  }
+  const number = parseFloat(value);
+  if (!Number.isFinite(number) || number < 0) {
+    throw new SearchQueryError(`${name} must be a non-negative number`);
+  }
+  return number;
+};
+
+const parseDate = (value, name) => {
+  if (value === undefined || value === '') {
+    return undefined;
+  }
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    throw new SearchQueryError(`${name} must be a valid date`);
+  }
+  return date;
+};
+
+// Cursors are opaque to clients: the last item's sort value and id, base64url encoded
+export const encodeCursor = (value, id) =>
+  Buffer.from(JSON.stringify({ v: value instanceof Date ? value.toISOString() : value, id })).toString('base64url');
+
+const decodeCursor = (cursor, byRelevance) => {
+  try {
+    const { v, id } = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    const value = byRelevance ? Number(v) : new Date(v);
+    if (!mongoose.Types.ObjectId.isValid(id) || (byRelevance ? !Number.isFinite(value) : Number.isNaN(value.getTime()))) {
+      throw new Error('Invalid cursor');
+    }
+    return { value, id: new mongoose.Types.ObjectId(id) };
+  } catch (error) {
+    throw new SearchQueryError('cursor is invalid');
+  }
+};
+
+// Parse and validate the listing query string
+export const parseSearchQuery = (query) => {
+  const q = typeof query.q === 'string' ? query.q.trim() : '';
+  const categories = (Array.isArray(query.category) ? query.category.join(',') : query.category || '')
+    .split(',')
+    .map(category => category.trim())
+    .filter(Boolean);
+
+  const minPrice = parseNumber(query.minPrice, 'minPrice');
+  const maxPrice = parseNumber(query.maxPrice, 'maxPrice');
+  if (minPrice !== undefined && maxPrice !== undefined && minPrice > maxPrice) {
+    throw new SearchQueryError('minPrice cannot be greater than maxPrice');
+  }
+
+  const currency = query.currency ? String(query.currency).toUpperCase() : undefined;
+  if (currency && !isValidCurrency(currency)) {
+    throw new SearchQueryError('currency must be an ISO 4217 code such as NGN or USD');
+  }
+
+  const from = parseDate(query.from, 'from');
+  const to = parseDate(query.to, 'to');
+  if (from && to && from > to) {
+    throw new SearchQueryError('from cannot be after to');
+  }
+
+  const when = query.when || undefined;
+  if (when && !WHEN_FILTERS.includes(when)) {
+    throw new SearchQueryError(`when must be one of ${WHEN_FILTERS.join(', ')}`);
+  }
+
+  const limit = Math.min(parseInt(query.limit, 10) || DEFAULT_PAGE_SIZE, MAX_PAGE_SIZE);
+  const byRelevance = Boolean(q) && query.sort !== 'date';
+
+  return {
+    q,
+    categories,
+    minPrice,
+    maxPrice,
+    currency,
+    from,
+    to,
+    when,
+    now: new Date(),
+    available: query.available === 'true' || query.available === '1',
+    limit,
+    byRelevance,
+    cursor: query.cursor ? decodeCursor(query.cursor, byRelevance) : null
+  };
+};
+
+// Build the aggregation for GET /events. Events with sessions are expanded
+// into one row per session. The $facet returns one page of rows (plus one
+// extra to detect a next page) and the total match count.
+export const buildSearchPipeline = (search) => {
+  const initialMatch = {};
+  if (search.q) {
+    // $text has to be in the first stage of the pipeline
+    initialMatch.$text = { $search: search.q };
+  }
+  if (search.categories.length) {
+    initialMatch.category = { $in: search.categories.map(category => new RegExp(`^${escapeRegExp(category)}$`, 'i')) };
+  }
+  if (search.currency) {
+    initialMatch.currency = search.currency;
+  }
+
+  const isSessionRow = { $ne: [{ $type: '$sessions' }, 'missing'] };
+  const sessionSeats = {
+    $let: {
+      vars: {
+        seats: {
+          $arrayElemAt: [{
+            $filter: {
+              input: { $objectToArray: { $ifNull: ['$sessions.inventory', {}] } },
+              as: 'seat',
+              cond: { $eq: ['$$seat.k', '$$tier.k'] }
+            }
+          }, 0]
+        }
+      },
+      in: { $ifNull: ['$$seats.v', 0] }
+    }
+  };
+
+  const pipeline = [
+    { $match: initialMatch },
+    // The text score has to be read before the rows are unwound
+    ...(search.q ? [{ $addFields: { _score: { $meta: 'textScore' } } }] : []),
+    // Recurring and multi-day events get one row per session
+    { $unwind: { path: '$sessions', preserveNullAndEmptyArrays: true } },
+    { $match: { 'sessions.status': { $ne: 'CANCELLED' } } },
+    {
+      $addFields: {
+        _rowId: { $ifNull: ['$sessions._id', '$_id'] },
+        // Session rows sell from the session's own inventory
+        _tiers: {
+          $map: {
+            input: { $objectToArray: { $ifNull: ['$pricing', {}] } },
+            as: 'tier',
+            in: {
+              k: '$$tier.k',
+              v: {
+                price: '$$tier.v.price',
+                available: { $cond: [isSessionRow, sessionSeats, '$$tier.v.available'] }
+              }
+            }
+          }
+        },
+        // Events not migrated to startsAt yet fall back to their date string
+        _eventDate: {
+          $cond: [
+            isSessionRow,
+            '$sessions.startsAt',
+            { $ifNull: ['$startsAt', { $convert: { input: '$date', to: 'date', onError: null, onNull: null } }] }
+          ]
+        }
+      }
+    },
+    {
+      $addFields: {
+        _endsAt: {
+          $ifNull: [
+            { $cond: [isSessionRow, '$sessions.endsAt', '$endsAt'] },
+            { $add: ['$_eventDate', DEFAULT_DURATION_HOURS * 60 * 60 * 1000] }
+          ]
+        },
+        _sortDate: { $ifNull: ['$_eventDate', UNDATED] }
+      }
+    }
+  ];
+
+  const filters = {};
+  const dateConditions = [];
+  if (search.from) dateConditions.push({ _eventDate: { $gte: search.from } });
+  if (search.to) dateConditions.push({ _eventDate: { $lte: search.to } });
+  if (search.when === 'upcoming') {
+    dateConditions.push({ _eventDate: { $gt: search.now } });
+  } else if (search.when === 'ongoing') {
+    dateConditions.push({ _eventDate: { $lte: search.now } }, { _endsAt: { $gt: search.now } });
+  } else if (search.when === 'past') {
+    dateConditions.push({ _endsAt: { $lte: search.now } });
+  }
+  if (dateConditions.length) {
+    filters.$and = dateConditions;
+  }
+
+  // An event matches when at least one ticket type satisfies the price and availability filters
+  const tierConditions = [];
+  if (search.minPrice !== undefined) tierConditions.push({ $gte: ['$$tier.v.price', search.minPrice] });
+  if (search.maxPrice !== undefined) tierConditions.push({ $lte: ['$$tier.v.price', search.maxPrice] });
+  if (search.available) tierConditions.push({ $gt: ['$$tier.v.available', 0] });
+  if (tierConditions.length) {
+    filters.$expr = {
+      $gt: [
+        { $size: { $filter: { input: '$_tiers', as: 'tier', cond: { $and: tierConditions } } } },
+        0
+      ]
+    };
+  }
+  if (Object.keys(filters).length) {
+    pipeline.push({ $match: filters });
+  }
+
+  const sortField = search.byRelevance ? '_score' : '_sortDate';
+  // Past events list the most recent first
+  const sortDirection = search.byRelevance || search.when === 'past' ? -1 : 1;
+  const page = [];
+  if (search.cursor) {
+    const { value, id } = search.cursor;
+    page.push({
+      $match: {
+        $or: [
+          { [sortField]: { [sortDirection === 1 ? '$gt' : '$lt']: value } },
+          { [sortField]: value, _rowId: { $gt: id } }
+        ]
+      }
+    });
+  }
+  page.push(
+    { $sort: { [sortField]: sortDirection, _rowId: 1 } },
+    { $limit: search.limit + 1 },
+    { $unset: ['_tiers', '_eventDate', '_endsAt'] }
+  );
+
+  pipeline.push({
+    $facet: {
+      total: [{ $count: 'count' }],
+      events: page
+    }
+  });
+
+  return pipeline;
+};
@@ -0,0 +1,115 @@
+import { DateTime, IANAZone } from 'luxon';
+
+export const DEFAULT_TIMEZONE = process.env.DEFAULT_EVENT_TIMEZONE || 'UTC';
+
+// How long an event without an end time counts as ongoing
+export const DEFAULT_DURATION_HOURS = parseFloat(process.env.DEFAULT_EVENT_DURATION_HOURS) || 4;
+
+const DATE_FORMATS = [
+  'yyyy-MM-dd',
+  'yyyy/MM/dd',
+  'dd/MM/yyyy',
+  'd/M/yyyy',
+  'dd-MM-yyyy',
+  'd-M-yyyy',
+  'dd.MM.yyyy',
+  'd LLL yyyy',
+  'd LLLL yyyy',
+  'LLL d yyyy',
+  'LLLL d yyyy',
+  'EEE d LLL yyyy',
+  'EEEE d LLLL yyyy',
+  'EEE LLL d yyyy',
+  'EEEE LLLL d yyyy'
+];
+
+const TIME_FORMATS = ['H:mm', 'HH:mm', 'H:mm:ss', 'h:mm a', 'h:mma', 'h a', 'ha', 'H'];
+
+export const isValidTimezone = (zone) => typeof zone === 'string' && IANAZone.isValidZone(zone);
+
+const parseDate = (value, zone) => {
+  const iso = DateTime.fromISO(value, { zone });
+  if (iso.isValid) {
+    return iso;
+  }
+
+  // "Saturday, 1st June, 2025" -> "Saturday 1 June 2025"
+  const cleaned = value
+    .replace(/(\d+)(st|nd|rd|th)\b/gi, '$1')
+    .replace(/,/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+  for (const format of DATE_FORMATS) {
+    const date = DateTime.fromFormat(cleaned, format, { zone, locale: 'en' });
+    if (date.isValid) {
+      return date;
+    }
+  }
+  return null;
+};
+
+const parseTime = (value) => {
+  const cleaned = value.replace(/\./g, ':').replace(/\s+/g, ' ').trim().toUpperCase();
+  for (const format of TIME_FORMATS) {
+    const time = DateTime.fromFormat(cleaned, format, { locale: 'en' });
+    if (time.isValid) {
+      return { hour: time.hour, minute: time.minute };
+    }
+  }
+  return null;
+};
+
+/**
+ * Turn the legacy free-form `date` and `time` strings into timestamps in the
+ * event's time zone. A time range such as "7pm - 11pm" also gives an end time.
+ * Returns null when the date can't be understood.
+ */
+export const parseEventTimes = (date, time, timezone = DEFAULT_TIMEZONE) => {
+  if (!date || typeof date !== 'string') {
+    return null;
+  }
+  const zone = isValidTimezone(timezone) ? timezone : DEFAULT_TIMEZONE;
+
+  const day = parseDate(date.trim(), zone);
+  if (!day) {
+    return null;
+  }
+
+  // Full ISO timestamps already carry their own time of day
+  if (/T\d/.test(date) || !time || typeof time !== 'string') {
+    return { startsAt: day.toJSDate(), endsAt: null };
+  }
+
+  const [startText, endText] = time.split(/\s*(?:-|–|to)\s*/i);
+  const start = startText && parseTime(startText);
+  if (!start) {
+    return { startsAt: day.startOf('day').toJSDate(), endsAt: null };
+  }
+
+  const startsAt = day.set({ ...start, second: 0, millisecond: 0 });
+  const end = endText && parseTime(endText);
+  let endsAt = end ? day.set({ ...end, second: 0, millisecond: 0 }) : null;
+  // An end time before the start means the event runs past midnight
+  if (endsAt && endsAt <= startsAt) {
+    endsAt = endsAt.plus({ days: 1 });
+  }
+
+  return { startsAt: startsAt.toJSDate(), endsAt: endsAt ? endsAt.toJSDate() : null };
+};
+
+// The legacy date/time strings for a timestamp, for clients that still read them
+export const formatEventDate = (startsAt, timezone = DEFAULT_TIMEZONE) => {
+  const local = DateTime.fromJSDate(startsAt, { zone: isValidTimezone(timezone) ? timezone : DEFAULT_TIMEZONE });
+  return { date: local.toISODate(), time: local.toFormat('HH:mm') };
+};
+
+// When an event stops counting as ongoing
+export const effectiveEndsAt = (event) => {
+  if (event.endsAt) {
+    return event.endsAt;
+  }
+  if (!event.startsAt) {
+    return null;
+  }
+  return new Date(event.startsAt.getTime() + DEFAULT_DURATION_HOURS * 60 * 60 * 1000);
+};
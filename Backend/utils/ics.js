@@ -0,0 +1,124 @@
+// Minimal iCalendar (RFC 5545) writer for event exports and calendar feeds
+
+const PRODUCT_ID = '-//AfroHub//Events//EN';
+const CALENDAR_DOMAIN = 'afrohub';
+
+// Escape text values: backslash, semicolon, comma and newlines
+const escapeText = (value) => String(value ?? '')
+  .replace(/\\/g, '\\\\')
+  .replace(/;/g, '\\;')
+  .replace(/,/g, '\\,')
+  .replace(/\r?\n/g, '\\n');
+
+// 20250601T180000Z
+const formatDate = (date) => date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+// Lines longer than 75 octets are folded onto continuation lines starting with a space
+const foldLine = (line) => {
+  const bytes = Buffer.from(line, 'utf8');
+  if (bytes.length <= 75) {
+    return line;
+  }
+
+  const parts = [];
+  let current = '';
+  let currentBytes = 0;
+  for (const char of line) {
+    const size = Buffer.byteLength(char, 'utf8');
+    // The first line holds 75 octets, continuation lines 74 plus the leading space
+    if (currentBytes + size > (parts.length === 0 ? 75 : 74)) {
+      parts.push(current);
+      current = '';
+      currentBytes = 0;
+    }
+    current += char;
+    currentBytes += size;
+  }
+  parts.push(current);
+  return parts.join('\r\n ');
+};
+
+/**
+ * Turn an event (and optionally one of its sessions) into VEVENT fields.
+ * `url` links back to the event page.
+ */
+const eventEntry = (event, session, { url, stamp }) => {
+  const startsAt = session?.startsAt || event.startsAt;
+  const endsAt = session ? session.endsAt : event.endsAt;
+  const uid = session
+    ? `${event._id}-${session._id}@${CALENDAR_DOMAIN}`
+    : `${event._id}@${CALENDAR_DOMAIN}`;
+
+  const lines = [
+    'BEGIN:VEVENT',
+    `UID:${uid}`,
+    `DTSTAMP:${formatDate(stamp)}`,
+    `DTSTART:${formatDate(startsAt)}`
+  ];
+  if (endsAt) {
+    lines.push(`DTEND:${formatDate(endsAt)}`);
+  }
+
+  const title = session?.title ? `${event.title} - ${session.title}` : event.title;
+  lines.push(`SUMMARY:${escapeText(title)}`);
+
+  const location = [event.location, event.address].filter(Boolean).join(', ');
+  if (location) {
+    lines.push(`LOCATION:${escapeText(location)}`);
+  }
+  if (Number.isFinite(event.latitude) && Number.isFinite(event.longitude)) {
+    lines.push(`GEO:${event.latitude};${event.longitude}`);
+  }
+  if (event.description) {
+    lines.push(`DESCRIPTION:${escapeText(event.description)}`);
+  }
+  if (url) {
+    lines.push(`URL:${url}`);
+  }
+  lines.push(`STATUS:${session?.status === 'CANCELLED' ? 'CANCELLED' : 'CONFIRMED'}`);
+  if (event.updatedAt) {
+    lines.push(`LAST-MODIFIED:${formatDate(event.updatedAt)}`);
+  }
+  lines.push('END:VEVENT');
+  return lines;
+};
+
+/**
+ * Build a VCALENDAR document.
+ *
+ * `entries` is a list of { event, session?, url? }. Events without a start
+ * time are skipped since calendars can't place them.
+ */
+export const buildCalendar = (entries, { name } = {}) => {
+  const stamp = new Date();
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${PRODUCT_ID}`,
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH'
+  ];
+  if (name) {
+    lines.push(`X-WR-CALNAME:${escapeText(name)}`);
+  }
+
+  for (const { event, session, url } of entries) {
+    if (!(session?.startsAt || event.startsAt)) {
+      continue;
+    }
+    lines.push(...eventEntry(event, session, { url, stamp }));
+  }
+
+  lines.push('END:VCALENDAR');
+  return lines.map(foldLine).join('\r\n') + '\r\n';
+};
+
+// Calendar entries for an event: one per session for recurring and multi-day events
+export const eventCalendarEntries = (event, { url, sessionId } = {}) => {
+  if (event.sessions?.length) {
+    return event.sessions
+      .filter(session => !sessionId || session._id.equals(sessionId))
+      .map(session => ({ event, session, url }));
+  }
+  return [{ event, url }];
+};
@@ -0,0 +1,106 @@
+// Turns a checkout request into order lines, one per ticket tier
+import { fromMinorUnits, toMinorUnits } from './currency.js';
+
+export class OrderItemsError extends Error {
+    constructor(message, details) {
+        super(message);
+        this.details = details;
+    }
+}
+
+/**
+ * Read the requested tiers from a checkout body. Carts send
+ * `items: [{ ticketType, quantity, pricePerTicket? }]`; the single-tier
+ * `ticketType` + `ticketCount` (+ `pricePerTicket`) form is still accepted.
+ * Repeated tiers are merged.
+ */
+export const parseOrderItems = (body) => {
+    const { items, ticketType, ticketCount, pricePerTicket } = body || {};
+    const requested = items !== undefined
+        ? items
+        : ticketType !== undefined ? [{ ticketType, quantity: ticketCount, pricePerTicket }] : [];
+
+    if (!Array.isArray(requested) || requested.length === 0) {
+        throw new OrderItemsError('At least one ticket type and quantity is required.');
+    }
+
+    const merged = new Map();
+    for (const item of requested) {
+        const type = typeof item?.ticketType === 'string' ? item.ticketType.trim() : '';
+        const quantity = Number(item?.quantity);
+        if (!type) {
+            throw new OrderItemsError('Every item needs a ticket type.');
+        }
+        if (!Number.isInteger(quantity) || quantity < 1) {
+            throw new OrderItemsError(`Quantity for "${type}" must be a whole number of at least 1.`);
+        }
+
+        const line = merged.get(type) || { ticketType: type, quantity: 0 };
+        line.quantity += quantity;
+        if (item.pricePerTicket !== undefined && item.pricePerTicket !== null && item.pricePerTicket !== '') {
+            line.pricePerTicket = Number(item.pricePerTicket);
+        }
+        merged.set(type, line);
+    }
+    return [...merged.values()];
+};
+
+/**
+ * Price the requested tiers against the event. A pricePerTicket sent by the
+ * client is in minor units, as listed in the event's pricing, and is only
+ * checked, never used. Returns
+ * [{ ticketType, ticketTypeName, quantity, pricePerTicket, subtotal }]
+ * with amounts in major units of the event's currency.
+ */
+export const buildOrderLines = (event, body) => parseOrderItems(body).map(item => {
+    const tier = event.pricing?.get(item.ticketType);
+    if (!tier) {
+        throw new OrderItemsError(`Ticket type "${item.ticketType}" is not available for this event.`);
+    }
+
+    const price = Number(tier.price);
+    if (!Number.isInteger(price) || price < 0) {
+        throw new OrderItemsError(`Invalid price for ${tier.name}.`);
+    }
+    if (item.pricePerTicket !== undefined && Math.round(item.pricePerTicket) !== price) {
+        throw new OrderItemsError('Price mismatch. Please refresh and try again.', {
+            ticketType: item.ticketType,
+            expectedPrice: price,
+            providedPrice: item.pricePerTicket
+        });
+    }
+
+    return {
+        ticketType: item.ticketType,
+        ticketTypeName: tier.name,
+        quantity: item.quantity,
+        pricePerTicket: fromMinorUnits(price, event.currency),
+        subtotal: fromMinorUnits(price * item.quantity, event.currency)
+    };
+});
+
+export const orderSubtotal = (lines, currency) => fromMinorUnits(
+    lines.reduce((sum, line) => sum + toMinorUnits(line.subtotal, currency), 0),
+    currency
+);
+
+// Seats left for a tier, in the booked session when the event is sold per session
+export const availableFor = (event, ticketType, session) => session
+    ? session.inventory?.get(ticketType) ?? 0
+    : event.pricing?.get(ticketType)?.available ?? 0;
+
+// The first line the event (or session) can't cover, with what's left, or null
+export const findShortfall = (event, lines, session) => {
+    for (const line of lines) {
+        const available = availableFor(event, line.ticketType, session);
+        if (available < line.quantity) {
+            return { line, available };
+        }
+    }
+    return null;
+};
+
+// A short description of the order, e.g. "2 x Regular, 1 x VIP"
+export const describeLines = (lines) => lines
+    .map(line => `${line.quantity} x ${line.ticketTypeName || line.ticketType}`)
+    .join(', ');
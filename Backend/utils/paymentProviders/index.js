@@ -0,0 +1,50 @@
+// Payment providers behind one interface, so checkout, verification, webhooks
+// and refunds work the same whichever provider takes the money.
+//
+// A provider is an object with:
+//   name, label          id used in URLs and on transactions, and a display name
+//   isEnabled()          whether it is configured in this environment
+//   supportsCurrency(c)  whether it can charge in an ISO 4217 currency
+//   createCheckout(order) -> { reference, checkoutUrl, fields? }
+//       order: { transactionId, title, eventId, lines, subtotal, discount, promoCode,
+//                total, currency, customer: { id, email, name }, expiresAt,
+//                callbackUrl, cancelUrl }, amounts in major units.
+//       `reference` identifies the payment with the provider; `fields` are
+//       extra transaction fields to store.
+//   referenceFrom(query) the reference in the query the buyer is sent back with
+//   verifyPayment(reference) -> payment
+//   parseWebhook(rawBody, headers) -> { id, reference, payment } or null for
+//       events we ignore; throws when the signature is invalid. Optional.
+//   refund(transaction, amount, { isFullRefund }) -> the provider's refund ID
+//   capturesOnVerify     set when verifying is what takes the money (PayPal),
+//                        so the tickets are secured first
+//   lookupPayment(reference) -> payment without charging, for when verifying
+//                        failed part way. Required with capturesOnVerify.
+//
+// A payment is { status: 'paid' | 'pending' | 'failed', paymentId, amount,
+// currency, details, fields? } with the amount in major units.
+import paypal from './paypal.js';
+import stripe from './stripe.js';
+import paystack from './paystack.js';
+import mock from './mock.js';
+
+const providers = new Map([paypal, stripe, paystack, mock].map(provider => [provider.name, provider]));
+
+// An enabled provider by name, or undefined
+export const getProvider = (name) => {
+    const provider = providers.get(String(name).toLowerCase());
+    return provider?.isEnabled() ? provider : undefined;
+};
+
+export const listProviders = () => [...providers.values()].filter(provider => provider.isEnabled());
+
+// The provider a transaction was paid with. Transactions from before providers
+// were recorded are told apart by their PayPal or Stripe references.
+export const providerFor = (transaction) => {
+    const name = transaction.provider ||
+        (transaction.paypalOrderId ? 'paypal'
+            : transaction.stripeSessionId || transaction.stripePaymentIntentId ? 'stripe' : null);
+    return name ? providers.get(name) : undefined;
+};
+
+export const providerLabel = (transaction) => providerFor(transaction)?.label || 'Unknown';
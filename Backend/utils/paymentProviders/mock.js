@@ -0,0 +1,79 @@
+import crypto from 'crypto';
+
+// A provider that takes no money, for local development and tests. It is only
+// available when MOCK_PAYMENTS=true and NODE_ENV is development or test.
+// Payments are kept in memory and succeed unless MOCK_PAYMENT_OUTCOME says
+// otherwise, or a signed webhook settles them.
+const payments = new Map();
+
+const webhookSecret = () => process.env.MOCK_WEBHOOK_SECRET || 'mock-webhook-secret';
+
+const signMockWebhook = (payload) =>
+    crypto.createHmac('sha512', webhookSecret()).update(payload).digest('hex');
+
+// Set a mock payment to 'paid', 'pending' or 'failed'
+const settleMockPayment = (reference, status) => {
+    const payment = payments.get(reference);
+    if (!payment) {
+        throw new Error(`Unknown mock payment ${reference}`);
+    }
+    payment.status = status;
+    return payment;
+};
+
+const paymentFor = (reference) => {
+    const payment = payments.get(reference);
+    return payment
+        ? { ...payment, paymentId: `mock_${reference}`, details: { ...payment, reference } }
+        : { status: 'failed', details: { reference, error: 'Unknown payment' } };
+};
+
+export default {
+    name: 'mock',
+    label: 'Test payments',
+
+    // An unset NODE_ENV counts as production (see config/urls.js), so it has to be explicit
+    isEnabled: () => process.env.MOCK_PAYMENTS === 'true' && ['development', 'test'].includes(process.env.NODE_ENV),
+
+    supportsCurrency: () => true,
+
+    // The checkout page is skipped: the buyer goes straight to the callback
+    createCheckout: async ({ transactionId, total, currency, callbackUrl }) => {
+        payments.set(transactionId, {
+            status: process.env.MOCK_PAYMENT_OUTCOME || 'paid',
+            amount: total,
+            currency
+        });
+        const separator = callbackUrl.includes('?') ? '&' : '?';
+        return {
+            reference: transactionId,
+            checkoutUrl: `${callbackUrl}${separator}reference=${encodeURIComponent(transactionId)}`
+        };
+    },
+
+    referenceFrom: (query) => query.reference,
+
+    verifyPayment: async (reference) => paymentFor(reference),
+
+    // Body: { "event": "payment.succeeded" | "payment.failed", "reference": "..." },
+    // signed like Paystack's in x-mock-signature
+    parseWebhook: (payload, headers) => {
+        const signature = headers['x-mock-signature'];
+        const expected = signMockWebhook(payload);
+        if (typeof signature !== 'string' || signature.length !== expected.length ||
+            !crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected))) {
+            throw new Error('Invalid mock webhook signature');
+        }
+
+        const event = JSON.parse(payload.toString());
+        if (event.event !== 'payment.succeeded' && event.event !== 'payment.failed') {
+            return null;
+        }
+        if (payments.has(event.reference)) {
+            settleMockPayment(event.reference, event.event === 'payment.succeeded' ? 'paid' : 'failed');
+        }
+        return { id: event.id, reference: event.reference, payment: paymentFor(event.reference) };
+    },
+
+    refund: async (transaction) => `mock_refund_${transaction.transactionId}_${transaction.refunds.length + 1}`
+};
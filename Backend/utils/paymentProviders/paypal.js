@@ -0,0 +1,68 @@
+import { createOrder, capturePayment, getOrder, refundCapture } from '../paypal.js';
+import { PAYPAL_CURRENCIES } from '../currency.js';
+
+const captureOf = (orderData) => orderData?.purchase_units?.[0]?.payments?.captures?.[0];
+
+// Capture responses and fetched orders have the same shape
+const paymentFrom = (orderData) => {
+    const capture = captureOf(orderData);
+    return {
+        status: orderData.status === 'COMPLETED' ? 'paid' : 'pending',
+        paymentId: capture?.id,
+        amount: capture && Number(capture.amount.value),
+        currency: capture?.amount.currency_code,
+        details: orderData
+    };
+};
+
+// PayPal orders are approved by the buyer and only charged when captured,
+// which happens when the buyer comes back and the payment is verified
+export default {
+    name: 'paypal',
+    label: 'PayPal',
+    capturesOnVerify: true,
+
+    isEnabled: () => Boolean(process.env.PAYPAL_CLIENT_ID),
+
+    supportsCurrency: (currency) => PAYPAL_CURRENCIES.has(currency),
+
+    createCheckout: async ({ title, lines, total, discount, currency, callbackUrl, cancelUrl }) => {
+        const order = await createOrder(total, {
+            items: lines.map(line => ({
+                name: `${title} - ${line.ticketTypeName}`,
+                unitAmount: line.pricePerTicket,
+                quantity: line.quantity
+            })),
+            discount,
+            currency,
+            returnUrl: callbackUrl,
+            cancelUrl
+        });
+        return {
+            reference: order.id,
+            checkoutUrl: order.links.find(link => link.rel === 'approve').href,
+            fields: { paypalOrderId: order.id }
+        };
+    },
+
+    referenceFrom: (query) => query.token,
+
+    verifyPayment: async (reference) => paymentFrom(await capturePayment(reference)),
+
+    // Where the order stands without capturing it, for when a capture request failed
+    lookupPayment: async (reference) => paymentFrom(await getOrder(reference)),
+
+    refund: async (transaction, amount, { isFullRefund }) => {
+        const captureId = captureOf(transaction.paymentDetails)?.id;
+        if (!captureId) {
+            throw new Error('PayPal capture not found for this transaction');
+        }
+        // Let PayPal refund whatever is left rather than risk a rounding mismatch
+        const refund = await refundCapture(
+            captureId,
+            isFullRefund && transaction.refundedAmount === 0 ? undefined : amount,
+            transaction.currency
+        );
+        return refund.id;
+    }
+};
@@ -0,0 +1,69 @@
+import { initializeTransaction, verifyTransaction, createRefund, verifyWebhookSignature } from '../paystack.js';
+import { PAYSTACK_CURRENCIES, fromMinorUnits } from '../currency.js';
+import { describeLines } from '../orderItems.js';
+
+// Paystack statuses that mean the payment will not go through. An
+// 'abandoned' payment can still be completed while the checkout page is open.
+const FAILED_STATUSES = ['failed', 'reversed'];
+
+const paymentFromTransaction = (data) => ({
+    status: data.status === 'success' ? 'paid' : FAILED_STATUSES.includes(data.status) ? 'failed' : 'pending',
+    paymentId: data.id && String(data.id),
+    amount: fromMinorUnits(data.amount, data.currency),
+    currency: data.currency,
+    details: data
+});
+
+// Paystack lets us choose the payment reference, so it is our transaction ID
+export default {
+    name: 'paystack',
+    label: 'Paystack',
+
+    isEnabled: () => Boolean(process.env.PAYSTACK_SECRET_KEY),
+
+    supportsCurrency: (currency) => PAYSTACK_CURRENCIES.has(currency),
+
+    createCheckout: async ({ transactionId, lines, total, currency, customer, eventId, callbackUrl, cancelUrl }) => {
+        const data = await initializeTransaction({
+            email: customer.email,
+            amount: total,
+            currency,
+            reference: transactionId,
+            callbackUrl,
+            metadata: {
+                transactionId,
+                eventId: eventId.toString(),
+                userId: customer.id.toString(),
+                // Shown on the Paystack checkout page; cancel_action is where "Cancel payment" leads
+                ...(cancelUrl && { cancel_action: cancelUrl }),
+                custom_fields: [{ display_name: 'Tickets', variable_name: 'tickets', value: describeLines(lines) }]
+            }
+        });
+        return { reference: data.reference, checkoutUrl: data.authorization_url };
+    },
+
+    // Paystack sends the buyer back with ?trxref=<reference>&reference=<reference>
+    referenceFrom: (query) => query.reference || query.trxref,
+
+    verifyPayment: async (reference) => paymentFromTransaction(await verifyTransaction(reference)),
+
+    parseWebhook: (payload, headers) => {
+        if (!verifyWebhookSignature(payload, headers['x-paystack-signature'])) {
+            throw new Error('Invalid Paystack signature');
+        }
+        const event = JSON.parse(payload.toString());
+        if (event.event !== 'charge.success') {
+            return null;
+        }
+        return { id: event.data.id, reference: event.data.reference, payment: paymentFromTransaction(event.data) };
+    },
+
+    refund: async (transaction, amount, { isFullRefund }) => {
+        const refund = await createRefund(
+            transaction.providerReference,
+            isFullRefund && transaction.refundedAmount === 0 ? undefined : amount,
+            transaction.currency
+        );
+        return refund.id && String(refund.id);
+    }
+};
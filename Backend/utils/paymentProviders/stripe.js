@@ -0,0 +1,79 @@
+import {
+    createStripeCheckoutSession,
+    retrieveCheckoutSession,
+    constructWebhookEvent,
+    createRefund
+} from '../stripe.js';
+import { fromMinorUnits } from '../currency.js';
+
+export const paymentFromSession = (session) => ({
+    status: session.payment_status === 'paid' || session.payment_status === 'no_payment_required'
+        ? 'paid'
+        : session.status === 'expired' ? 'failed' : 'pending',
+    paymentId: session.payment_intent,
+    amount: session.amount_total === null ? undefined : fromMinorUnits(session.amount_total, session.currency.toUpperCase()),
+    currency: session.currency?.toUpperCase(),
+    details: session,
+    fields: { stripePaymentIntentId: session.payment_intent }
+});
+
+export default {
+    name: 'stripe',
+    label: 'Stripe',
+
+    isEnabled: () => Boolean(process.env.STRIPE_SECRET_KEY),
+
+    // Stripe charges cards in nearly every ISO 4217 currency
+    supportsCurrency: () => true,
+
+    createCheckout: async ({ transactionId, title, lines, discount, promoCode, currency, customer, eventId, expiresAt, callbackUrl, cancelUrl }) => {
+        const separator = callbackUrl.includes('?') ? '&' : '?';
+        const session = await createStripeCheckoutSession(
+            lines.map(line => ({
+                name: `${title} - ${line.ticketTypeName}`,
+                unitAmount: line.pricePerTicket,
+                quantity: line.quantity
+            })),
+            `${callbackUrl}${separator}session_id={CHECKOUT_SESSION_ID}`,
+            cancelUrl,
+            {
+                userId: customer.id.toString(),
+                ticketId: eventId.toString(),
+                transactionId
+            },
+            // Holds last long enough for Stripe's 30 minute minimum (see utils/reservations.js)
+            expiresAt,
+            discount > 0 && { amount: discount, name: `Promo ${promoCode}` },
+            currency
+        );
+        return {
+            reference: session.id,
+            checkoutUrl: session.url,
+            fields: { stripeSessionId: session.id, paymentStatus: session.payment_status }
+        };
+    },
+
+    referenceFrom: (query) => query.session_id,
+
+    verifyPayment: async (reference) => paymentFromSession(await retrieveCheckoutSession(reference)),
+
+    // Refunds are handled by /api/stripe/webhook, which also covers refunds made from the dashboard
+    parseWebhook: (payload, headers) => {
+        const event = constructWebhookEvent(payload, headers['stripe-signature']);
+        if (event.type !== 'checkout.session.completed' && event.type !== 'checkout.session.expired') {
+            return null;
+        }
+        const session = event.data.object;
+        return { id: event.id, reference: session.id, payment: paymentFromSession(session) };
+    },
+
+    refund: async (transaction, amount) => {
+        if (!transaction.stripePaymentIntentId) {
+            throw new Error('Stripe payment not found for this transaction');
+        }
+        const refund = await createRefund(transaction.stripePaymentIntentId, amount, {
+            transactionId: transaction.transactionId
+        }, transaction.currency);
+        return refund.id;
+    }
+};
@@ -1,5 +1,7 @@
 import fetch from 'node-fetch';
 import dotenv from 'dotenv';
+import { LEGACY_CURRENCY, formatAmount, toMinorUnits, fromMinorUnits } from './currency.js';
+import { PAYMENT_URLS } from '../config/urls.js';
 
 
 dotenv.config();
@@ -30,7 +32,42 @@ const getAccessToken = async () => {
 };
 
 
-export const createOrder = async (totalPrice) => {
+const money = (value, currency) => ({
+    currency_code: currency,
+    value: formatAmount(value, currency),
+});
+
+// Amounts are in major units of `currency`. `items` ([{ name, unitAmount, quantity }])
+// are listed on the order with `discount` taken off their total, which must then equal totalPrice.
+// PayPal sends the buyer back to returnUrl with ?token=<order id>
+export const createOrder = async (totalPrice, {
+    items,
+    discount,
+    currency = LEGACY_CURRENCY,
+    returnUrl = PAYMENT_URLS.paypal.returnUrl,
+    cancelUrl = PAYMENT_URLS.paypal.cancelUrl,
+} = {}) => {
+    const purchaseUnit = {
+        description: 'Ticket Purchase',
+        amount: money(totalPrice, currency),
+    };
+    if (items?.length) {
+        const itemTotal = fromMinorUnits(
+            items.reduce((sum, item) => sum + toMinorUnits(item.unitAmount, currency) * item.quantity, 0),
+            currency
+        );
+        purchaseUnit.items = items.map(item => ({
+            name: item.name.slice(0, 127),
+            unit_amount: money(item.unitAmount, currency),
+            quantity: String(item.quantity),
+            category: 'DIGITAL_GOODS',
+        }));
+        purchaseUnit.amount.breakdown = {
+            item_total: money(itemTotal, currency),
+            ...(discount > 0 && { discount: money(discount, currency) }),
+        };
+    }
+
     const accessToken = await getAccessToken();
     const response = await fetch(`${PAYPAL_API}/v2/checkout/orders`, {
         method: 'POST',
@@ -40,21 +77,13 @@ export const createOrder = async (totalPrice) => {
         },
         body: JSON.stringify({
             intent: 'CAPTURE',
-            purchase_units: [
-                {
-                    description: 'Ticket Purchase',
-                    amount: {
-                        currency_code: 'USD', 
-                        value: totalPrice.toFixed(2),
-                    },
-                },
-            ],
+            purchase_units: [purchaseUnit],
             application_context: {
                 brand_name: 'Ticket Backend', 
                 landing_page: 'LOGIN', 
                 user_action: 'PAY_NOW', 
-                return_url: 'http://localhost:6000/api/paypal/complete-order', 
-                cancel_url: 'http://localhost:6000/api/paypal/cancel', 
+                return_url: returnUrl,
+                cancel_url: cancelUrl,
             },
         }),
     });
@@ -87,5 +116,46 @@ export const capturePayment = async (token) => {
     return captureData;
 };
 
+// The order as PayPal has it, including its captures once it has been paid
+export const getOrder = async (orderId) => {
+    const accessToken = await getAccessToken();
+    const response = await fetch(`${PAYPAL_API}/v2/checkout/orders/${orderId}`, {
+        headers: {
+            'Authorization': `Bearer ${accessToken}`,
+        },
+    });
+
+    if (!response.ok) {
+        const errorData = await response.json();
+        throw new Error(`Failed to fetch PayPal order: ${errorData.message}`);
+    }
+
+    return response.json();
+};
+
+
 
 
+
+// Refunds part or all of a captured payment. Omitting the amount refunds the full capture.
+export const refundCapture = async (captureId, amount, currency = LEGACY_CURRENCY) => {
+    const accessToken = await getAccessToken();
+    const response = await fetch(`${PAYPAL_API}/v2/payments/captures/${captureId}/refund`, {
+        method: 'POST',
+        headers: {
+            'Authorization': `Bearer ${accessToken}`,
+            'Content-Type': 'application/json',
+        },
+        body: JSON.stringify(amount === undefined ? {} : {
+            amount: money(amount, currency),
+        }),
+    });
+
+    if (!response.ok) {
+        const errorData = await response.json();
+        throw new Error(`Failed to refund PayPal capture: ${errorData.message}`);
+    }
+
+    const refundData = await response.json();
+    return refundData;
+};
@@ -0,0 +1,76 @@
+import fetch from 'node-fetch';
+import crypto from 'crypto';
+import dotenv from 'dotenv';
+import { toMinorUnits } from './currency.js';
+
+
+dotenv.config();
+
+const PAYSTACK_API = process.env.PAYSTACK_API || 'https://api.paystack.co';
+const SECRET_KEY = process.env.PAYSTACK_SECRET_KEY;
+
+
+// Paystack wraps every response as { status, message, data }
+const request = async (path, { method = 'GET', body } = {}) => {
+    const response = await fetch(`${PAYSTACK_API}${path}`, {
+        method,
+        headers: {
+            'Authorization': `Bearer ${SECRET_KEY}`,
+            'Content-Type': 'application/json',
+        },
+        ...(body && { body: JSON.stringify(body) }),
+    });
+
+    const result = await response.json();
+    if (!response.ok || !result.status) {
+        throw new Error(result.message || `Paystack request failed with status ${response.status}`);
+    }
+    return result.data;
+};
+
+
+// Start a payment. `amount` is in major units of `currency`; the buyer pays at
+// the returned authorization_url and is sent back to callbackUrl with ?reference=
+export const initializeTransaction = async ({ email, amount, currency, reference, callbackUrl, metadata }) => request(
+    '/transaction/initialize',
+    {
+        method: 'POST',
+        body: {
+            email,
+            amount: toMinorUnits(amount, currency),
+            currency,
+            reference,
+            callback_url: callbackUrl,
+            metadata,
+        },
+    }
+);
+
+
+// Look up a payment; data.status is 'success' once the money has been taken
+export const verifyTransaction = async (reference) => request(`/transaction/verify/${encodeURIComponent(reference)}`);
+
+
+// Refunds part or all of a payment. Omitting the amount refunds the full payment.
+export const createRefund = async (reference, amount, currency) => request('/refund', {
+    method: 'POST',
+    body: {
+        transaction: reference,
+        ...(amount !== undefined && { amount: toMinorUnits(amount, currency), currency }),
+    },
+});
+
+
+// Paystack signs the raw request body with the secret key (HMAC-SHA512) in x-paystack-signature
+export const verifyWebhookSignature = (payload, signature, secret = SECRET_KEY) => {
+    if (!secret) {
+        throw new Error('Paystack secret key is not configured');
+    }
+    if (typeof signature !== 'string') {
+        return false;
+    }
+
+    const expected = crypto.createHmac('sha512', secret).update(payload).digest('hex');
+    return signature.length === expected.length &&
+        crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected));
+};
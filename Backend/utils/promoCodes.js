@@ -0,0 +1,101 @@
+import PromoCode from '../models/PromoCode.js';
+import Transaction from '../models/Transaction.js';
+import { orderSubtotal } from './orderItems.js';
+import { roundAmount } from './currency.js';
+
+export class PromoCodeError extends Error {}
+
+// Transactions that count towards a buyer's per-user limit
+const COUNTED_STATUSES = ['PENDING', 'CAPTURING', 'COMPLETED', 'PAID', 'PARTIALLY_REFUNDED'];
+
+/**
+ * Check a code against an order and work out the discount, without using it.
+ * `lines` are the order lines ({ ticketType, subtotal }) in `currency`; a
+ * code limited to some tiers only discounts those lines.
+ * Throws PromoCodeError with a message for the buyer when the code can't be applied.
+ */
+export const previewPromoCode = async ({ code, userId, eventId, lines, currency }) => {
+    const promo = await PromoCode.findOne({ code: String(code).trim().toUpperCase() });
+    const now = new Date();
+
+    if (!promo || !promo.active) {
+        throw new PromoCodeError('This promo code is not valid.');
+    }
+    if (promo.startsAt && promo.startsAt > now) {
+        throw new PromoCodeError('This promo code is not active yet.');
+    }
+    if (promo.expiresAt && promo.expiresAt <= now) {
+        throw new PromoCodeError('This promo code has expired.');
+    }
+    if (promo.events.length > 0 && !promo.events.some(id => id.equals(eventId))) {
+        throw new PromoCodeError('This promo code does not apply to this event.');
+    }
+    if (!promo.appliesToCurrency(currency)) {
+        throw new PromoCodeError(`This promo code can only be used for payments in ${promo.currency}.`);
+    }
+    const eligible = promo.ticketTypes.length > 0
+        ? lines.filter(line => promo.ticketTypes.includes(line.ticketType))
+        : lines;
+    if (eligible.length === 0) {
+        throw new PromoCodeError('This promo code does not apply to these ticket types.');
+    }
+    if (promo.maxUses !== null && promo.usedCount >= promo.maxUses) {
+        throw new PromoCodeError('This promo code has been fully used.');
+    }
+    if (promo.perUserLimit !== null) {
+        const used = await Transaction.countDocuments({
+            userId,
+            promoCodeId: promo._id,
+            status: { $in: COUNTED_STATUSES }
+        });
+        if (used >= promo.perUserLimit) {
+            throw new PromoCodeError('You have already used this promo code.');
+        }
+    }
+
+    const subtotal = orderSubtotal(lines, currency);
+    const discount = promo.discountFor(orderSubtotal(eligible, currency), currency);
+    const total = roundAmount(subtotal - discount, currency);
+    if (total <= 0) {
+        throw new PromoCodeError('Free orders cannot be paid for online; please contact the organiser.');
+    }
+
+    return { promo, subtotal, discount, total };
+};
+
+/**
+ * Validate a code and take one use of it for a checkout. The use is claimed
+ * with a conditional update, so a code can't be used more than maxUses
+ * times even when buyers check out at the same moment. Give the use back
+ * with releasePromoCodeUse if the checkout doesn't go ahead.
+ */
+export const redeemPromoCode = async (order) => {
+    const result = await previewPromoCode(order);
+
+    const claimed = await PromoCode.findOneAndUpdate(
+        {
+            _id: result.promo._id,
+            $or: [
+                { maxUses: null },
+                { $expr: { $lt: ['$usedCount', '$maxUses'] } }
+            ]
+        },
+        { $inc: { usedCount: 1 } },
+        { new: true }
+    );
+    if (!claimed) {
+        throw new PromoCodeError('This promo code has been fully used.');
+    }
+    return { ...result, promo: claimed };
+};
+
+export const releasePromoCodeUse = (promoCodeId) => PromoCode.updateOne(
+    { _id: promoCodeId, usedCount: { $gt: 0 } },
+    { $inc: { usedCount: -1 } }
+);
+
+// Count a use again, for a payment that completed after its hold had lapsed
+export const restorePromoCodeUse = (promoCodeId) => PromoCode.updateOne(
+    { _id: promoCodeId },
+    { $inc: { usedCount: 1 } }
+);
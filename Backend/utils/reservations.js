@@ -0,0 +1,235 @@
+import Event from '../models/Event.js';
+import Reservation from '../models/Reservation.js';
+import { releasePromoCodeUse, restorePromoCodeUse } from './promoCodes.js';
+
+// Payment pages close this long before the hold runs out, so a buyer can't
+// finish paying for seats that have already gone back on sale
+const HOLD_MARGIN_MINUTES = 5;
+// Stripe keeps checkout sessions open for at least 30 minutes, so a hold has
+// to outlast that plus the margin
+const MIN_HOLD_MINUTES = 40;
+const HOLD_MINUTES = Math.max(parseInt(process.env.TICKET_HOLD_MINUTES, 10) || 45, MIN_HOLD_MINUTES);
+const SWEEP_INTERVAL_MS = 60 * 1000;
+
+const availablePath = (ticketType) => `pricing.${ticketType}.available`;
+
+// Items with nothing in them are left out of inventory updates
+const countItems = (items) => items.reduce((sum, item) => sum + item.quantity, 0);
+
+// Atomically take seats from one or more pricing tiers, or from one
+// session's inventory for those tiers. The filter only matches while every
+// tier has enough seats left, so two buyers can never both get the last
+// ticket and an order is never half taken.
+const takeSeats = (eventId, items, sessionId) => {
+    const lines = items.filter(item => item.quantity > 0);
+    if (sessionId) {
+        const inventory = {};
+        const inc = {};
+        lines.forEach(({ ticketType, quantity }) => {
+            inventory[`inventory.${ticketType}`] = { $gte: quantity };
+            inc[`sessions.$.inventory.${ticketType}`] = -quantity;
+        });
+        return Event.findOneAndUpdate(
+            {
+                _id: eventId,
+                sessions: {
+                    $elemMatch: {
+                        _id: sessionId,
+                        status: { $ne: 'CANCELLED' },
+                        ...inventory
+                    }
+                }
+            },
+            { $inc: inc },
+            { new: true }
+        );
+    }
+
+    const filter = { _id: eventId };
+    const inc = {};
+    lines.forEach(({ ticketType, quantity }) => {
+        filter[availablePath(ticketType)] = { $gte: quantity };
+        inc[availablePath(ticketType)] = -quantity;
+    });
+    return Event.findOneAndUpdate(filter, { $inc: inc }, { new: true });
+};
+
+const returnSeats = (eventId, items, sessionId) => {
+    const inc = {};
+    items.filter(item => item.quantity > 0).forEach(({ ticketType, quantity }) => {
+        inc[sessionId ? `sessions.$.inventory.${ticketType}` : availablePath(ticketType)] = quantity;
+    });
+    if (Object.keys(inc).length === 0) {
+        return null;
+    }
+    return Event.updateOne(
+        sessionId ? { _id: eventId, 'sessions._id': sessionId } : { _id: eventId },
+        { $inc: inc }
+    );
+};
+
+// Hold seats for a checkout. `items` lists the tiers, as [{ ticketType, quantity }].
+// Returns null when a tier (or the session) cannot cover its quantity.
+export const reserveTickets = async ({ transactionId, eventId, userId, items, sessionId, promoCodeId }) => {
+    const event = await takeSeats(eventId, items, sessionId);
+    if (!event) {
+        return null;
+    }
+
+    try {
+        return await Reservation.create({
+            transactionId,
+            eventId,
+            sessionId,
+            userId,
+            items: items.map(({ ticketType, quantity }) => ({ ticketType, quantity })),
+            quantity: countItems(items),
+            promoCodeId,
+            expiresAt: new Date(Date.now() + HOLD_MINUTES * 60 * 1000)
+        });
+    } catch (error) {
+        await returnSeats(eventId, items, sessionId);
+        throw error;
+    }
+};
+
+// When the provider's payment page for a hold should close
+export const paymentDeadline = (reservation) =>
+    new Date(reservation.expiresAt.getTime() - HOLD_MARGIN_MINUTES * 60 * 1000);
+
+// Turn the hold for a paid transaction into a sale. If the hold already
+// lapsed, or the transaction predates reservations, the seats are taken
+// again as long as they are still available. Returns false when they are not.
+export const confirmReservation = async (transaction) => {
+    const held = await Reservation.findOneAndUpdate(
+        { transactionId: transaction.transactionId, status: 'HELD', quantity: { $gt: 0 } },
+        { status: 'CONFIRMED' },
+        { new: true }
+    );
+    if (held) {
+        return true;
+    }
+
+    const existing = await Reservation.findOne({ transactionId: transaction.transactionId });
+    if (existing?.status === 'CONFIRMED') {
+        return true;
+    }
+
+    const eventId = transaction.ticketId?._id || transaction.ticketId;
+    const items = transaction.getItems().map(({ ticketType, quantity }) => ({ ticketType, quantity }));
+    const event = await takeSeats(eventId, items, transaction.sessionId);
+    if (!event) {
+        return false;
+    }
+
+    // A lapsed hold gave its promo code use back; the payment went through, so count it again
+    if (transaction.promoCodeId && existing?.promoCodeId) {
+        await restorePromoCodeUse(transaction.promoCodeId);
+    }
+
+    await Reservation.findOneAndUpdate(
+        { transactionId: transaction.transactionId },
+        {
+            eventId,
+            sessionId: transaction.sessionId,
+            promoCodeId: transaction.promoCodeId,
+            userId: transaction.userId,
+            items,
+            quantity: countItems(items),
+            status: 'CONFIRMED',
+            expiresAt: new Date()
+        },
+        { upsert: true }
+    );
+    return true;
+};
+
+// Attempts at releasing seats before giving up when other releases keep
+// changing the same reservation
+const RELEASE_ATTEMPTS = 3;
+
+// Give seats of a held or confirmed reservation back to the event, all of
+// them unless `items` ([{ ticketType, quantity }]) says which (partial
+// refunds). The reservation is only updated if nothing else changed it
+// since it was read, so concurrent releases never restock twice.
+export const releaseReservation = async (transactionId, reason, items) => {
+    for (let attempt = 0; attempt < RELEASE_ATTEMPTS; attempt++) {
+        const current = await Reservation.findOne({ transactionId, status: { $in: ['HELD', 'CONFIRMED'] } });
+        if (!current) {
+            return null;
+        }
+
+        const held = current.getItems();
+        const released = held.map(({ ticketType, quantity }) => {
+            const requested = items
+                ? items.filter(item => item.ticketType === ticketType).reduce((sum, item) => sum + item.quantity, 0)
+                : quantity;
+            return { ticketType, quantity: Math.min(requested, quantity) };
+        });
+        const count = countItems(released);
+        if (count === 0) {
+            return null;
+        }
+
+        // Emptying the hold marks it released in the same update, so a payment
+        // confirming it at this moment can't leave a CONFIRMED hold with no seats
+        const emptied = count === current.quantity;
+        const update = {
+            items: held.map((item, index) => ({
+                ticketType: item.ticketType,
+                quantity: item.quantity - released[index].quantity
+            })),
+            $inc: { quantity: -count }
+        };
+        if (emptied) {
+            Object.assign(update, { status: 'RELEASED', releasedAt: new Date(), releaseReason: reason });
+        }
+        const reservation = await Reservation.findOneAndUpdate(
+            { _id: current._id, status: current.status, quantity: current.quantity },
+            update,
+            { new: true }
+        );
+        if (!reservation) {
+            continue;
+        }
+
+        await returnSeats(reservation.eventId, released, reservation.sessionId);
+
+        // A checkout that never completed doesn't use up its promo code
+        if (emptied && current.status === 'HELD' && reservation.promoCodeId) {
+            await releasePromoCodeUse(reservation.promoCodeId);
+        }
+        return reservation;
+    }
+    return null;
+};
+
+export const releaseExpiredReservations = async () => {
+    const expired = await Reservation.find({
+        status: 'HELD',
+        expiresAt: { $lte: new Date() }
+    }).select('transactionId');
+
+    let released = 0;
+    for (const reservation of expired) {
+        if (await releaseReservation(reservation.transactionId, 'Hold expired')) {
+            released += 1;
+        }
+    }
+    return released;
+};
+
+export const startReservationSweeper = (intervalMs = SWEEP_INTERVAL_MS) => {
+    const timer = setInterval(async () => {
+        try {
+            const released = await releaseExpiredReservations();
+            if (released > 0) {
+                console.log(`Released ${released} expired ticket hold(s)`);
+            }
+        } catch (error) {
+            console.error('Error releasing expired ticket holds:', error);
+        }
+    }, intervalMs);
+    timer.unref();
+    return timer;
+};
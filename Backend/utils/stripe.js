@@ -1,29 +1,43 @@
 import Stripe from 'stripe';
 import dotenv from 'dotenv';
+import { LEGACY_CURRENCY, toMinorUnits } from './currency.js';
 
 
 dotenv.config();
 const stripe = new Stripe(process.env.STRIPE_SECRET_KEY);
 
 
-export const createStripeCheckoutSession = async (ticketTitle, totalPrice, ticketCount, successUrl, cancelUrl, metadata) => {
+// `lineItems` are [{ name, unitAmount, quantity }] with unitAmount in major units of `currency`.
+// `discount` ({ amount, name }) is applied as a single-use coupon for this session only
+export const createStripeCheckoutSession = async (lineItems, successUrl, cancelUrl, metadata, expiresAt, discount, currency = LEGACY_CURRENCY) => {
   try {
+    let coupon;
+    if (discount?.amount > 0) {
+      coupon = await stripe.coupons.create({
+        amount_off: toMinorUnits(discount.amount, currency),
+        currency: currency.toLowerCase(),
+        duration: 'once',
+        max_redemptions: 1,
+        name: discount.name,
+      });
+    }
+
     const session = await stripe.checkout.sessions.create({
       payment_method_types: ['card'],
       mode: 'payment',
-      line_items: [
-        {
-          price_data: {
-            currency: 'usd',
-            product_data: { name: ticketTitle },
-            unit_amount: totalPrice * 100, 
-          },
-          quantity: ticketCount,
+      line_items: lineItems.map(item => ({
+        price_data: {
+          currency: currency.toLowerCase(),
+          product_data: { name: item.name },
+          unit_amount: toMinorUnits(item.unitAmount, currency),
         },
-      ],
+        quantity: item.quantity,
+      })),
       success_url: successUrl,
       cancel_url: cancelUrl,
       metadata: metadata,
+      ...(expiresAt && { expires_at: Math.floor(expiresAt.getTime() / 1000) }),
+      ...(coupon && { discounts: [{ coupon: coupon.id }] }),
     });
     
     return session;
@@ -40,4 +54,38 @@ export const retrieveCheckoutSession = async (sessionId) => {
   } catch (error) {
     throw new Error(`Error retrieving checkout session: ${error.message}`);
   }
-};
\ No newline at end of file
+};
+
+// Closes an open session so it can no longer be paid
+export const expireCheckoutSession = async (sessionId) => {
+  try {
+    const session = await stripe.checkout.sessions.expire(sessionId);
+    return session;
+  } catch (error) {
+    throw new Error(`Error expiring checkout session: ${error.message}`);
+  }
+};
+
+// Verifies the Stripe-Signature header against the raw request body.
+// scripts/sendStripeTestWebhook.js sends locally signed events to try it out.
+export const constructWebhookEvent = (payload, signature) => {
+  const secret = process.env.STRIPE_WEBHOOK_SECRET;
+  if (!secret) {
+    throw new Error('Stripe webhook secret is not configured');
+  }
+  return stripe.webhooks.constructEvent(payload, signature, secret);
+};
+
+
+export const createRefund = async (paymentIntentId, amount, metadata, currency = LEGACY_CURRENCY) => {
+  try {
+    const refund = await stripe.refunds.create({
+      payment_intent: paymentIntentId,
+      amount: toMinorUnits(amount, currency),
+      metadata: metadata,
+    });
+    return refund;
+  } catch (error) {
+    throw new Error(`Error creating refund: ${error.message}`);
+  }
+};
@@ -0,0 +1,99 @@
+import crypto from 'crypto';
+import mongoose from 'mongoose';
+import QRCode from 'qrcode';
+import Ticket from '../models/Ticket.js';
+
+const signingSecret = () => process.env.TICKET_SIGNING_SECRET || process.env.JWT_SECRET;
+
+const sign = (ticketId, eventId) => crypto
+    .createHmac('sha256', signingSecret())
+    .update(`${ticketId}.${eventId}`)
+    .digest('base64url');
+
+// Codes look like `<ticketId>.<eventId>.<signature>` so a scanner can tell
+// which event a ticket belongs to before touching the database.
+export const createTicketCode = (ticketId, eventId) => `${ticketId}.${eventId}.${sign(ticketId, eventId)}`;
+
+// Returns the ids carried by a code, or null if it was not signed by us
+export const verifyTicketCode = (code) => {
+    const parts = typeof code === 'string' ? code.trim().split('.') : [];
+    if (parts.length !== 3) {
+        return null;
+    }
+
+    const [ticketId, eventId, signature] = parts;
+    const expected = Buffer.from(sign(ticketId, eventId));
+    const provided = Buffer.from(signature);
+    if (expected.length !== provided.length || !crypto.timingSafeEqual(expected, provided)) {
+        return null;
+    }
+
+    return { ticketId, eventId };
+};
+
+export const generateQRCode = (code) => QRCode.toDataURL(code, { errorCorrectionLevel: 'M', margin: 1 });
+
+// Create one ticket per seat of a paid transaction, numbering the seats
+// line item by line item. Seats refunded before issuing get no ticket. Safe
+// to call more than once: seats that already have a ticket are left untouched.
+export const issueTickets = async (transaction) => {
+    const eventId = transaction.ticketId?._id || transaction.ticketId;
+
+    const operations = [];
+    let seatNumber = 0;
+    for (const item of transaction.getItems()) {
+        for (let seat = 0; seat < item.quantity - item.refundedQuantity; seat++) {
+            seatNumber += 1;
+            const ticketId = new mongoose.Types.ObjectId();
+            operations.push({
+                updateOne: {
+                    filter: { transaction: transaction._id, seatNumber },
+                    update: {
+                        $setOnInsert: {
+                            _id: ticketId,
+                            eventId,
+                            transactionId: transaction.transactionId,
+                            owner: transaction.userId,
+                            ticketType: item.ticketType,
+                            ticketTypeName: item.ticketTypeName,
+                            sessionId: transaction.sessionId,
+                            sessionStartsAt: transaction.sessionStartsAt,
+                            code: createTicketCode(ticketId, eventId)
+                        }
+                    },
+                    upsert: true
+                }
+            });
+        }
+    }
+
+    if (operations.length > 0) {
+        await Ticket.bulkWrite(operations, { ordered: false });
+    }
+
+    return Ticket.find({ transaction: transaction._id }).sort({ seatNumber: 1 });
+};
+
+const unusedFilter = (transaction) => ({ transaction: transaction._id, status: 'VALID', checkedInAt: null });
+
+// Tickets that have not been used at the door, highest seat numbers first,
+// optionally only those of one tier
+export const findUnusedTickets = (transaction, { count, ticketType } = {}) => Ticket.find({
+    ...unusedFilter(transaction),
+    ...(ticketType && { ticketType })
+})
+    .sort({ seatNumber: -1 })
+    .limit(count ?? 0)
+    .select('_id ticketType seatNumber');
+
+// Void the given tickets, or the `count` unused tickets with the highest
+// seat numbers. Tickets used in the meantime are skipped. Returns how many were voided.
+export const voidTickets = async (transaction, count, tickets) => {
+    const selected = tickets || await findUnusedTickets(transaction, { count });
+
+    const result = await Ticket.updateMany(
+        { ...unusedFilter(transaction), _id: { $in: selected.map(ticket => ticket._id) } },
+        { status: 'VOID' }
+    );
+    return result.modifiedCount;
+};